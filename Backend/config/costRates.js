@@ -0,0 +1,92 @@
+// Trip cost rates per country, in the country's currency
+//
+// fuel:      price per litre (electric: per kWh)
+// tolls:     average toll per km for light and heavy vehicles
+// driver:    driver cost per hour
+// vehicle:   wear, maintenance and depreciation per km, by vehicle type
+//
+// Figures are planning defaults; adjust them to the rates your fleet pays.
+
+const COST_RATES = {
+  NG: {
+    currency: 'NGN',
+    fuel: { petrol: 1000, diesel: 1300, cng: 300, lpg: 900, electric: 225 },
+    tolls: { light: 5, heavy: 15 },
+    driver: 1500,
+    vehicle: { truck: 350, van: 180, pickup: 150, trailer: 420, container: 450, motorcycle: 40, bicycle: 5, other: 200 }
+  },
+  KE: {
+    currency: 'KES',
+    fuel: { petrol: 180, diesel: 170, cng: 90, lpg: 150, electric: 25 },
+    tolls: { light: 1, heavy: 3 },
+    driver: 300,
+    vehicle: { truck: 40, van: 20, pickup: 18, trailer: 48, container: 50, motorcycle: 5, bicycle: 1, other: 22 }
+  },
+  GH: {
+    currency: 'GHS',
+    fuel: { petrol: 14, diesel: 15, cng: 8, lpg: 12, electric: 2 },
+    tolls: { light: 0.05, heavy: 0.15 },
+    driver: 25,
+    vehicle: { truck: 3.5, van: 1.8, pickup: 1.5, trailer: 4.2, container: 4.5, motorcycle: 0.4, bicycle: 0.05, other: 2 }
+  },
+  ZA: {
+    currency: 'ZAR',
+    fuel: { petrol: 22, diesel: 20, cng: 12, lpg: 18, electric: 3 },
+    tolls: { light: 0.5, heavy: 1.5 },
+    driver: 90,
+    vehicle: { truck: 6, van: 3, pickup: 2.5, trailer: 7, container: 7.5, motorcycle: 0.7, bicycle: 0.1, other: 3.5 }
+  },
+  CM: {
+    currency: 'XAF',
+    fuel: { petrol: 840, diesel: 830, cng: 400, lpg: 700, electric: 100 },
+    tolls: { light: 2, heavy: 6 },
+    driver: 1200,
+    vehicle: { truck: 200, van: 100, pickup: 85, trailer: 240, container: 260, motorcycle: 25, bicycle: 3, other: 110 }
+  },
+  GB: {
+    currency: 'GBP',
+    fuel: { petrol: 1.45, diesel: 1.5, cng: 1, lpg: 0.8, electric: 0.3 },
+    tolls: { light: 0.02, heavy: 0.08 },
+    driver: 15,
+    vehicle: { truck: 0.5, van: 0.25, pickup: 0.2, trailer: 0.6, container: 0.65, motorcycle: 0.05, bicycle: 0.01, other: 0.3 }
+  },
+  DE: {
+    currency: 'EUR',
+    fuel: { petrol: 1.75, diesel: 1.65, cng: 1.2, lpg: 1, electric: 0.35 },
+    tolls: { light: 0, heavy: 0.35 },
+    driver: 20,
+    vehicle: { truck: 0.55, van: 0.3, pickup: 0.25, trailer: 0.65, container: 0.7, motorcycle: 0.06, bicycle: 0.01, other: 0.35 }
+  },
+  US: {
+    currency: 'USD',
+    fuel: { petrol: 0.95, diesel: 1.05, cng: 0.8, lpg: 0.9, electric: 0.17 },
+    tolls: { light: 0.02, heavy: 0.1 },
+    driver: 25,
+    vehicle: { truck: 0.6, van: 0.3, pickup: 0.25, trailer: 0.7, container: 0.75, motorcycle: 0.06, bicycle: 0.01, other: 0.35 }
+  }
+};
+
+// Fuel efficiency used when a vehicle has no recorded average
+// (km per litre, electric: km per kWh)
+const DEFAULT_FUEL_EFFICIENCY = {
+  truck: { diesel: 3.5, petrol: 3, cng: 3, lpg: 3, hybrid: 4, electric: 1 },
+  trailer: { diesel: 3, petrol: 2.5, cng: 2.5, lpg: 2.5, hybrid: 3.5, electric: 0.9 },
+  container: { diesel: 2.8, petrol: 2.4, cng: 2.4, lpg: 2.4, hybrid: 3.3, electric: 0.8 },
+  van: { diesel: 9, petrol: 8, cng: 8, lpg: 7, hybrid: 12, electric: 4 },
+  pickup: { diesel: 10, petrol: 9, cng: 9, lpg: 8, hybrid: 13, electric: 4.5 },
+  motorcycle: { petrol: 35, diesel: 35, cng: 35, lpg: 30, hybrid: 45, electric: 20 },
+  other: { diesel: 8, petrol: 7, cng: 7, lpg: 6, hybrid: 10, electric: 4 }
+};
+
+// Vehicle types charged the heavy toll rate
+const HEAVY_VEHICLE_TYPES = ['truck', 'trailer', 'container'];
+
+// Country used when a route does not name one
+const DEFAULT_COST_COUNTRY = process.env.DEFAULT_COST_COUNTRY || 'KE';
+
+module.exports = {
+  COST_RATES,
+  DEFAULT_FUEL_EFFICIENCY,
+  HEAVY_VEHICLE_TYPES,
+  DEFAULT_COST_COUNTRY
+};
@@ -0,0 +1,52 @@
+// Greenhouse gas emission factors, in kg CO2e
+//
+// fuel:         per litre burned, well-to-wheel (hybrids burn petrol; CNG
+//               is per litre-equivalent, as it is priced in costRates.js)
+// electricity:  per kWh drawn from the grid, by country
+// load:         how much more fuel a vehicle uses fully loaded than empty,
+//               as a fraction of its usual consumption, by vehicle type
+//
+// Fuel factors follow published well-to-wheel averages and grid factors the
+// national generation mix. Replace them with the figures your shippers report
+// against.
+
+const FUEL_EMISSION_FACTORS = {
+  diesel: 3.17,
+  petrol: 2.8,
+  cng: 2.55,
+  lpg: 1.86
+};
+
+const GRID_EMISSION_FACTORS = {
+  NG: 0.43,
+  KE: 0.1,
+  GH: 0.36,
+  ZA: 0.95,
+  CM: 0.22,
+  GB: 0.21,
+  DE: 0.38,
+  US: 0.39
+};
+
+// Grid factor used for countries not listed above
+const DEFAULT_GRID_EMISSION_FACTOR = 0.45;
+
+// Default fuel efficiencies (config/costRates.js) are taken to be at half
+// load; consumption is scaled linearly from there
+const LOAD_SENSITIVITY = {
+  truck: 0.4,
+  trailer: 0.45,
+  container: 0.45,
+  van: 0.15,
+  pickup: 0.15,
+  motorcycle: 0.05,
+  bicycle: 0,
+  other: 0.2
+};
+
+module.exports = {
+  FUEL_EMISSION_FACTORS,
+  GRID_EMISSION_FACTORS,
+  DEFAULT_GRID_EMISSION_FACTOR,
+  LOAD_SENSITIVITY
+};
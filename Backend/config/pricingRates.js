@@ -0,0 +1,120 @@
+// Delivery pricing rates per region, in the region's currency
+//
+// base:              booking fee per order
+// perKm:             per km from pickup to delivery
+// perKg:             per kg of chargeable weight (the greater of the cargo
+//                    weight and its volume x volumetricWeight)
+// minimum:           lowest base price charged
+// taxes:             applied to the price after surcharges and discounts
+// types, handling, priority: surcharges as a percentage of the base price;
+//                    negative values are discounts
+//
+// Regions are ISO 3166 country codes. A subdivision code (NG-LA for Lagos)
+// holds only what differs from its country. Any field of PRICING_DEFAULTS can
+// be overridden per country or subdivision.
+
+const PRICING_DEFAULTS = {
+  volumetricWeight: 250, // kg per cubic metre
+  types: {
+    express: 50,
+    fragile: 20,
+    perishable: 25,
+    bulk: -15
+  },
+  handling: {
+    fragile: 10,
+    perishable: 15,
+    hazardous: 30,
+    refrigerated: 25,
+    upright: 5
+  },
+  priority: {
+    low: -5,
+    medium: 0,
+    high: 15,
+    urgent: 35
+  }
+};
+
+const PRICING_RATES = {
+  NG: {
+    currency: 'NGN',
+    base: 2000,
+    perKm: 400,
+    perKg: 30,
+    minimum: 3500,
+    taxes: [{ name: 'VAT', rate: 7.5 }]
+  },
+  'NG-LA': {
+    base: 2500,
+    perKm: 500
+  },
+  KE: {
+    currency: 'KES',
+    base: 300,
+    perKm: 60,
+    perKg: 5,
+    minimum: 500,
+    taxes: [{ name: 'VAT', rate: 16 }]
+  },
+  'KE-30': {
+    perKm: 70
+  },
+  GH: {
+    currency: 'GHS',
+    base: 25,
+    perKm: 5,
+    perKg: 0.4,
+    minimum: 40,
+    taxes: [{ name: 'VAT', rate: 15 }]
+  },
+  ZA: {
+    currency: 'ZAR',
+    base: 60,
+    perKm: 9,
+    perKg: 0.7,
+    minimum: 100,
+    taxes: [{ name: 'VAT', rate: 15 }]
+  },
+  CM: {
+    currency: 'XAF',
+    base: 1500,
+    perKm: 250,
+    perKg: 20,
+    minimum: 2500,
+    taxes: [{ name: 'VAT', rate: 19.25 }]
+  },
+  GB: {
+    currency: 'GBP',
+    base: 5,
+    perKm: 1.2,
+    perKg: 0.08,
+    minimum: 8,
+    taxes: [{ name: 'VAT', rate: 20 }]
+  },
+  DE: {
+    currency: 'EUR',
+    base: 6,
+    perKm: 1.3,
+    perKg: 0.09,
+    minimum: 9,
+    taxes: [{ name: 'VAT', rate: 19 }]
+  },
+  US: {
+    currency: 'USD',
+    base: 6,
+    perKm: 1.5,
+    perKg: 0.1,
+    minimum: 10,
+    taxes: []
+  }
+};
+
+// Region used when an order does not name one
+const DEFAULT_PRICING_REGION = process.env.DEFAULT_PRICING_REGION || process.env.DEFAULT_COST_COUNTRY || 'KE';
+
+module.exports = {
+  PRICING_DEFAULTS,
+  PRICING_RATES,
+  DEFAULT_PRICING_REGION
+};
@@ -0,0 +1,164 @@
+const RoadCondition = require('../models/RoadCondition');
+const logger = require('../utils/logger');
+const { ingestConditions, applyConditions, syncConditionFeed } = require('../utils/conditionFeed');
+
+// @desc    Get traffic and weather conditions
+// @route   GET /api/conditions
+// @access  Private
+const getConditions = async (req, res, next) => {
+  try {
+    const { type, source, includeExpired } = req.query;
+
+    // Build query
+    let query = includeExpired === 'true' ? {} : { expiresAt: { $gt: new Date() } };
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (source) {
+      query.source = source;
+    }
+
+    const conditions = await RoadCondition.find(query)
+      .populate('affectedRoutes', 'name status')
+      .sort({ startsAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: conditions.length,
+      data: conditions
+    });
+  } catch (error) {
+    logger.error('Get conditions error:', error);
+    next(error);
+  }
+};
+
+// @desc    Get single condition
+// @route   GET /api/conditions/:id
+// @access  Private
+const getCondition = async (req, res, next) => {
+  try {
+    const condition = await RoadCondition.findById(req.params.id)
+      .populate('affectedRoutes', 'name status')
+      .populate('reportedBy', 'firstName lastName email');
+
+    if (!condition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Condition not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: condition
+    });
+  } catch (error) {
+    logger.error('Get condition error:', error);
+    next(error);
+  }
+};
+
+// @desc    Report traffic incidents and weather, and apply them to routes
+// @route   POST /api/conditions
+// @access  Private (Admin/Fleet Manager)
+const reportConditions = async (req, res, next) => {
+  try {
+    const reports = Array.isArray(req.body.conditions) ? req.body.conditions : [req.body];
+
+    const { saved, errors } = await ingestConditions(reports, {
+      source: req.body.source,
+      reportedBy: req.user._id
+    });
+
+    if (saved.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid conditions in the request',
+        errors
+      });
+    }
+
+    const routes = await applyConditions();
+
+    logger.info(`${saved.length} condition(s) reported by ${req.user.email}, ${routes.length} route(s) updated`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Conditions recorded successfully',
+      data: {
+        conditions: saved,
+        errors,
+        routes
+      }
+    });
+  } catch (error) {
+    logger.error('Report conditions error:', error);
+    next(error);
+  }
+};
+
+// @desc    Pull the configured condition feed now
+// @route   POST /api/conditions/sync
+// @access  Private (Admin/Fleet Manager)
+const syncConditions = async (req, res, next) => {
+  try {
+    const { provider, saved, errors, routes } = await syncConditionFeed();
+
+    logger.info(`Condition feed synced by ${req.user.email}: ${saved.length} condition(s), ${routes.length} route(s) updated`);
+
+    res.status(200).json({
+      success: true,
+      message: provider ? `Condition feed ${provider} synced` : 'No condition feed configured; existing conditions re-applied',
+      data: {
+        provider,
+        conditions: saved,
+        errors,
+        routes
+      }
+    });
+  } catch (error) {
+    logger.error('Sync conditions error:', error);
+    next(error);
+  }
+};
+
+// @desc    Clear a condition and take it off the routes
+// @route   DELETE /api/conditions/:id
+// @access  Private (Admin/Fleet Manager)
+const deleteCondition = async (req, res, next) => {
+  try {
+    const condition = await RoadCondition.findById(req.params.id);
+
+    if (!condition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Condition not found'
+      });
+    }
+
+    await condition.deleteOne();
+    const routes = await applyConditions();
+
+    logger.info(`Condition cleared: ${condition.type} at ${condition.location.name || condition._id} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Condition cleared successfully',
+      data: { routes }
+    });
+  } catch (error) {
+    logger.error('Delete condition error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getConditions,
+  getCondition,
+  reportConditions,
+  syncConditions,
+  deleteCondition
+};
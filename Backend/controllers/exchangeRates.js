@@ -0,0 +1,221 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const logger = require('../utils/logger');
+const { CURRENCIES, getExchangeRate } = require('../utils/currency');
+
+// @desc    Get exchange rates
+// @route   GET /api/exchange-rates
+// @access  Private
+const getExchangeRates = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 100;
+    const { currency, at } = req.query;
+
+    // The table in effect at a moment: the latest rate per currency
+    if (at) {
+      const moment = new Date(at);
+      if (isNaN(moment.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date'
+        });
+      }
+
+      const rates = await ExchangeRate.aggregate([
+        { $match: { effectiveFrom: { $lte: moment }, ...(currency && { currency }) } },
+        { $sort: { effectiveFrom: -1 } },
+        { $group: { _id: '$currency', rate: { $first: '$$ROOT' } } },
+        { $replaceRoot: { newRoot: '$rate' } },
+        { $sort: { currency: 1 } }
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        count: rates.length,
+        data: rates
+      });
+    }
+
+    // Build query
+    let query = {};
+
+    if (currency) {
+      query.currency = currency;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const rates = await ExchangeRate.find(query)
+      .sort({ currency: 1, effectiveFrom: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await ExchangeRate.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: rates.length,
+      data: rates,
+      pagination: {
+        page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+  } catch (error) {
+    logger.error('Get exchange rates error:', error);
+    next(error);
+  }
+};
+
+// @desc    Convert an amount between currencies
+// @route   GET /api/exchange-rates/convert
+// @access  Private
+const convertCurrency = async (req, res, next) => {
+  try {
+    const amount = parseFloat(req.query.amount);
+    const from = (req.query.from || '').toUpperCase();
+    const to = (req.query.to || '').toUpperCase();
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+
+    if (isNaN(amount)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the amount to convert'
+      });
+    }
+
+    if (!CURRENCIES.includes(from) || !CURRENCIES.includes(to)) {
+      return res.status(400).json({
+        success: false,
+        message: `from and to must be one of: ${CURRENCIES.join(', ')}`
+      });
+    }
+
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+
+    const rate = await getExchangeRate(from, to, date);
+
+    if (rate === null) {
+      return res.status(404).json({
+        success: false,
+        message: `No exchange rate from ${from} to ${to} in effect on ${date.toISOString()}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        amount,
+        from,
+        to,
+        date,
+        rate,
+        convertedAmount: Math.round(amount * rate * 100) / 100
+      }
+    });
+  } catch (error) {
+    logger.error('Convert currency error:', error);
+    next(error);
+  }
+};
+
+// @desc    Add exchange rates
+// @route   POST /api/exchange-rates
+// @access  Private (Admin)
+const createExchangeRates = async (req, res, next) => {
+  try {
+    const entries = Array.isArray(req.body.rates) ? req.body.rates : [req.body];
+
+    const rates = await ExchangeRate.insertMany(entries.map(entry => ({
+      ...entry,
+      addedBy: req.user._id
+    })));
+
+    logger.info(`${rates.length} exchange rate(s) added by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Exchange rates added successfully',
+      count: rates.length,
+      data: rates
+    });
+  } catch (error) {
+    logger.error('Create exchange rates error:', error);
+    next(error);
+  }
+};
+
+// @desc    Update exchange rate
+// @route   PUT /api/exchange-rates/:id
+// @access  Private (Admin)
+const updateExchangeRate = async (req, res, next) => {
+  try {
+    delete req.body.addedBy;
+
+    const rate = await ExchangeRate.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    logger.info(`Exchange rate updated: ${rate.currency} from ${rate.effectiveFrom.toISOString()} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rate updated successfully',
+      data: rate
+    });
+  } catch (error) {
+    logger.error('Update exchange rate error:', error);
+    next(error);
+  }
+};
+
+// @desc    Delete exchange rate
+// @route   DELETE /api/exchange-rates/:id
+// @access  Private (Admin)
+const deleteExchangeRate = async (req, res, next) => {
+  try {
+    const rate = await ExchangeRate.findById(req.params.id);
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    await rate.deleteOne();
+
+    logger.info(`Exchange rate deleted: ${rate.currency} from ${rate.effectiveFrom.toISOString()} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rate deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete exchange rate error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getExchangeRates,
+  convertCurrency,
+  createExchangeRates,
+  updateExchangeRate,
+  deleteExchangeRate
+};
@@ -0,0 +1,192 @@
+const FuelStation = require('../models/FuelStation');
+const logger = require('../utils/logger');
+const { calculateDistance } = require('../utils/distanceProvider');
+
+// @desc    Get fuel stations and charging points
+// @route   GET /api/fuel-stations
+// @access  Private
+const getFuelStations = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const { fuelType, country, search } = req.query;
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const radius = parseFloat(req.query.radius) || 50; // km
+
+    // Build query
+    let query = { isActive: true };
+
+    if (fuelType) {
+      query.fuelTypes = fuelType;
+    }
+
+    if (country) {
+      query['location.country'] = country;
+    }
+
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { operator: { $regex: search, $options: 'i' } },
+        { 'location.city': { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    // Stations around a point, nearest first
+    if (!isNaN(lat) && !isNaN(lng)) {
+      const stations = (await FuelStation.findNearPoints([{ lat, lng }], fuelType, radius).find(query))
+        .map(station => ({
+          station,
+          distance: calculateDistance(lat, lng, station.location.coordinates.lat, station.location.coordinates.lng)
+        }))
+        .filter(({ distance }) => distance <= radius)
+        .sort((a, b) => a.distance - b.distance);
+
+      return res.status(200).json({
+        success: true,
+        count: stations.length,
+        data: stations.map(({ station, distance }) => ({ ...station.toObject(), distance }))
+      });
+    }
+
+    const skip = (page - 1) * limit;
+
+    const stations = await FuelStation.find(query)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await FuelStation.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: stations.length,
+      data: stations,
+      pagination: {
+        page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+  } catch (error) {
+    logger.error('Get fuel stations error:', error);
+    next(error);
+  }
+};
+
+// @desc    Get single fuel station
+// @route   GET /api/fuel-stations/:id
+// @access  Private
+const getFuelStation = async (req, res, next) => {
+  try {
+    const station = await FuelStation.findById(req.params.id)
+      .populate('addedBy', 'firstName lastName email');
+
+    if (!station) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fuel station not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: station
+    });
+  } catch (error) {
+    logger.error('Get fuel station error:', error);
+    next(error);
+  }
+};
+
+// @desc    Add fuel station or charging point
+// @route   POST /api/fuel-stations
+// @access  Private (Admin/Fleet Manager)
+const createFuelStation = async (req, res, next) => {
+  try {
+    req.body.addedBy = req.user._id;
+
+    const station = await FuelStation.create(req.body);
+
+    logger.info(`Fuel station added: ${station.name} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Fuel station added successfully',
+      data: station
+    });
+  } catch (error) {
+    logger.error('Create fuel station error:', error);
+    next(error);
+  }
+};
+
+// @desc    Update fuel station
+// @route   PUT /api/fuel-stations/:id
+// @access  Private (Admin/Fleet Manager)
+const updateFuelStation = async (req, res, next) => {
+  try {
+    delete req.body.addedBy;
+
+    const station = await FuelStation.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!station) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fuel station not found'
+      });
+    }
+
+    logger.info(`Fuel station updated: ${station.name} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Fuel station updated successfully',
+      data: station
+    });
+  } catch (error) {
+    logger.error('Update fuel station error:', error);
+    next(error);
+  }
+};
+
+// @desc    Delete fuel station
+// @route   DELETE /api/fuel-stations/:id
+// @access  Private (Admin/Fleet Manager)
+const deleteFuelStation = async (req, res, next) => {
+  try {
+    const station = await FuelStation.findById(req.params.id);
+
+    if (!station) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fuel station not found'
+      });
+    }
+
+    await station.deleteOne();
+
+    logger.info(`Fuel station deleted: ${station.name} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Fuel station deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete fuel station error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getFuelStations,
+  getFuelStation,
+  createFuelStation,
+  updateFuelStation,
+  deleteFuelStation
+};
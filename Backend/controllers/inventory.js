@@ -1,5 +1,12 @@
 const Inventory = require('../models/Inventory');
 const logger = require('../utils/logger');
+const {
+  CURRENCIES,
+  getBaseCurrency,
+  conversionStages,
+  convertedSum,
+  unconvertedCount
+} = require('../utils/currency');
 
 // @desc    Get all inventory items
 // @route   GET /api/inventory
@@ -573,6 +580,16 @@ const getInventoryAnalytics = async (req, res, next) => {
   try {
     const query = req.user.role === 'admin' ? {} : { owner: req.user._id };
 
+    // Values are reported in this currency, at today's rates
+    const currency = getBaseCurrency(req.query.currency);
+    if (!currency) {
+      return res.status(400).json({
+        success: false,
+        message: `currency must be one of: ${CURRENCIES.join(', ')}`
+      });
+    }
+    const toBaseCurrency = conversionStages({ currency: '$pricing.currency', date: new Date(), base: currency });
+
     const totalItems = await Inventory.countDocuments(query);
     const activeItems = await Inventory.countDocuments({ ...query, status: 'active' });
     const lowStockItems = await Inventory.countDocuments({
@@ -596,19 +613,13 @@ const getInventoryAnalytics = async (req, res, next) => {
     // Calculate total inventory value
     const inventoryValue = await Inventory.aggregate([
       { $match: query },
+      ...toBaseCurrency,
       {
         $group: {
           _id: null,
-          totalValue: {
-            $sum: {
-              $multiply: ['$stock.current', '$pricing.price']
-            }
-          },
-          totalCost: {
-            $sum: {
-              $multiply: ['$stock.current', '$pricing.cost']
-            }
-          }
+          totalValue: convertedSum({ $multiply: ['$stock.current', '$pricing.price'] }),
+          totalCost: convertedSum({ $multiply: ['$stock.current', '$pricing.cost'] }),
+          unconvertedItems: unconvertedCount()
         }
       }
     ]);
@@ -616,15 +627,12 @@ const getInventoryAnalytics = async (req, res, next) => {
     // Get category distribution
     const categoryDistribution = await Inventory.aggregate([
       { $match: query },
+      ...toBaseCurrency,
       {
         $group: {
           _id: '$category',
           count: { $sum: 1 },
-          totalValue: {
-            $sum: {
-              $multiply: ['$stock.current', '$pricing.price']
-            }
-          }
+          totalValue: convertedSum({ $multiply: ['$stock.current', '$pricing.price'] })
         }
       },
       { $sort: { count: -1 } }
@@ -638,7 +646,9 @@ const getInventoryAnalytics = async (req, res, next) => {
         outOfStockItems,
         expiringItems,
         totalValue: inventoryValue[0]?.totalValue || 0,
-        totalCost: inventoryValue[0]?.totalCost || 0
+        totalCost: inventoryValue[0]?.totalCost || 0,
+        unconvertedItems: inventoryValue[0]?.unconvertedItems || 0,
+        currency
       },
       categoryDistribution,
       alerts: {
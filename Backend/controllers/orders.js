@@ -1,8 +1,47 @@
+const fs = require('fs');
+const path = require('path');
 const Order = require('../models/Order');
 const User = require('../models/User');
 const Vehicle = require('../models/Vehicle');
 const Route = require('../models/Route');
 const logger = require('../utils/logger');
+const { checkBookingConflicts } = require('../utils/bookings');
+const { checkStatusTransition } = require('../utils/orderStatus');
+const { quoteOrder } = require('../utils/pricing');
+const { ID_TYPES, maskIdNumber, getProofFiles, summarizeProof } = require('../utils/proofOfDelivery');
+const { proofDir } = require('../middleware/upload');
+const {
+  hasActiveCode,
+  issueDeliveryCode,
+  sendDeliveryCode,
+  verifyDeliveryCode,
+  overrideDeliveryCode
+} = require('../utils/deliveryCode');
+
+// Fields PUT /api/orders/:id may change, and those only admins may change.
+// Status, tracking, notes and proof have their own endpoints.
+const EDITABLE_ORDER_FIELDS = [
+  'vendor',
+  'priority',
+  'type',
+  'category',
+  'pickup',
+  'delivery',
+  'cargo',
+  'serviceRequirements',
+  'specialHandling',
+  'tags'
+];
+const ADMIN_ORDER_FIELDS = ['customer', 'assignedDriver', 'assignedVehicle', 'pricing'];
+
+// Parts of an editable field written only by their own handlers: proof by
+// the POD upload endpoints, completion times by status updates and the
+// delivery code by the code helpers
+const PROOF_FIELDS = ['photos', 'signature', 'recipient', 'proofCapturedAt', 'completedBy', 'actualTime'];
+const PROTECTED_ORDER_FIELDS = [
+  ...PROOF_FIELDS.flatMap(field => [`pickup.${field}`, `delivery.${field}`]),
+  'delivery.verification'
+];
 
 // @desc    Get all orders
 // @route   GET /api/orders
@@ -159,6 +198,22 @@ const createOrder = async (req, res, next) => {
       req.body.customer = req.user._id;
     }
 
+    // Price the order; only admins may set their own base price
+    if (req.user.role !== 'admin' || req.body.pricing?.basePrice === undefined) {
+      const quote = await quoteOrder(req.body);
+      if (quote.error) {
+        return res.status(400).json({
+          success: false,
+          message: quote.error
+        });
+      }
+
+      req.body.pricing = {
+        ...req.body.pricing,
+        ...quote.pricing
+      };
+    }
+
     const order = await Order.create(req.body);
 
     // Populate the created order
@@ -179,6 +234,30 @@ const createOrder = async (req, res, next) => {
   }
 };
 
+// @desc    Quote the price of an order
+// @route   POST /api/orders/quote
+// @access  Private
+const getOrderQuote = async (req, res, next) => {
+  try {
+    const quote = await quoteOrder(req.body);
+
+    if (quote.error) {
+      return res.status(400).json({
+        success: false,
+        message: quote.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    logger.error('Get order quote error:', error);
+    next(error);
+  }
+};
+
 // @desc    Update order
 // @route   PUT /api/orders/:id
 // @access  Private
@@ -207,15 +286,11 @@ const updateOrder = async (req, res, next) => {
       });
     }
 
-    // Prevent certain fields from being updated by non-admin users
-    if (req.user.role !== 'admin') {
-      delete req.body.pricing;
-      delete req.body.customer;
-      delete req.body.assignedDriver;
-      delete req.body.assignedVehicle;
-    }
+    // Only the fields the user may edit are written; anything else in the
+    // body is ignored
+    const update = editableUpdate(req.body, req.user);
 
-    order = await Order.findByIdAndUpdate(req.params.id, req.body, {
+    order = await Order.findByIdAndUpdate(req.params.id, { $set: update }, {
       new: true,
       runValidators: true
     }).populate('customer', 'firstName lastName email phone')
@@ -276,9 +351,10 @@ const deleteOrder = async (req, res, next) => {
 // @access  Private
 const updateOrderStatus = async (req, res, next) => {
   try {
-    const { status, notes, location } = req.body;
+    const { status, notes, location, deliveryCode, overrideCode, overrideNote } = req.body;
 
-    const order = await Order.findById(req.params.id);
+    const order = await Order.findById(req.params.id)
+      .select('+delivery.verification.codeHash');
 
     if (!order) {
       return res.status(404).json({
@@ -287,28 +363,70 @@ const updateOrderStatus = async (req, res, next) => {
       });
     }
 
-    // Check authorization
-    const canUpdate = (
-      req.user.role === 'admin' ||
-      order.assignedDriver?.toString() === req.user._id.toString() ||
-      (req.user.role === 'fleet-manager')
-    );
+    // Check the transition and who is making it
+    const problem = transitionProblem(order, status, req.user);
+    if (problem) {
+      return res.status(problem.statusCode).json(problem.body);
+    }
 
-    if (!canUpdate) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to update this order status'
-      });
+    // Delivery is confirmed with the recipient's code, or overridden by an admin
+    if (status === 'delivered' && order.status !== 'delivered') {
+      if (overrideCode) {
+        if (req.user.role !== 'admin') {
+          return res.status(403).json({
+            success: false,
+            message: 'Only admins may override the delivery code'
+          });
+        }
+
+        if (!overrideNote || !overrideNote.trim()) {
+          return res.status(400).json({
+            success: false,
+            message: 'Please provide a note explaining the override'
+          });
+        }
+
+        overrideDeliveryCode(order, overrideNote.trim(), req.user._id);
+        order.internalNotes.push({
+          note: `Delivery code overridden: ${overrideNote.trim()}`,
+          addedBy: req.user._id,
+          private: true
+        });
+
+        logger.warn(`Delivery code overridden for order ${order.orderNumber} by ${req.user.email}: ${overrideNote.trim()}`);
+      } else {
+        const codeProblem = verifyDeliveryCode(order, deliveryCode, req.user._id);
+        if (codeProblem) {
+          await order.save();
+          return res.status(codeProblem.statusCode).json({
+            success: false,
+            message: codeProblem.message,
+            ...(codeProblem.attemptsRemaining !== undefined && { attemptsRemaining: codeProblem.attemptsRemaining })
+          });
+        }
+      }
     }
 
+    const previousStatus = order.status;
     await order.updateStatus(status, notes, location, req.user._id);
 
-    logger.info(`Order status updated: ${order.orderNumber} to ${status} by ${req.user.email}`);
+    logger.info(`Order status updated: ${order.orderNumber} from ${previousStatus} to ${status} by ${req.user.email}`);
+
+    // Share a delivery code with the recipient once the order heads out
+    let codeSent;
+    if (status === 'out-for-delivery' && !hasActiveCode(order)) {
+      const code = issueDeliveryCode(order);
+      codeSent = await sendDeliveryCode(order, code);
+      await order.save();
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Order status updated successfully',
-      data: order
+      message: codeSent && !codeSent.delivered
+        ? 'Order status updated, but the delivery code could not be sent to the delivery contact. Generate a new code to share it.'
+        : 'Order status updated successfully',
+      data: order,
+      ...(codeSent && { deliveryCode: codeSent })
     });
   } catch (error) {
     logger.error('Update order status error:', error);
@@ -332,6 +450,11 @@ const assignOrder = async (req, res, next) => {
       });
     }
 
+    const problem = transitionProblem(order, 'assigned', req.user);
+    if (problem) {
+      return res.status(problem.statusCode).json(problem.body);
+    }
+
     // Verify driver exists and is available
     const driver = await User.findById(driverId);
     if (!driver || driver.role !== 'driver') {
@@ -358,6 +481,22 @@ const assignOrder = async (req, res, next) => {
       });
     }
 
+    // Driver and vehicle must not be on another route between pickup and delivery
+    const clash = await checkBookingConflicts({
+      driver: driverId,
+      vehicle: vehicleId,
+      start: order.pickup.timeWindow?.start,
+      end: order.delivery.timeWindow?.end || order.tracking.estimatedDeliveryTime,
+      excludeRoute: order.assignedRoute
+    });
+    if (clash) {
+      return res.status(409).json({
+        success: false,
+        message: clash.message,
+        conflicts: clash.conflicts
+      });
+    }
+
     await order.assignDriverAndVehicle(driverId, vehicleId);
 
     // Update vehicle status
@@ -394,26 +533,10 @@ const cancelOrder = async (req, res, next) => {
       });
     }
 
-    // Check authorization
-    const canCancel = (
-      req.user.role === 'admin' ||
-      order.customer.toString() === req.user._id.toString() ||
-      (req.user.role === 'fleet-manager')
-    );
-
-    if (!canCancel) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to cancel this order'
-      });
-    }
-
-    // Check if order can be cancelled
-    if (['delivered', 'cancelled'].includes(order.status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot cancel order with current status'
-      });
+    // Check authorization and whether the order can still be cancelled
+    const problem = transitionProblem(order, 'cancelled', req.user);
+    if (problem) {
+      return res.status(problem.statusCode).json(problem.body);
     }
 
     const refundAmount = order.status === 'pending' ? order.pricing.totalAmount : 0;
@@ -541,15 +664,350 @@ const getOrderTracking = async (req, res, next) => {
   }
 };
 
+// @desc    Upload proof of pickup
+// @route   POST /api/orders/:id/pod/pickup
+// @access  Private (Admin/Fleet Manager/Assigned Driver)
+const uploadPickupProof = async (req, res, next) => {
+  try {
+    const order = await findOrderForProof(req, res, ['assigned', 'picked-up'], 'pickup');
+    if (!order) return;
+
+    if (!req.files?.photos && !req.files?.signature) {
+      removeUploads(req);
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload pickup photos or a signature'
+      });
+    }
+
+    attachProof(order.pickup, req);
+    await order.save();
+
+    logger.info(`Pickup proof added to order ${order.orderNumber} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Pickup proof uploaded successfully',
+      data: summarizeProof(order)
+    });
+  } catch (error) {
+    removeUploads(req);
+    logger.error('Upload pickup proof error:', error);
+    next(error);
+  }
+};
+
+// @desc    Upload proof of delivery
+// @route   POST /api/orders/:id/pod/delivery
+// @access  Private (Admin/Fleet Manager/Assigned Driver)
+const uploadDeliveryProof = async (req, res, next) => {
+  try {
+    const { recipientName, idType, idNumber } = req.body;
+
+    const order = await findOrderForProof(req, res, ['picked-up', 'in-transit', 'out-for-delivery'], 'delivery');
+    if (!order) return;
+
+    if (!req.files?.photos && !req.files?.signature && !req.files?.identification &&
+        !recipientName && !idType && !idNumber) {
+      removeUploads(req);
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload delivery photos, a signature or the recipient\'s identification'
+      });
+    }
+
+    if (idType && !ID_TYPES.includes(idType)) {
+      removeUploads(req);
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ID type. Must be one of: ${ID_TYPES.join(', ')}`
+      });
+    }
+
+    attachProof(order.delivery, req);
+
+    const recipient = order.delivery.recipient;
+    if (recipientName) recipient.name = recipientName;
+    if (idType) recipient.identification.type = idType;
+    if (idNumber) recipient.identification.number = maskIdNumber(idNumber);
+    if (req.files.identification) {
+      recipient.identification.photo = req.files.identification[0].filename;
+    }
+
+    await order.save();
+
+    logger.info(`Delivery proof added to order ${order.orderNumber} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery proof uploaded successfully',
+      data: summarizeProof(order)
+    });
+  } catch (error) {
+    removeUploads(req);
+    logger.error('Upload delivery proof error:', error);
+    next(error);
+  }
+};
+
+// @desc    Get proof of pickup and delivery
+// @route   GET /api/orders/:id/pod
+// @access  Private
+const getOrderProof = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate('pickup.completedBy', 'firstName lastName')
+      .populate('delivery.completedBy', 'firstName lastName');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!canViewProof(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this order\'s proof of delivery'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: summarizeProof(order)
+    });
+  } catch (error) {
+    logger.error('Get order proof error:', error);
+    next(error);
+  }
+};
+
+// @desc    Get a proof of pickup or delivery file
+// @route   GET /api/orders/:id/pod/files/:file
+// @access  Private
+const getOrderProofFile = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!canViewProof(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this order\'s proof of delivery'
+      });
+    }
+
+    // Only files recorded on this order, never arbitrary paths
+    const file = path.basename(req.params.file);
+    const filePath = path.join(proofDir, file);
+
+    if (!getProofFiles(order).includes(file) || !fs.existsSync(filePath)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.sendFile(filePath);
+  } catch (error) {
+    logger.error('Get order proof file error:', error);
+    next(error);
+  }
+};
+
+// @desc    Generate a new delivery code
+// @route   POST /api/orders/:id/delivery-code
+// @access  Private (Admin/Fleet Manager/Customer)
+const regenerateDeliveryCode = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const isCustomer = order.customer.toString() === req.user._id.toString();
+
+    if (!['admin', 'fleet-manager'].includes(req.user.role) && !isCustomer) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to generate a delivery code for this order'
+      });
+    }
+
+    if (['delivered', 'returned', 'cancelled'].includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `A delivery code cannot be generated for a ${order.status} order`,
+        currentStatus: order.status
+      });
+    }
+
+    const code = issueDeliveryCode(order);
+    const { sentTo, delivered } = await sendDeliveryCode(order, code);
+    await order.save();
+
+    logger.info(`Delivery code generated for order ${order.orderNumber} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: delivered
+        ? 'Delivery code generated and sent to the delivery contact'
+        : 'Delivery code generated but could not be sent. Please share it with the delivery contact',
+      data: {
+        sentTo,
+        delivered,
+        expiresAt: order.delivery.verification.expiresAt,
+        // Drivers never see the code; admins and the customer may pass it on
+        ...((req.user.role === 'admin' || isCustomer) && { code })
+      }
+    });
+  } catch (error) {
+    logger.error('Regenerate delivery code error:', error);
+    next(error);
+  }
+};
+
+// Helper function to load an order that proof may be added to, sending the
+// error response (and removing the uploads) when it may not
+const findOrderForProof = async (req, res, statuses, stage) => {
+  const order = await Order.findById(req.params.id);
+
+  let status = null;
+  let message;
+
+  if (!order) {
+    status = 404;
+    message = 'Order not found';
+  } else if (req.user.role === 'driver' && order.assignedDriver?.toString() !== req.user._id.toString()) {
+    status = 403;
+    message = 'Drivers may only add proof to orders assigned to them';
+  } else if (!statuses.includes(order.status)) {
+    status = 409;
+    message = `Proof of ${stage} can only be added while the order is ${statuses.join(', ')}`;
+  }
+
+  if (status) {
+    removeUploads(req);
+    res.status(status).json({
+      success: false,
+      message,
+      ...(order && { currentStatus: order.status })
+    });
+    return null;
+  }
+
+  return order;
+};
+
+// Helper function to check who may see an order's proof of delivery: the
+// customer, the assigned driver, admins and fleet managers
+const canViewProof = (order, user) => (
+  ['admin', 'fleet-manager'].includes(user.role) ||
+  order.customer.toString() === user._id.toString() ||
+  order.assignedDriver?.toString() === user._id.toString()
+);
+
+// Helper function to turn an order update into the $set paths the user may
+// edit. Nested objects and dotted keys are checked path by path, so
+// { delivery: { contact } } only sets delivery.contact and
+// "pricing.totalAmount" is treated as part of pricing.
+const editableUpdate = (body, user) => {
+  const allowed = user.role === 'admin'
+    ? [...EDITABLE_ORDER_FIELDS, ...ADMIN_ORDER_FIELDS]
+    : EDITABLE_ORDER_FIELDS;
+  const within = (path, field) => path === field || path.startsWith(`${field}.`);
+  const update = {};
+
+  const collect = (value, path) => {
+    if (path.split('.').includes('__proto__')) return;
+    if (PROTECTED_ORDER_FIELDS.some(field => within(path, field))) return;
+
+    const holdsProtected = PROTECTED_ORDER_FIELDS.some(field => field.startsWith(`${path}.`));
+    if (allowed.some(field => within(path, field)) && !holdsProtected) {
+      update[path] = value;
+    } else if (value && typeof value === 'object' && !Array.isArray(value) &&
+      (holdsProtected || allowed.some(field => field.startsWith(`${path}.`)))) {
+      Object.keys(value).forEach(key => collect(value[key], `${path}.${key}`));
+    }
+  };
+
+  Object.keys(body || {}).forEach(key => collect(body[key], key));
+  return update;
+};
+
+// Helper function to record uploaded photos and signature on a pickup or
+// delivery; photos accumulate, a new signature replaces the old one
+const attachProof = (stop, req) => {
+  const files = req.files || {};
+
+  if (files.photos) {
+    stop.photos.push(...files.photos.map(file => file.filename));
+  }
+  if (files.signature) {
+    stop.signature = files.signature[0].filename;
+  }
+  if (req.body.notes) {
+    stop.notes = req.body.notes;
+  }
+
+  stop.proofCapturedAt = new Date();
+  stop.completedBy = req.user._id;
+};
+
+// Helper function to remove files uploaded with a rejected request
+const removeUploads = (req) => {
+  Object.values(req.files || {}).flat().forEach(file => {
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  });
+};
+
+// Helper function to check an order status change; returns the error
+// response to send, or null when the change is allowed
+const transitionProblem = (order, status, user) => {
+  const problem = checkStatusTransition(order, status, user);
+  if (!problem) return null;
+
+  return {
+    statusCode: problem.statusCode,
+    body: {
+      success: false,
+      message: problem.message,
+      currentStatus: order.status,
+      ...(problem.allowed && { allowed: problem.allowed }),
+      ...(problem.missing && { missing: problem.missing })
+    }
+  };
+};
+
 module.exports = {
   getOrders,
   getOrder,
   createOrder,
+  getOrderQuote,
   updateOrder,
   deleteOrder,
   updateOrderStatus,
   assignOrder,
   cancelOrder,
   addNote,
-  getOrderTracking
+  getOrderTracking,
+  uploadPickupProof,
+  uploadDeliveryProof,
+  getOrderProof,
+  getOrderProofFile,
+  regenerateDeliveryCode
 };
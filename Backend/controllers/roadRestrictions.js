@@ -0,0 +1,184 @@
+const RoadRestriction = require('../models/RoadRestriction');
+const logger = require('../utils/logger');
+
+// @desc    Get toll roads, highways and restricted zones
+// @route   GET /api/road-restrictions
+// @access  Private
+const getRoadRestrictions = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const { type, country, search } = req.query;
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const radius = parseFloat(req.query.radius) || 50; // km
+
+    // Build query
+    let query = { isActive: true };
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (country) {
+      query.country = country;
+    }
+
+    if (search) {
+      query.name = { $regex: search, $options: 'i' };
+    }
+
+    // Restrictions around a point
+    if (!isNaN(lat) && !isNaN(lng)) {
+      const restrictions = await RoadRestriction.findNearPoints([{ lat, lng }], type ? [type] : null, radius).find(query);
+
+      return res.status(200).json({
+        success: true,
+        count: restrictions.length,
+        data: restrictions
+      });
+    }
+
+    const skip = (page - 1) * limit;
+
+    const restrictions = await RoadRestriction.find(query)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await RoadRestriction.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: restrictions.length,
+      data: restrictions,
+      pagination: {
+        page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+  } catch (error) {
+    logger.error('Get road restrictions error:', error);
+    next(error);
+  }
+};
+
+// @desc    Get single road restriction
+// @route   GET /api/road-restrictions/:id
+// @access  Private
+const getRoadRestriction = async (req, res, next) => {
+  try {
+    const restriction = await RoadRestriction.findById(req.params.id)
+      .populate('addedBy', 'firstName lastName email');
+
+    if (!restriction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Road restriction not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: restriction
+    });
+  } catch (error) {
+    logger.error('Get road restriction error:', error);
+    next(error);
+  }
+};
+
+// @desc    Add toll road, highway or restricted zone
+// @route   POST /api/road-restrictions
+// @access  Private (Admin/Fleet Manager)
+const createRoadRestriction = async (req, res, next) => {
+  try {
+    req.body.addedBy = req.user._id;
+    delete req.body.bounds;
+
+    const restriction = await RoadRestriction.create(req.body);
+
+    logger.info(`Road restriction added: ${restriction.name} (${restriction.type}) by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Road restriction added successfully',
+      data: restriction
+    });
+  } catch (error) {
+    logger.error('Create road restriction error:', error);
+    next(error);
+  }
+};
+
+// @desc    Update road restriction
+// @route   PUT /api/road-restrictions/:id
+// @access  Private (Admin/Fleet Manager)
+const updateRoadRestriction = async (req, res, next) => {
+  try {
+    delete req.body.addedBy;
+    delete req.body.bounds;
+
+    const restriction = await RoadRestriction.findById(req.params.id);
+
+    if (!restriction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Road restriction not found'
+      });
+    }
+
+    // Save through the document so the bounding box follows the path
+    restriction.set(req.body);
+    await restriction.save();
+
+    logger.info(`Road restriction updated: ${restriction.name} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Road restriction updated successfully',
+      data: restriction
+    });
+  } catch (error) {
+    logger.error('Update road restriction error:', error);
+    next(error);
+  }
+};
+
+// @desc    Delete road restriction
+// @route   DELETE /api/road-restrictions/:id
+// @access  Private (Admin/Fleet Manager)
+const deleteRoadRestriction = async (req, res, next) => {
+  try {
+    const restriction = await RoadRestriction.findById(req.params.id);
+
+    if (!restriction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Road restriction not found'
+      });
+    }
+
+    await restriction.deleteOne();
+
+    logger.info(`Road restriction deleted: ${restriction.name} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Road restriction deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete road restriction error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getRoadRestrictions,
+  getRoadRestriction,
+  createRoadRestriction,
+  updateRoadRestriction,
+  deleteRoadRestriction
+};
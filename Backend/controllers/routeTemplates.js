@@ -0,0 +1,400 @@
+const RouteTemplate = require('../models/RouteTemplate');
+const Route = require('../models/Route');
+const logger = require('../utils/logger');
+const { toDay } = require('../utils/recurrence');
+const { getTemplateDays, generateTemplateRoutes } = require('../utils/templateScheduler');
+const { checkVehicleAssignment } = require('../utils/routeConstraints');
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 92;
+
+// Helper function to load a template the user may manage
+const findManagedTemplate = async (req, res) => {
+  const template = await RouteTemplate.findById(req.params.id);
+
+  if (!template) {
+    res.status(404).json({
+      success: false,
+      message: 'Route template not found'
+    });
+    return null;
+  }
+
+  const canManage = (
+    req.user.role === 'admin' ||
+    template.createdBy.toString() === req.user._id.toString()
+  );
+
+  if (!canManage) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this route template'
+    });
+    return null;
+  }
+
+  return template;
+};
+
+// Helper function to read a from/to day range, defaulting to the next two weeks
+const getDayRange = (template, source) => {
+  const from = source.from || toDay(new Date(), template.schedule.timezone || 'UTC');
+  const to = source.to || new Date(new Date(`${from}T00:00:00Z`).getTime() + 13 * 24 * 60 * 60 * 1000)
+    .toISOString().slice(0, 10);
+
+  if (!DAY_PATTERN.test(from) || !DAY_PATTERN.test(to)) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+  if (from > to) {
+    return { error: 'from must not be after to' };
+  }
+  if ((new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000) >= MAX_RANGE_DAYS) {
+    return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { from, to };
+};
+
+// @desc    Get route templates
+// @route   GET /api/route-templates
+// @access  Private
+const getRouteTemplates = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    // Build query
+    let query = {};
+
+    // Role-based filtering
+    if (req.user.role !== 'admin') {
+      query.createdBy = req.user._id;
+    }
+
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    if (req.query.search) {
+      query.name = { $regex: req.query.search, $options: 'i' };
+    }
+
+    const skip = (page - 1) * limit;
+
+    const templates = await RouteTemplate.find(query)
+      .populate('assignedDriver', 'firstName lastName email phone')
+      .populate('assignedVehicle', 'registrationNumber type make model')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await RouteTemplate.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates,
+      pagination: {
+        page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+  } catch (error) {
+    logger.error('Get route templates error:', error);
+    next(error);
+  }
+};
+
+// @desc    Get single route template
+// @route   GET /api/route-templates/:id
+// @access  Private
+const getRouteTemplate = async (req, res, next) => {
+  try {
+    const template = await findManagedTemplate(req, res);
+    if (!template) return;
+
+    await template.populate([
+      { path: 'assignedDriver', select: 'firstName lastName email phone' },
+      { path: 'assignedVehicle', select: 'registrationNumber type make model' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    logger.error('Get route template error:', error);
+    next(error);
+  }
+};
+
+// @desc    Create route template
+// @route   POST /api/route-templates
+// @access  Private
+const createRouteTemplate = async (req, res, next) => {
+  try {
+    req.body.createdBy = req.user._id;
+    delete req.body.lastGeneratedDate;
+
+    const misfit = await checkVehicleAssignment({
+      vehicle: req.body.assignedVehicle,
+      constraints: req.body.constraints
+    });
+    if (misfit) {
+      return res.status(400).json({
+        success: false,
+        message: misfit.message,
+        violations: misfit.violations
+      });
+    }
+
+    const template = await RouteTemplate.create(req.body);
+
+    logger.info(`Route template created: ${template.name} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Route template created successfully',
+      data: template
+    });
+  } catch (error) {
+    logger.error('Create route template error:', error);
+    next(error);
+  }
+};
+
+// @desc    Update route template
+// @route   PUT /api/route-templates/:id
+// @access  Private
+const updateRouteTemplate = async (req, res, next) => {
+  try {
+    const template = await findManagedTemplate(req, res);
+    if (!template) return;
+
+    delete req.body.createdBy;
+    delete req.body.lastGeneratedDate;
+
+    // Save through the document so the recurrence rule is validated again
+    template.set(req.body);
+
+    const misfit = await checkVehicleAssignment({
+      vehicle: template.assignedVehicle,
+      constraints: template.constraints
+    });
+    if (misfit) {
+      return res.status(400).json({
+        success: false,
+        message: misfit.message,
+        violations: misfit.violations
+      });
+    }
+
+    await template.save();
+
+    logger.info(`Route template updated: ${template.name} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Route template updated successfully. Routes already generated are not changed.',
+      data: template
+    });
+  } catch (error) {
+    logger.error('Update route template error:', error);
+    next(error);
+  }
+};
+
+// @desc    Delete route template
+// @route   DELETE /api/route-templates/:id
+// @access  Private
+const deleteRouteTemplate = async (req, res, next) => {
+  try {
+    const template = await findManagedTemplate(req, res);
+    if (!template) return;
+
+    await template.deleteOne();
+
+    logger.info(`Route template deleted: ${template.name} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Route template deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete route template error:', error);
+    next(error);
+  }
+};
+
+// @desc    Preview the days a template runs on
+// @route   GET /api/route-templates/:id/occurrences
+// @access  Private
+const getTemplateOccurrences = async (req, res, next) => {
+  try {
+    const template = await findManagedTemplate(req, res);
+    if (!template) return;
+
+    const { from, to, error } = getDayRange(template, req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const days = getTemplateDays(template, from, to);
+    const generated = await Route.find({ template: template._id, templateDate: { $in: days } })
+      .select('templateDate status');
+    const routeByDay = new Map(generated.map(route => [route.templateDate, route]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from,
+        to,
+        occurrences: days.map(day => ({
+          date: day,
+          route: routeByDay.get(day) || null
+        })),
+        exceptions: template.exceptions.filter(exception => exception.date >= from && exception.date <= to)
+      }
+    });
+  } catch (error) {
+    logger.error('Get template occurrences error:', error);
+    next(error);
+  }
+};
+
+// @desc    Create the routes for a template over a date range
+// @route   POST /api/route-templates/:id/generate
+// @access  Private
+const generateRoutes = async (req, res, next) => {
+  try {
+    const template = await findManagedTemplate(req, res);
+    if (!template) return;
+
+    const { from, to, error } = getDayRange(template, req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { created, existing } = await generateTemplateRoutes(template, from, to);
+
+    logger.info(`${created.length} route(s) generated from template ${template.name} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} route(s) generated`,
+      count: created.length,
+      data: {
+        routes: created,
+        alreadyGenerated: existing
+      }
+    });
+  } catch (error) {
+    logger.error('Generate template routes error:', error);
+    next(error);
+  }
+};
+
+// @desc    Add an exception (holiday or skipped day) to a template
+// @route   POST /api/route-templates/:id/exceptions
+// @access  Private
+const addTemplateException = async (req, res, next) => {
+  try {
+    const template = await findManagedTemplate(req, res);
+    if (!template) return;
+
+    const { date, type, reason } = req.body;
+
+    if (!date || !DAY_PATTERN.test(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a date in YYYY-MM-DD format'
+      });
+    }
+
+    if (template.exceptions.some(exception => exception.date === date)) {
+      return res.status(400).json({
+        success: false,
+        message: `${date} is already an exception for this template`
+      });
+    }
+
+    template.exceptions.push({ date, type, reason });
+    await template.save();
+
+    // A route already generated for that day is cancelled if it has not started
+    const route = await Route.findOne({
+      template: template._id,
+      templateDate: date,
+      status: { $in: ['draft', 'planned', 'assigned'] }
+    });
+    if (route) {
+      route.status = 'cancelled';
+      await route.save();
+    }
+
+    logger.info(`Exception ${date} added to route template ${template.name} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Exception added successfully',
+      data: template,
+      cancelledRoute: route ? route._id : null
+    });
+  } catch (error) {
+    logger.error('Add template exception error:', error);
+    next(error);
+  }
+};
+
+// @desc    Remove an exception from a template
+// @route   DELETE /api/route-templates/:id/exceptions/:date
+// @access  Private
+const removeTemplateException = async (req, res, next) => {
+  try {
+    const template = await findManagedTemplate(req, res);
+    if (!template) return;
+
+    const exception = template.exceptions.find(entry => entry.date === req.params.date);
+
+    if (!exception) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exception not found'
+      });
+    }
+
+    template.exceptions.pull(exception._id);
+    await template.save();
+
+    logger.info(`Exception ${req.params.date} removed from route template ${template.name} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Exception removed successfully',
+      data: template
+    });
+  } catch (error) {
+    logger.error('Remove template exception error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getRouteTemplates,
+  getRouteTemplate,
+  createRouteTemplate,
+  updateRouteTemplate,
+  deleteRouteTemplate,
+  getTemplateOccurrences,
+  generateRoutes,
+  addTemplateException,
+  removeTemplateException
+};
@@ -1,8 +1,45 @@
+const fs = require('fs');
+const path = require('path');
 const Route = require('../models/Route');
 const Order = require('../models/Order');
 const Vehicle = require('../models/Vehicle');
 const User = require('../models/User');
+const Notification = require('../models/Notification');
+const OptimizationRun = require('../models/OptimizationRun');
 const logger = require('../utils/logger');
+const {
+  MAX_ALTERNATIVES,
+  MAX_ALTERNATIVE_STOPS,
+  optimizeWaypoints,
+  scheduleWaypoints,
+  calculateRouteMetrics,
+  getStopPoints,
+  isGeneratedStop
+} = require('../utils/routeOptimizer');
+const { planRoutes } = require('../utils/routePlanner');
+const { calculateDistance, getDistanceProvider, getDistanceMatrix } = require('../utils/distanceProvider');
+const { estimateRouteCosts } = require('../utils/costModel');
+const { getDrivingRules } = require('../utils/hoursOfService');
+const { findRefuelOptions } = require('../utils/refuelPlanner');
+const { updateRouteEtas } = require('../utils/etaPredictor');
+const { EXPORT_FORMATS, isExportFormat, exportRoute } = require('../utils/routeExport');
+const { importStops } = require('../utils/stopImport');
+const { checkBookingConflicts } = require('../utils/bookings');
+const { getRouteEmissions, recordRouteEmissions } = require('../utils/emissions');
+const {
+  checkVehicleAssignment,
+  loadRestrictions,
+  applyRestrictions,
+  findBlockedStops,
+  findPathCrossings
+} = require('../utils/routeConstraints');
+const {
+  OPTIMIZATION_ALGORITHMS,
+  summarizePlan,
+  snapshotWaypoints,
+  getStopIds,
+  diffRuns
+} = require('../utils/optimizationHistory');
 
 // @desc    Get all routes
 // @route   GET /api/routes
@@ -140,6 +177,37 @@ const createRoute = async (req, res, next) => {
     // Set creator as current user
     req.body.createdBy = req.user._id;
 
+    // The vehicle must suit the route's constraints and carry its orders
+    const misfit = await checkVehicleAssignment({
+      vehicle: req.body.assignedVehicle,
+      constraints: req.body.constraints,
+      orders: req.body.orders
+    });
+    if (misfit) {
+      return res.status(400).json({
+        success: false,
+        message: misfit.message,
+        violations: misfit.violations
+      });
+    }
+
+    // The driver and vehicle must be free for the whole planned window
+    if (!['completed', 'cancelled'].includes(req.body.status)) {
+      const clash = await checkBookingConflicts({
+        driver: req.body.assignedDriver,
+        vehicle: req.body.assignedVehicle,
+        start: req.body.scheduling?.plannedStartTime,
+        end: req.body.scheduling?.plannedEndTime
+      });
+      if (clash) {
+        return res.status(409).json({
+          success: false,
+          message: clash.message,
+          conflicts: clash.conflicts
+        });
+      }
+    }
+
     const route = await Route.create(req.body);
 
     // Populate the created route
@@ -160,6 +228,224 @@ const createRoute = async (req, res, next) => {
   }
 };
 
+// @desc    Get the bookings of a driver or vehicle over a date range
+// @route   GET /api/routes/schedule
+// @access  Private
+const getBookingSchedule = async (req, res, next) => {
+  try {
+    if (!['admin', 'fleet-manager', 'driver'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view booking schedules'
+      });
+    }
+
+    // Drivers only see their own schedule
+    const isDriver = req.user.role === 'driver';
+    const driverId = isDriver ? req.user._id.toString() : req.query.driverId;
+    const vehicleId = isDriver ? undefined : req.query.vehicleId;
+
+    if (!driverId && !vehicleId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a driverId or vehicleId'
+      });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date(new Date().setHours(0, 0, 0, 0));
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid from/to date range'
+      });
+    }
+
+    const routes = await Route.findBookingConflicts({ driver: driverId, vehicle: vehicleId, start: from, end: to })
+      .populate('assignedDriver', 'firstName lastName')
+      .populate('assignedVehicle', 'registrationNumber type');
+
+    // Flag bookings that overlap each other, e.g. from before conflicts were checked
+    const bookings = routes.map(route => ({
+      route: {
+        _id: route._id,
+        name: route.name,
+        status: route.status
+      },
+      driver: route.assignedDriver,
+      vehicle: route.assignedVehicle,
+      plannedStartTime: route.scheduling.plannedStartTime,
+      plannedEndTime: route.scheduling.plannedEndTime,
+      conflictsWith: routes
+        .filter(other => other !== route &&
+          other.scheduling.plannedStartTime < route.scheduling.plannedEndTime &&
+          other.scheduling.plannedEndTime > route.scheduling.plannedStartTime &&
+          ((driverId && other.assignedDriver?._id.toString() === route.assignedDriver?._id.toString()) ||
+            (vehicleId && other.assignedVehicle?._id.toString() === route.assignedVehicle?._id.toString())))
+        .map(other => other._id)
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: bookings.length,
+      data: {
+        driverId,
+        vehicleId,
+        from,
+        to,
+        bookings,
+        conflicts: bookings.filter(booking => booking.conflictsWith.length > 0).length
+      }
+    });
+  } catch (error) {
+    logger.error('Get booking schedule error:', error);
+    next(error);
+  }
+};
+
+// @desc    Create draft route from a CSV or GeoJSON stop list
+// @route   POST /api/routes/import
+// @access  Private
+const importRoute = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV or GeoJSON file in the stops field'
+      });
+    }
+
+    const {
+      name,
+      description,
+      plannedStartTime,
+      plannedEndTime,
+      timezone,
+      priority,
+      assignedDriver,
+      assignedVehicle,
+      allowPartial
+    } = req.body;
+
+    if (!plannedStartTime || !plannedEndTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide plannedStartTime and plannedEndTime'
+      });
+    }
+
+    const start = new Date(plannedStartTime);
+    const end = new Date(plannedEndTime);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'plannedStartTime and plannedEndTime must be valid dates'
+      });
+    }
+
+    if (end <= start) {
+      return res.status(400).json({
+        success: false,
+        message: 'plannedEndTime must be after plannedStartTime'
+      });
+    }
+
+    // Same time zone check as route templates
+    const timeZone = timezone || 'UTC';
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown time zone: ${timeZone}`
+      });
+    }
+
+    const extension = path.extname(req.file.originalname).toLowerCase();
+    const format = req.body.format || (extension === '.csv' ? 'csv' : 'geojson');
+    const text = await fs.promises.readFile(req.file.path, 'utf8');
+    const { waypoints, errors, total } = importStops(text, format, {
+      plannedStartTime,
+      timeZone
+    });
+
+    if (waypoints.length === 0 || (errors.length > 0 && allowPartial !== 'true' && allowPartial !== true)) {
+      return res.status(400).json({
+        success: false,
+        message: waypoints.length === 0
+          ? 'No valid stops found in the file'
+          : `${new Set(errors.map(error => error.row)).size} of ${total} row(s) have errors. Fix them or set allowPartial to import the valid rows.`,
+        data: {
+          total,
+          valid: waypoints.length,
+          errors
+        }
+      });
+    }
+
+    // Same vehicle and booking checks as createRoute
+    const misfit = await checkVehicleAssignment({ vehicle: assignedVehicle });
+    if (misfit) {
+      return res.status(400).json({
+        success: false,
+        message: misfit.message,
+        violations: misfit.violations
+      });
+    }
+
+    const clash = await checkBookingConflicts({
+      driver: assignedDriver,
+      vehicle: assignedVehicle,
+      start: plannedStartTime,
+      end: plannedEndTime
+    });
+    if (clash) {
+      return res.status(409).json({
+        success: false,
+        message: clash.message,
+        conflicts: clash.conflicts
+      });
+    }
+
+    const route = await Route.create({
+      name: name || path.basename(req.file.originalname, extension),
+      description,
+      createdBy: req.user._id,
+      assignedDriver,
+      assignedVehicle,
+      status: 'draft',
+      priority,
+      waypoints,
+      scheduling: {
+        plannedStartTime,
+        plannedEndTime
+      }
+    });
+
+    logger.info(`Route imported: ${route.name} with ${waypoints.length} stop(s) by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Route created with ${waypoints.length} of ${total} stop(s)`,
+      data: {
+        route,
+        total,
+        imported: waypoints.length,
+        errors
+      }
+    });
+  } catch (error) {
+    logger.error('Import route error:', error);
+    next(error);
+  } finally {
+    // The upload is only needed while it is parsed
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
+  }
+};
+
 // @desc    Update route
 // @route   PUT /api/routes/:id
 // @access  Private
@@ -196,6 +482,42 @@ const updateRoute = async (req, res, next) => {
       });
     }
 
+    // Re-check the vehicle when it, the constraints or the orders change
+    if (['assignedVehicle', 'constraints', 'orders'].some(field => field in req.body)) {
+      const misfit = await checkVehicleAssignment({
+        vehicle: 'assignedVehicle' in req.body ? req.body.assignedVehicle : route.assignedVehicle,
+        constraints: 'constraints' in req.body ? req.body.constraints : route.constraints,
+        orders: 'orders' in req.body ? req.body.orders : route.orders
+      });
+      if (misfit) {
+        return res.status(400).json({
+          success: false,
+          message: misfit.message,
+          violations: misfit.violations
+        });
+      }
+    }
+
+    // Re-check bookings when the assignment, window or status changes
+    const touchesBooking = ['assignedDriver', 'assignedVehicle', 'scheduling', 'status'].some(field => field in req.body);
+    const status = req.body.status || route.status;
+    if (touchesBooking && !['completed', 'cancelled'].includes(status)) {
+      const clash = await checkBookingConflicts({
+        driver: 'assignedDriver' in req.body ? req.body.assignedDriver : route.assignedDriver,
+        vehicle: 'assignedVehicle' in req.body ? req.body.assignedVehicle : route.assignedVehicle,
+        start: req.body.scheduling?.plannedStartTime || route.scheduling.plannedStartTime,
+        end: req.body.scheduling?.plannedEndTime || route.scheduling.plannedEndTime,
+        excludeRoute: route._id
+      });
+      if (clash) {
+        return res.status(409).json({
+          success: false,
+          message: clash.message,
+          conflicts: clash.conflicts
+        });
+      }
+    }
+
     route = await Route.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
       runValidators: true
@@ -252,6 +574,7 @@ const deleteRoute = async (req, res, next) => {
     }
 
     await route.remove();
+    await OptimizationRun.deleteMany({ route: route._id });
 
     logger.info(`Route deleted: ${route.name} by ${req.user.email}`);
 
@@ -296,6 +619,7 @@ const startRoute = async (req, res, next) => {
     }
 
     await route.startRoute();
+    await refreshEtas(route, { force: true });
 
     // Update vehicle status
     if (route.assignedVehicle) {
@@ -353,6 +677,14 @@ const completeRoute = async (req, res, next) => {
 
     await route.completeRoute(notes, issues || []);
 
+    // Record the route's emissions and each order's share of them
+    try {
+      await recordRouteEmissions(route);
+      await route.save();
+    } catch (error) {
+      logger.warn(`Emissions not recorded for route ${route.name}: ${error.message}`);
+    }
+
     // Update vehicle status back to available
     if (route.assignedVehicle) {
       const vehicle = await Vehicle.findById(route.assignedVehicle);
@@ -388,7 +720,28 @@ const completeRoute = async (req, res, next) => {
 // @access  Private (Driver)
 const updateLocation = async (req, res, next) => {
   try {
-    const { lat, lng, address } = req.body;
+    const { lat, lng, address, timestamp, accuracy } = req.body;
+
+    if (!hasValidCoordinates({ location: { coordinates: { lat, lng } } })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide numeric lat (-90 to 90) and lng (-180 to 180)'
+      });
+    }
+
+    if (timestamp !== undefined && isNaN(new Date(timestamp).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'timestamp must be a valid date'
+      });
+    }
+
+    if (accuracy !== undefined && !(typeof accuracy === 'number' && accuracy >= 0 && Number.isFinite(accuracy))) {
+      return res.status(400).json({
+        success: false,
+        message: 'accuracy must be a number of metres'
+      });
+    }
     
     const route = await Route.findById(req.params.id);
 
@@ -407,13 +760,15 @@ const updateLocation = async (req, res, next) => {
       });
     }
 
-    await route.updateCurrentLocation(lat, lng, address);
+    await route.updateCurrentLocation(lat, lng, address, { timestamp, accuracy });
+    await refreshEtas(route);
 
     res.status(200).json({
       success: true,
       message: 'Route location updated successfully',
       data: {
         currentLocation: route.tracking.currentLocation,
+        currentWaypoint: route.tracking.currentWaypoint,
         path: route.tracking.path
       }
     });
@@ -423,6 +778,219 @@ const updateLocation = async (req, res, next) => {
   }
 };
 
+// @desc    Get the recorded GPS trace of a route for replay
+// @route   GET /api/routes/:id/replay
+// @access  Private
+const getRouteReplay = async (req, res, next) => {
+  try {
+    const route = await Route.findById(req.params.id);
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    // Check authorization
+    if (!canViewRoute(route, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this route replay'
+      });
+    }
+
+    const path = route.tracking.path;
+    const startedAt = path.length > 0 ? path[0].timestamp : null;
+    let distance = 0;
+
+    const points = path.map((point, index) => {
+      if (index > 0) {
+        distance += calculateDistance(
+          path[index - 1].coordinates.lat, path[index - 1].coordinates.lng,
+          point.coordinates.lat, point.coordinates.lng
+        );
+      }
+
+      return {
+        lat: point.coordinates.lat,
+        lng: point.coordinates.lng,
+        timestamp: point.timestamp,
+        speed: point.speed,
+        elapsed: Math.round((point.timestamp - startedAt) / 1000), // seconds since the first point
+        distance: Math.round(distance * 100) / 100 // km along the trace
+      };
+    });
+
+    const stops = route.waypoints
+      .filter(waypoint => waypoint.actualArrival || waypoint.actualDeparture)
+      .sort((a, b) => (a.actualArrival || a.actualDeparture) - (b.actualArrival || b.actualDeparture))
+      .map(waypoint => ({
+        waypointId: waypoint._id,
+        name: waypoint.location.name || waypoint.location.address,
+        type: waypoint.type,
+        status: waypoint.status,
+        arrivedAt: waypoint.actualArrival,
+        departedAt: waypoint.actualDeparture
+      }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        route: {
+          _id: route._id,
+          name: route.name,
+          status: route.status
+        },
+        startTime: route.scheduling.actualStartTime || startedAt,
+        endTime: route.scheduling.actualEndTime || (path.length > 0 ? path[path.length - 1].timestamp : null),
+        distance: route.metrics.actualDistance ?? route.tracking.distanceTravelled ?? points[points.length - 1]?.distance ?? 0,
+        averageSpeed: route.metrics.averageSpeed,
+        maxSpeed: points.reduce((max, point) => Math.max(max, point.speed || 0), 0),
+        points,
+        stops
+      }
+    });
+  } catch (error) {
+    logger.error('Get route replay error:', error);
+    next(error);
+  }
+};
+
+// @desc    Export route as GPX, KML or GeoJSON
+// @route   GET /api/routes/:id/export
+// @access  Private
+const exportRouteFile = async (req, res, next) => {
+  try {
+    const format = typeof req.query.format === 'string' ? req.query.format.toLowerCase() : (req.query.format ?? 'geojson');
+
+    if (!isExportFormat(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported export format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const route = await Route.findById(req.params.id);
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    // Check authorization
+    if (!canViewRoute(route, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to export this route'
+      });
+    }
+
+    const file = exportRoute(route, format);
+    const fileName = route.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'route';
+
+    res.set('Content-Type', `${file.contentType}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="${fileName}.${file.extension}"`);
+    res.status(200).send(file.body);
+  } catch (error) {
+    logger.error('Export route error:', error);
+    next(error);
+  }
+};
+
+// @desc    Get predicted arrival times for the stops still ahead
+// @route   GET /api/routes/:id/eta
+// @access  Private
+const getRouteEtas = async (req, res, next) => {
+  try {
+    const route = await Route.findById(req.params.id);
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    // Check authorization
+    if (!canViewRoute(route, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this route'
+      });
+    }
+
+    if (['completed', 'cancelled'].includes(route.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot predict arrival times for a ${route.status} route`
+      });
+    }
+
+    const predictions = await updateRouteEtas(route, { force: true });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        currentDelay: route.currentDelay,
+        predictedCompletion: predictions.length > 0 ? predictions[predictions.length - 1].predictedArrival : null,
+        waypoints: predictions
+      }
+    });
+  } catch (error) {
+    logger.error('Get route ETAs error:', error);
+    next(error);
+  }
+};
+
+// @desc    Get route CO2e emissions
+// @route   GET /api/routes/:id/emissions
+// @access  Private
+const getRouteEmissionsReport = async (req, res, next) => {
+  try {
+    const route = await Route.findById(req.params.id);
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    // Check authorization
+    if (!canViewRoute(route, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this route'
+      });
+    }
+
+    const { vehicle, emissions, orders } = await getRouteEmissions(route);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        route: route._id,
+        status: route.status,
+        vehicle: vehicle && {
+          _id: vehicle._id,
+          registrationNumber: vehicle.registrationNumber,
+          type: vehicle.type,
+          fuelType: vehicle.fuelType
+        },
+        ...emissions,
+        orders,
+        recordedAt: route.emissions?.calculatedAt
+      }
+    });
+  } catch (error) {
+    logger.error('Get route emissions error:', error);
+    next(error);
+  }
+};
+
 // @desc    Update waypoint status
 // @route   PUT /api/routes/:id/waypoints/:waypointId
 // @access  Private (Driver)
@@ -449,6 +1017,7 @@ const updateWaypointStatus = async (req, res, next) => {
     }
 
     await route.updateWaypointStatus(waypointId, status);
+    await refreshEtas(route, { force: true });
 
     logger.info(`Waypoint status updated in route ${route.name} by ${req.user.email}`);
 
@@ -560,36 +1129,153 @@ const optimizeRoute = async (req, res, next) => {
     }
 
     // Check authorization
-    const canOptimize = (
-      req.user.role === 'admin' ||
-      route.createdBy.toString() === req.user._id.toString() ||
-      (req.user.role === 'fleet-manager')
-    );
-
-    if (!canOptimize) {
+    if (!canOptimizeRoute(route, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to optimize this route'
       });
     }
 
-    // Simple optimization algorithm (can be enhanced with external services)
-    const optimizedWaypoints = optimizeWaypoints(route.waypoints);
-    const { totalDistance, estimatedDuration, estimatedFuelCost } = calculateRouteMetrics(optimizedWaypoints);
+    // Road-network distances and travel times from the configured provider,
+    // with detours charged for avoided roads and closed zones
+    const provider = getDistanceProvider(route.constraints);
+    const stopPoints = getStopPoints(route.waypoints);
+    const costOptions = await getCostOptions(route);
+    const restrictions = await loadRestrictions(stopPoints, route.constraints, costOptions.vehicle);
+
+    const blocked = findBlockedStops(route.waypoints, restrictions);
+    if (blocked.length > 0) {
+      return res.status(400).json(blockedStopsResponse(blocked));
+    }
+
+    const { distances, durations } = applyRestrictions(
+      stopPoints,
+      await getDistanceMatrix(stopPoints, provider),
+      restrictions,
+      provider
+    );
+
+    // Number of runner-up plans to keep in optimization.alternativeRoutes.
+    // They take extra searches, so they are only computed on request.
+    const alternativeCount = Math.min(MAX_ALTERNATIVES, Math.max(0, parseInt(req.body.alternatives) || 0));
+    if (alternativeCount > 0 && stopPoints.length > MAX_ALTERNATIVE_STOPS) {
+      return res.status(400).json({
+        success: false,
+        message: `Alternatives can only be calculated for routes with up to ${MAX_ALTERNATIVE_STOPS} stops`
+      });
+    }
+
+    const before = snapshotPlan(route);
+    const drivingRules = getDrivingRules(route.constraints?.drivingRules);
+    const refuel = await findRefuelOptions(costOptions.vehicle, stopPoints);
+
+    // Re-sequence the stops to minimise distance and lateness while keeping
+    // pickups before deliveries, then project ETAs from the planned start
+    const {
+      waypoints: optimizedWaypoints,
+      distanceBefore,
+      distanceAfter,
+      schedule,
+      rangeWarning,
+      alternatives
+    } = optimizeWaypoints(route.waypoints, route.orders, {
+      startTime: route.scheduling.plannedStartTime,
+      timeWindows: route.constraints?.timeWindows,
+      distanceMatrix: distances,
+      durationMatrix: durations,
+      alternatives: alternativeCount,
+      drivingRules,
+      refuel
+    });
+
+    if (breachesPlannedEnd(schedule, route)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Route cannot be completed before plannedEndTime with the required driver breaks',
+        schedule
+      });
+    }
+
+    const scheduledDuration = (plan) => (plan ? (plan.endTime - plan.startTime) / (1000 * 60) : undefined);
+
+    const {
+      totalDistance,
+      estimatedDuration,
+      estimatedFuelCost,
+      costs,
+      path
+    } = await calculateRouteMetrics(optimizedWaypoints, provider, {
+      ...costOptions,
+      duration: scheduledDuration(schedule)
+    });
 
     route.waypoints = optimizedWaypoints;
+    route.optimization.optimizedPath = path;
     route.optimization.totalDistance = totalDistance;
-    route.optimization.estimatedDuration = estimatedDuration;
+    route.optimization.estimatedDuration = scheduledDuration(schedule) ?? estimatedDuration;
     route.optimization.estimatedFuelCost = estimatedFuelCost;
+    applyCosts(route, costs);
+    if (schedule) {
+      route.scheduling.breaks = schedule.breaks;
+    }
+
+    const alternativeRoutes = [];
+    for (const [index, alternative] of alternatives.entries()) {
+      const metrics = await calculateRouteMetrics(alternative.waypoints, provider, {
+        ...costOptions,
+        duration: scheduledDuration(alternative.schedule)
+      });
+      alternativeRoutes.push({
+        name: `Alternative ${index + 1}`,
+        distance: metrics.totalDistance,
+        duration: scheduledDuration(alternative.schedule) ?? metrics.estimatedDuration,
+        cost: metrics.costs.total,
+        sequence: alternative.waypoints.filter(waypoint => !isGeneratedStop(waypoint)).map(waypoint => waypoint._id),
+        path: metrics.path
+      });
+    }
+    route.optimization.alternativeRoutes = withDeltas(alternativeRoutes, route);
 
     await route.save();
+    await recordRun(route, req, {
+      trigger: 'optimize',
+      before,
+      metrics: summarizePlan(route, schedule),
+      provider,
+      parameters: runParameters(route, {
+        startTime: route.scheduling.plannedStartTime,
+        alternatives: alternativeCount,
+        drivingRules,
+        refuel
+      })
+    });
+
+    if (schedule && schedule.violations.length > 0) {
+      logger.warn(`Route ${route.name} optimized with ${schedule.violations.length} unmet time window(s)`);
+    }
+    if (rangeWarning) {
+      logger.warn(`Route ${route.name}: vehicle cannot reach ${rangeWarning.name} without an unknown fuel stop`);
+    }
+    const restrictionWarnings = findPathCrossings(path, restrictions, provider);
+    if (restrictionWarnings.length > 0) {
+      logger.warn(`Route ${route.name} optimized through ${restrictionWarnings.map(crossing => crossing.name).join(', ')}`);
+    }
 
     logger.info(`Route optimized: ${route.name} by ${req.user.email}`);
 
     res.status(200).json({
       success: true,
       message: 'Route optimized successfully',
-      data: route
+      data: route,
+      comparison: {
+        distanceBefore,
+        distanceAfter,
+        distanceSaved: distanceBefore - distanceAfter,
+        percentSaved: distanceBefore > 0 ? ((distanceBefore - distanceAfter) / distanceBefore) * 100 : 0
+      },
+      schedule,
+      rangeWarning,
+      restrictionWarnings
     });
   } catch (error) {
     logger.error('Optimize route error:', error);
@@ -597,6 +1283,587 @@ const optimizeRoute = async (req, res, next) => {
   }
 };
 
+// @desc    Re-sequence the remaining stops of a route in progress
+// @route   POST /api/routes/:id/reoptimize
+// @access  Private (Admin/Fleet Manager)
+const reoptimizeRoute = async (req, res, next) => {
+  try {
+    const { waypoints: newStops = [], skip = [] } = req.body;
+
+    if (!Array.isArray(newStops) || !Array.isArray(skip)) {
+      return res.status(400).json({
+        success: false,
+        message: 'waypoints and skip must be arrays'
+      });
+    }
+
+    const invalidStop = newStops.findIndex(stop => !hasValidCoordinates(stop));
+    if (invalidStop !== -1) {
+      return res.status(400).json({
+        success: false,
+        message: `New waypoint ${invalidStop + 1} needs location.coordinates with lat (-90 to 90) and lng (-180 to 180)`
+      });
+    }
+
+    const route = await Route.findById(req.params.id).populate('orders');
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    // Check authorization
+    if (!canOptimizeRoute(route, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to optimize this route'
+      });
+    }
+
+    if (route.status !== 'in-progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only routes in progress can be re-optimized; use the optimize endpoint instead'
+      });
+    }
+
+    const coords = route.tracking.currentLocation?.coordinates;
+    if (!coords || typeof coords.lat !== 'number' || typeof coords.lng !== 'number') {
+      return res.status(400).json({
+        success: false,
+        message: 'Route has no current location to re-optimize from'
+      });
+    }
+
+    const before = snapshotPlan(route);
+
+    // Skipped stops stay on the route but leave the sequence
+    skip.forEach(waypointId => {
+      const waypoint = route.waypoints.id(waypointId);
+      if (waypoint && waypoint.status === 'pending') {
+        waypoint.status = 'skipped';
+      }
+    });
+
+    newStops.forEach(stop => {
+      route.waypoints.push({
+        ...stop,
+        order: route.waypoints.length + 1,
+        status: 'pending'
+      });
+    });
+
+    // Visited, current and skipped stops keep their place; only pending ones move
+    const sorted = [...route.waypoints].sort((a, b) => a.order - b.order);
+    const fixed = sorted.filter(waypoint => waypoint.status !== 'pending');
+    const pending = sorted.filter(waypoint => waypoint.status === 'pending');
+
+    const origin = { lat: coords.lat, lng: coords.lng };
+    const startTime = new Date();
+    const provider = getDistanceProvider(route.constraints);
+    const stopPoints = getStopPoints(pending, origin);
+    const costOptions = await getCostOptions(route);
+    const restrictions = await loadRestrictions(stopPoints, route.constraints, costOptions.vehicle);
+
+    const blocked = findBlockedStops(pending, restrictions);
+    if (blocked.length > 0) {
+      return res.status(400).json(blockedStopsResponse(blocked));
+    }
+
+    const { distances, durations } = applyRestrictions(
+      stopPoints,
+      await getDistanceMatrix(stopPoints, provider),
+      restrictions,
+      provider
+    );
+    const drivingRules = getDrivingRules(route.constraints?.drivingRules);
+    const refuel = await findRefuelOptions(costOptions.vehicle, stopPoints);
+
+    const { waypoints: resequenced, schedule, rangeWarning } = optimizeWaypoints(pending, route.orders, {
+      startTime,
+      origin,
+      timeWindows: route.constraints?.timeWindows,
+      distanceMatrix: distances,
+      durationMatrix: durations,
+      drivingRules,
+      refuel
+    });
+
+    const remaining = await calculateRouteMetrics(
+      [{ location: { coordinates: origin } }, ...resequenced],
+      provider,
+      costOptions
+    );
+
+    route.waypoints = [
+      ...fixed.map(waypoint => waypoint.toObject()),
+      ...resequenced
+    ].map((waypoint, index) => ({ ...waypoint, order: index + 1 }));
+    route.tracking.currentWaypoint = fixed.length;
+    route.optimization.optimizedPath = remaining.path;
+    route.optimization.alternativeRoutes = [];
+
+    if (schedule) {
+      const routeStart = route.scheduling.actualStartTime || route.scheduling.plannedStartTime;
+      route.optimization.estimatedDuration = (schedule.endTime - routeStart) / (1000 * 60);
+      route.scheduling.breaks = [
+        ...route.scheduling.breaks.filter(pause => pause.endTime && pause.endTime <= startTime),
+        ...schedule.breaks
+      ];
+    }
+
+    route.notifications.push({
+      type: 'update',
+      message: `Remaining stops re-sequenced (${resequenced.length} to go)`,
+      timestamp: startTime,
+      acknowledged: false
+    });
+
+    await route.save();
+    await recordRun(route, req, {
+      trigger: 'reoptimize',
+      before,
+      metrics: summarizePlan(route, schedule),
+      provider,
+      parameters: runParameters(route, {
+        startTime,
+        origin,
+        skipped: skip,
+        added: newStops.length,
+        drivingRules,
+        refuel
+      })
+    });
+
+    // Push the new sequence to the driver
+    if (route.assignedDriver) {
+      await Notification.createAndSend({
+        title: 'Route updated',
+        message: `The remaining stops on ${route.name} have been re-sequenced`,
+        type: 'route',
+        priority: 'high',
+        sender: req.user._id,
+        recipients: [{ user: route.assignedDriver }],
+        relatedEntity: { entityType: 'Route', entityId: route._id }
+      });
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(route.assignedDriver.toString()).emit('route-update', {
+          routeId: route._id,
+          waypoints: route.waypoints,
+          schedule
+        });
+      }
+    }
+
+    const restrictionWarnings = findPathCrossings(remaining.path, restrictions, provider);
+
+    logger.info(`Route re-optimized in progress: ${route.name} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Remaining stops re-optimized successfully',
+      data: route,
+      remaining: {
+        stops: resequenced.length,
+        distance: remaining.totalDistance,
+        duration: schedule ? (schedule.endTime - startTime) / (1000 * 60) : remaining.estimatedDuration
+      },
+      schedule,
+      rangeWarning,
+      restrictionWarnings
+    });
+  } catch (error) {
+    logger.error('Re-optimize route error:', error);
+    next(error);
+  }
+};
+
+// @desc    Switch a route to one of its stored alternative plans
+// @route   PUT /api/routes/:id/alternatives/:alternativeId
+// @access  Private (Admin/Fleet Manager)
+const selectAlternativeRoute = async (req, res, next) => {
+  try {
+    const route = await Route.findById(req.params.id).populate('orders');
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    // Check authorization
+    if (!canOptimizeRoute(route, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change this route plan'
+      });
+    }
+
+    if (['in-progress', 'completed', 'cancelled'].includes(route.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot switch the plan of a route that is ${route.status}`
+      });
+    }
+
+    const alternative = route.optimization.alternativeRoutes.id(req.params.alternativeId);
+
+    if (!alternative) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alternative route not found'
+      });
+    }
+
+    // The alternative must cover exactly the route's current waypoints
+    const currentIds = route.waypoints
+      .filter(waypoint => !isGeneratedStop(waypoint))
+      .map(waypoint => waypoint._id.toString())
+      .sort();
+    const alternativeIds = alternative.sequence.map(id => id.toString()).sort();
+    if (currentIds.join(',') !== alternativeIds.join(',')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Route waypoints have changed since this alternative was generated. Please optimize the route again.'
+      });
+    }
+
+    const before = snapshotPlan(route);
+    const previous = {
+      name: 'Previous plan',
+      distance: route.optimization.totalDistance,
+      duration: route.optimization.estimatedDuration,
+      cost: route.costs.total,
+      sequence: route.waypoints
+        .filter(waypoint => !isGeneratedStop(waypoint))
+        .sort((a, b) => a.order - b.order)
+        .map(waypoint => waypoint._id),
+      path: route.optimization.optimizedPath
+    };
+
+    // Reorder the waypoints and project ETAs for the chosen sequence
+    const reordered = alternative.sequence.map((id, index) => ({
+      ...route.waypoints.id(id).toObject(),
+      order: index + 1
+    }));
+    const provider = getDistanceProvider(route.constraints);
+    const stopPoints = getStopPoints(reordered);
+    const costOptions = await getCostOptions(route);
+    const restrictions = await loadRestrictions(stopPoints, route.constraints, costOptions.vehicle);
+    const { distances, durations } = applyRestrictions(
+      stopPoints,
+      await getDistanceMatrix(stopPoints, provider),
+      restrictions,
+      provider
+    );
+    const drivingRules = getDrivingRules(route.constraints?.drivingRules);
+    const refuel = await findRefuelOptions(costOptions.vehicle, stopPoints);
+    const { waypoints, schedule, rangeWarning } = scheduleWaypoints(reordered, route.orders, {
+      startTime: route.scheduling.plannedStartTime,
+      timeWindows: route.constraints?.timeWindows,
+      distanceMatrix: distances,
+      durationMatrix: durations,
+      drivingRules,
+      refuel
+    });
+
+    if (breachesPlannedEnd(schedule, route)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This alternative cannot be completed before plannedEndTime with the required driver breaks',
+        schedule
+      });
+    }
+
+    const costs = estimateRouteCosts({
+      ...costOptions,
+      distance: alternative.distance,
+      duration: alternative.duration
+    });
+
+    route.waypoints = waypoints;
+    route.optimization.totalDistance = alternative.distance;
+    route.optimization.estimatedDuration = alternative.duration;
+    route.optimization.estimatedFuelCost = costs.fuel;
+    route.optimization.optimizedPath = alternative.path;
+    applyCosts(route, costs);
+    if (schedule) {
+      route.scheduling.breaks = schedule.breaks;
+    }
+
+    // The replaced plan takes the chosen alternative's slot
+    const alternatives = route.optimization.alternativeRoutes.map(entry => (
+      entry._id.toString() === alternative._id.toString() ? previous : entry.toObject()
+    ));
+    route.optimization.alternativeRoutes = withDeltas(alternatives, route);
+
+    await route.save();
+    await recordRun(route, req, {
+      trigger: 'alternative',
+      before,
+      metrics: summarizePlan(route, schedule),
+      provider,
+      parameters: runParameters(route, {
+        startTime: route.scheduling.plannedStartTime,
+        alternative: alternative.name,
+        drivingRules,
+        refuel
+      })
+    });
+
+    logger.info(`Route ${route.name} switched to ${alternative.name} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Alternative route selected successfully',
+      data: route,
+      schedule,
+      rangeWarning,
+      restrictionWarnings: findPathCrossings(alternative.path, restrictions, provider)
+    });
+  } catch (error) {
+    logger.error('Select alternative route error:', error);
+    next(error);
+  }
+};
+
+// @desc    List the optimization runs of a route
+// @route   GET /api/routes/:id/optimizations
+// @access  Private
+const getOptimizationRuns = async (req, res, next) => {
+  try {
+    const route = await Route.findById(req.params.id);
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    // Check authorization
+    if (!canViewRoute(route, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this route'
+      });
+    }
+
+    // Waypoint snapshots are only returned for a single run
+    const runs = await OptimizationRun.find({ route: route._id })
+      .select('-inputWaypoints -outputWaypoints -plan')
+      .populate('runBy', 'firstName lastName email')
+      .sort({ version: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: runs.length,
+      data: runs
+    });
+  } catch (error) {
+    logger.error('Get optimization runs error:', error);
+    next(error);
+  }
+};
+
+// @desc    Compare two optimization runs of a route
+// @route   GET /api/routes/:id/optimizations/diff
+// @access  Private
+const diffOptimizationRuns = async (req, res, next) => {
+  try {
+    const route = await Route.findById(req.params.id);
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    // Check authorization
+    if (!canViewRoute(route, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this route'
+      });
+    }
+
+    // Defaults to the latest run against the one before it
+    const latest = await OptimizationRun.findOne({ route: route._id }).sort({ version: -1 }).select('version');
+    if (!latest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route has no optimization runs'
+      });
+    }
+
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : latest.version;
+    const from = req.query.from !== undefined ? parseInt(req.query.from) : to - 1;
+
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be run versions'
+      });
+    }
+
+    const runs = await OptimizationRun.find({ route: route._id, version: { $in: [from, to] } });
+    const fromRun = runs.find(run => run.version === from);
+    const toRun = runs.find(run => run.version === to);
+
+    if (!fromRun || !toRun) {
+      return res.status(404).json({
+        success: false,
+        message: `Optimization run ${!fromRun ? from : to} not found`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: diffRuns(fromRun, toRun)
+    });
+  } catch (error) {
+    logger.error('Diff optimization runs error:', error);
+    next(error);
+  }
+};
+
+// @desc    Get one optimization run of a route
+// @route   GET /api/routes/:id/optimizations/:version
+// @access  Private
+const getOptimizationRun = async (req, res, next) => {
+  try {
+    const route = await Route.findById(req.params.id);
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    // Check authorization
+    if (!canViewRoute(route, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this route'
+      });
+    }
+
+    const run = await OptimizationRun.findOne({ route: route._id, version: parseInt(req.params.version) })
+      .populate('runBy', 'firstName lastName email');
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Optimization run not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    logger.error('Get optimization run error:', error);
+    next(error);
+  }
+};
+
+// @desc    Restore the plan of an earlier optimization run
+// @route   POST /api/routes/:id/optimizations/:version/rollback
+// @access  Private (Admin/Fleet Manager)
+const rollbackOptimizationRun = async (req, res, next) => {
+  try {
+    const route = await Route.findById(req.params.id);
+
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    // Check authorization
+    if (!canOptimizeRoute(route, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change this route plan'
+      });
+    }
+
+    if (['in-progress', 'completed', 'cancelled'].includes(route.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot roll back the plan of a route that is ${route.status}`
+      });
+    }
+
+    const run = await OptimizationRun.findOne({ route: route._id, version: parseInt(req.params.version) });
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Optimization run not found'
+      });
+    }
+
+    // The run must cover exactly the route's current stops
+    const currentIds = getStopIds(route.waypoints).sort();
+    const runIds = getStopIds(run.outputWaypoints).sort();
+    if (currentIds.join(',') !== runIds.join(',')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Route waypoints have changed since this run. Please optimize the route again.'
+      });
+    }
+
+    const before = snapshotPlan(route);
+
+    route.waypoints = run.outputWaypoints;
+    route.optimization.optimizedPath = run.plan.optimizedPath;
+    route.optimization.totalDistance = run.metrics.totalDistance;
+    route.optimization.estimatedDuration = run.metrics.estimatedDuration;
+    route.optimization.estimatedFuelCost = run.metrics.estimatedFuelCost;
+    // Alternatives were ranked against the plan being replaced
+    route.optimization.alternativeRoutes = [];
+    if (run.plan.costs) {
+      applyCosts(route, run.plan.costs);
+    }
+    route.scheduling.breaks = run.plan.breaks;
+
+    await route.save();
+    const rollback = await recordRun(route, req, {
+      trigger: 'rollback',
+      before,
+      // The restored plan keeps the figures it was recorded with
+      metrics: run.metrics.toObject(),
+      provider: { name: run.algorithm?.distanceProvider, profile: run.algorithm?.profile },
+      parameters: run.parameters,
+      rolledBackTo: run.version
+    });
+
+    logger.info(`Route ${route.name} rolled back to optimization run ${run.version} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Route plan rolled back to run ${run.version}`,
+      data: route,
+      run: rollback
+        ? { version: rollback.version, rolledBackTo: rollback.rolledBackTo }
+        : null
+    });
+  } catch (error) {
+    logger.error('Rollback optimization run error:', error);
+    next(error);
+  }
+};
+
 // @desc    Get route analytics
 // @route   GET /api/routes/:id/analytics
 // @access  Private
@@ -614,14 +1881,7 @@ const getRouteAnalytics = async (req, res, next) => {
     }
 
     // Check authorization
-    const canView = (
-      req.user.role === 'admin' ||
-      route.createdBy.toString() === req.user._id.toString() ||
-      route.assignedDriver?.toString() === req.user._id.toString() ||
-      (req.user.role === 'fleet-manager')
-    );
-
-    if (!canView) {
+    if (!canViewRoute(route, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this route analytics'
@@ -665,81 +1925,312 @@ const getRouteAnalytics = async (req, res, next) => {
   }
 };
 
-// Helper function to optimize waypoints (simplified)
-const optimizeWaypoints = (waypoints) => {
-  // This is a simplified optimization. In production, you would use
-  // more sophisticated algorithms like Genetic Algorithm, Simulated Annealing,
-  // or external services like Google Routes Optimization API
-  
-  const pickupPoints = waypoints.filter(w => w.type === 'pickup');
-  const deliveryPoints = waypoints.filter(w => w.type === 'delivery');
-  const otherPoints = waypoints.filter(w => !['pickup', 'delivery'].includes(w.type));
-  
-  // Simple heuristic: pickups first, then deliveries, then others
-  const optimized = [...pickupPoints, ...deliveryPoints, ...otherPoints];
-  
-  // Reassign order numbers
-  return optimized.map((waypoint, index) => ({
-    ...waypoint,
-    order: index + 1
+// Helper function to express alternatives relative to the route's active plan
+const withDeltas = (alternatives, route) => {
+  return alternatives.map(alternative => ({
+    ...alternative,
+    distanceDelta: alternative.distance - route.optimization.totalDistance,
+    durationDelta: alternative.duration - route.optimization.estimatedDuration,
+    costDelta: alternative.cost - route.costs.total
   }));
 };
 
-// Helper function to calculate route metrics
-const calculateRouteMetrics = (waypoints) => {
-  // Simplified calculation - in production, use real mapping services
-  let totalDistance = 0;
-  let estimatedDuration = 0;
-  
-  for (let i = 0; i < waypoints.length - 1; i++) {
-    const current = waypoints[i];
-    const next = waypoints[i + 1];
-    
-    // Calculate distance using Haversine formula (simplified)
-    const distance = calculateDistance(
-      current.location.coordinates.lat,
-      current.location.coordinates.lng,
-      next.location.coordinates.lat,
-      next.location.coordinates.lng
-    );
-    
-    totalDistance += distance;
+// Helper function to gather the cost model inputs for a route
+const getCostOptions = async (route) => {
+  const vehicle = route.assignedVehicle
+    ? await Vehicle.findById(route.assignedVehicle).select('type capacity fuelType range metrics.averageFuelEfficiency')
+    : null;
+
+  return {
+    vehicle,
+    country: route.costs?.country,
+    currency: route.costs?.currency,
+    avoidTolls: route.constraints?.avoidTolls
+  };
+};
+
+// Helper function to check that a waypoint has usable coordinates
+const hasValidCoordinates = (waypoint) => {
+  const coords = waypoint?.location?.coordinates;
+  return Boolean(
+    coords &&
+    typeof coords.lat === 'number' && coords.lat >= -90 && coords.lat <= 90 &&
+    typeof coords.lng === 'number' && coords.lng >= -180 && coords.lng <= 180
+  );
+};
+
+// Helper function to check whether mandatory breaks push a schedule past the
+// route's planned end, i.e. the route cannot comply with the driving rules
+const breachesPlannedEnd = (schedule, route) => {
+  return Boolean(
+    schedule &&
+    schedule.breaks.length > 0 &&
+    route.scheduling.plannedEndTime &&
+    schedule.endTime > route.scheduling.plannedEndTime
+  );
+};
+
+// Helper function to explain stops that sit inside zones closed to the vehicle
+const blockedStopsResponse = (blocked) => ({
+  success: false,
+  message: `Stop "${blocked[0].name}" is inside ${blocked[0].restrictionName}, which is closed to this vehicle` +
+    (blocked.length > 1 ? ` (and ${blocked.length - 1} other stop(s))` : ''),
+  blocked
+});
+
+// Helper function to store a cost breakdown on a route
+const applyCosts = (route, costs) => {
+  route.costs.fuel = costs.fuel;
+  route.costs.tolls = costs.tolls;
+  route.costs.driver = costs.driver;
+  route.costs.vehicle = costs.vehicle;
+  route.costs.total = costs.total;
+  route.costs.currency = costs.currency;
+  route.costs.country = costs.country;
+};
+
+// Helper function to check whether a user may view a route
+const canViewRoute = (route, user) => (
+  user.role === 'admin' ||
+  user.role === 'fleet-manager' ||
+  route.createdBy.toString() === user._id.toString() ||
+  (route.assignedDriver?._id || route.assignedDriver)?.toString() === user._id.toString()
+);
+
+// Helper function to check whether a user may change a route's plan
+const canOptimizeRoute = (route, user) => (
+  user.role === 'admin' ||
+  user.role === 'fleet-manager' ||
+  route.createdBy.toString() === user._id.toString()
+);
+
+// Helper function to capture a route's plan before a run changes it
+const snapshotPlan = (route) => ({
+  waypoints: snapshotWaypoints(route.waypoints),
+  metrics: summarizePlan(route)
+});
+
+// Helper function to describe the inputs of a run for its history entry
+const runParameters = (route, { refuel, ...parameters }) => ({
+  ...parameters,
+  timeWindows: Boolean(route.constraints?.timeWindows),
+  avoidTolls: Boolean(route.constraints?.avoidTolls),
+  avoidHighways: Boolean(route.constraints?.avoidHighways),
+  vehicleType: route.constraints?.vehicleType,
+  refuel: refuel
+    ? { maxDistance: refuel.maxDistance, reserve: refuel.reserve, stations: refuel.stations.length }
+    : null
+});
+
+// Helper function to store the plan a route now holds as its next
+// optimization run; history is best effort and never fails the request
+const recordRun = async (route, req, { trigger, before, metrics, provider, parameters, rolledBackTo }) => {
+  try {
+    const waypoints = snapshotWaypoints(route.waypoints);
+    return await OptimizationRun.record(route, {
+      trigger,
+      runBy: req.user._id,
+      algorithm: {
+        name: OPTIMIZATION_ALGORITHMS[trigger],
+        distanceProvider: provider?.name,
+        profile: provider?.profile
+      },
+      parameters,
+      inputWaypoints: before.waypoints,
+      outputWaypoints: waypoints,
+      sequence: waypoints.map(waypoint => waypoint._id),
+      metricsBefore: before.metrics,
+      metrics,
+      plan: {
+        optimizedPath: route.optimization.optimizedPath.map(({ lat, lng }) => ({ lat, lng })),
+        costs: route.costs.toObject(),
+        breaks: route.scheduling.breaks.map(pause => pause.toObject())
+      },
+      rolledBackTo
+    });
+  } catch (error) {
+    logger.warn(`Could not record optimization run for route ${route.name}: ${error.message}`);
+    return null;
+  }
+};
+
+// Helper function to refresh the predicted ETAs of a running route without
+// failing the request that triggered it
+const refreshEtas = async (route, options) => {
+  if (route.status !== 'in-progress') return;
+  try {
+    await updateRouteEtas(route, options);
+  } catch (error) {
+    logger.warn(`ETA prediction failed for route ${route.name}: ${error.message}`);
+  }
+};
+
+// @desc    Plan routes for pending orders across available vehicles
+// @route   POST /api/routes/plan
+// @access  Private (Admin/Fleet Manager)
+const planFleetRoutes = async (req, res, next) => {
+  try {
+    const {
+      orderIds,
+      vehicleIds,
+      vehicleType,
+      plannedStartTime,
+      plannedEndTime,
+      country,
+      currency,
+      avoidTolls = false,
+      avoidHighways = false
+    } = req.body;
+
+    if (!plannedStartTime || !plannedEndTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide plannedStartTime and plannedEndTime'
+      });
+    }
+
+    // Orders that are ready to plan and not already on a route
+    const orderQuery = { status: { $in: ['pending', 'confirmed'] }, assignedRoute: null };
+    const unplanned = [];
+    let notFound = [];
+
+    if (Array.isArray(orderIds) && orderIds.length > 0) {
+      const requested = await Order.find({ _id: { $in: orderIds } });
+      const found = new Set(requested.map(order => order._id.toString()));
+      notFound = orderIds.filter(id => !found.has(String(id)));
+      requested.forEach(order => {
+        if (!['pending', 'confirmed'].includes(order.status)) {
+          unplanned.push({ order, reason: `Order status ${order.status} cannot be planned` });
+        } else if (order.assignedRoute) {
+          unplanned.push({ order, reason: 'Order is already assigned to a route' });
+        }
+      });
+      orderQuery._id = { $in: orderIds };
+    }
+
+    const orders = await Order.find(orderQuery);
+
+    let vehicles = await Vehicle.getAvailableVehicles(req.user, { type: vehicleType });
+    if (Array.isArray(vehicleIds) && vehicleIds.length > 0) {
+      vehicles = vehicles.filter(vehicle => vehicleIds.includes(vehicle._id.toString()));
+    }
+
+    // Leave out vehicles, or vehicles whose driver, already booked in the window
+    const booked = await Promise.all(vehicles.map(vehicle => checkBookingConflicts({
+      driver: vehicle.assignedDriver?._id,
+      vehicle: vehicle._id,
+      start: plannedStartTime,
+      end: plannedEndTime
+    })));
+    vehicles = vehicles.filter((vehicle, index) => !booked[index]);
+
+    const plan = await planRoutes(orders, vehicles, {
+      startTime: plannedStartTime,
+      endTime: plannedEndTime,
+      country,
+      currency,
+      avoidTolls,
+      avoidHighways,
+      drivingRules: getDrivingRules(req.body.drivingRules)
+    });
+    unplanned.push(...plan.unplanned);
+
+    const routes = [];
+    for (const planned of plan.routes) {
+      const route = await Route.create({
+        name: `${planned.vehicle.registrationNumber} - ${new Date(plannedStartTime).toISOString().slice(0, 10)}`,
+        createdBy: req.user._id,
+        assignedVehicle: planned.vehicle._id,
+        assignedDriver: planned.vehicle.assignedDriver?._id,
+        status: 'draft',
+        waypoints: planned.waypoints,
+        orders: planned.orders.map(order => order._id),
+        optimization: {
+          totalDistance: planned.metrics.totalDistance,
+          estimatedDuration: planned.schedule
+            ? (planned.schedule.endTime - planned.schedule.startTime) / (1000 * 60)
+            : planned.metrics.estimatedDuration,
+          estimatedFuelCost: planned.metrics.estimatedFuelCost,
+          optimizedPath: planned.metrics.path
+        },
+        costs: planned.metrics.costs,
+        scheduling: {
+          plannedStartTime,
+          plannedEndTime,
+          breaks: planned.schedule ? planned.schedule.breaks : []
+        },
+        constraints: {
+          maxWeight: planned.vehicle.capacity?.weight,
+          maxVolume: planned.vehicle.capacity?.volume,
+          vehicleType: planned.vehicle.type,
+          avoidTolls,
+          avoidHighways,
+          drivingRules: req.body.drivingRules
+        }
+      });
+
+      // Give the orders the route's driver and vehicle as assignOrder does,
+      // so they agree with the route they are on
+      for (const order of planned.orders) {
+        order.assignedRoute = route._id;
+        await order.assignDriverAndVehicle(route.assignedDriver, route.assignedVehicle);
+      }
+
+      routes.push({
+        route,
+        load: planned.load,
+        timeWindowViolations: planned.schedule ? planned.schedule.violations : [],
+        rangeWarning: planned.rangeWarning
+      });
+    }
+
+    logger.info(`Fleet plan created: ${routes.length} route(s), ${unplanned.length} unplanned and ${notFound.length} unknown order(s) by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Routes planned successfully',
+      count: routes.length,
+      data: {
+        routes,
+        unplanned: unplanned.map(({ order, reason }) => ({
+          order: order._id,
+          orderNumber: order.orderNumber,
+          reason
+        })),
+        notFound
+      }
+    });
+  } catch (error) {
+    logger.error('Plan fleet routes error:', error);
+    next(error);
   }
-  
-  // Estimate duration (assuming average speed of 50 km/h)
-  estimatedDuration = (totalDistance / 50) * 60; // in minutes
-  
-  // Estimate fuel cost (assuming 10 km/l and $1.2 per liter)
-  const estimatedFuelCost = (totalDistance / 10) * 1.2;
-  
-  return { totalDistance, estimatedDuration, estimatedFuelCost };
-};
-
-// Helper function to calculate distance between two coordinates
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
 };
 
 module.exports = {
   getRoutes,
   getRoute,
   createRoute,
+  getBookingSchedule,
+  importRoute,
   updateRoute,
   deleteRoute,
   startRoute,
   completeRoute,
   updateLocation,
+  getRouteReplay,
+  getRouteEtas,
+  getRouteEmissionsReport,
+  exportRouteFile,
   updateWaypointStatus,
   addWaypoint,
   addNotification,
   optimizeRoute,
-  getRouteAnalytics
+  getRouteAnalytics,
+  planFleetRoutes,
+  selectAlternativeRoute,
+  reoptimizeRoute,
+  getOptimizationRuns,
+  diffOptimizationRuns,
+  getOptimizationRun,
+  rollbackOptimizationRun
 };
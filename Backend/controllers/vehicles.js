@@ -414,35 +414,7 @@ const getAvailableVehicles = async (req, res, next) => {
   try {
     const { minWeight, minVolume, type, location } = req.query;
 
-    let query = {
-      status: 'available',
-      isActive: true
-    };
-
-    // Filter by capacity
-    if (minWeight) {
-      query['capacity.weight'] = { $gte: parseInt(minWeight) };
-    }
-
-    if (minVolume) {
-      query['capacity.volume'] = { $gte: parseInt(minVolume) };
-    }
-
-    // Filter by type
-    if (type) {
-      query.type = type;
-    }
-
-    // Role-based filtering
-    if (req.user.role === 'fleet-manager') {
-      query.fleetManager = req.user._id;
-    } else if (req.user.role !== 'admin') {
-      query.owner = req.user._id;
-    }
-
-    let vehicles = await Vehicle.find(query)
-      .populate('assignedDriver', 'firstName lastName phone')
-      .select('registrationNumber type make model capacity currentLocation features status');
+    let vehicles = await Vehicle.getAvailableVehicles(req.user, { minWeight, minVolume, type });
 
     // If location is provided, sort by distance (simplified)
     if (location) {
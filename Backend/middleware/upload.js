@@ -8,6 +8,10 @@ if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+// Proof-of-delivery files (signatures, recipient ID documents) are kept
+// outside the public uploads folder and served through the orders API
+const proofDir = path.join(__dirname, '../private/pod');
+
 // Configure storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -24,6 +28,14 @@ const storage = multer.diskStorage({
       case 'documents':
         folder += 'documents/';
         break;
+      case 'stops':
+        folder += 'imports/';
+        break;
+      case 'photos':
+      case 'signature':
+      case 'identification':
+        folder = 'private/pod/';
+        break;
       default:
         folder += 'misc/';
     }
@@ -43,8 +55,19 @@ const storage = multer.diskStorage({
   }
 });
 
+// Stop lists are checked by extension, as browsers report CSV and GeoJSON
+// files under many different MIME types
+const IMPORT_EXTENSIONS = ['.csv', '.geojson', '.json'];
+
 // File filter
 const fileFilter = (req, file, cb) => {
+  if (file.fieldname === 'stops') {
+    const extension = path.extname(file.originalname).toLowerCase();
+    return IMPORT_EXTENSIONS.includes(extension)
+      ? cb(null, true)
+      : cb(new Error(`File type ${extension || file.mimetype} is not allowed for stop imports`), false);
+  }
+
   // Get allowed file types from environment or use defaults
   const allowedTypes = process.env.ALLOWED_FILE_TYPES ? 
     process.env.ALLOWED_FILE_TYPES.split(',') : 
@@ -96,3 +119,4 @@ const handleMulterError = (error, req, res, next) => {
 
 module.exports = upload;
 module.exports.handleMulterError = handleMulterError;
+module.exports.proofDir = proofDir;
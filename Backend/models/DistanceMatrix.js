@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const DistanceMatrixSchema = new mongoose.Schema({
+  // Cache key built from the provider, profile and point list
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  profile: String,
+
+  // Points in the order the matrix rows/columns refer to
+  points: [{
+    lat: Number,
+    lng: Number
+  }],
+
+  // distances[i][j] in kilometers, durations[i][j] in minutes
+  distances: [[Number]],
+  durations: [[Number]],
+
+  // Cache usage
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop stale matrices automatically
+DistanceMatrixSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('DistanceMatrix', DistanceMatrixSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const EtaProfileSchema = new mongoose.Schema({
+  // Lookup key built from the level and its segment values
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Which segments the profile is specific to, most specific first:
+  // corridor-band-vehicle, corridor-band, band-vehicle, band, vehicle, global
+  level: {
+    type: String,
+    enum: ['corridor-band-vehicle', 'corridor-band', 'band-vehicle', 'band', 'vehicle', 'global'],
+    required: true
+  },
+  corridor: String, // origin and destination grid cells
+  timeBand: {
+    type: String,
+    enum: ['night', 'morning-peak', 'midday', 'evening-peak', 'evening']
+  },
+  vehicleType: String,
+
+  // Median of actual / planned travel time over the samples
+  factor: {
+    type: Number,
+    required: true
+  },
+  // Median minutes late (negative = early) against the planned arrival
+  arrivalDelay: Number,
+  samples: {
+    type: Number,
+    required: true
+  },
+  trainedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+EtaProfileSchema.index({ level: 1 });
+
+module.exports = mongoose.model('EtaProfile', EtaProfileSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const ExchangeRateSchema = new mongoose.Schema({
+  // Units of the currency that buy one US dollar; USD itself is always 1
+  // and other pairs are crossed through it
+  currency: {
+    type: String,
+    enum: ['EUR', 'GBP', 'NGN', 'KES', 'GHS', 'ZAR', 'XAF'],
+    required: [true, 'Please specify the currency']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Please provide the rate'],
+    min: [0.000001, 'Rate must be greater than zero']
+  },
+  // The rate applies from this moment until the next rate for the currency
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Please provide the date the rate takes effect']
+  },
+
+  source: {
+    type: String,
+    default: 'manual'
+  },
+  notes: String,
+
+  addedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+ExchangeRateSchema.index({ currency: 1, effectiveFrom: -1 }, { unique: true });
+
+// Static method to get the rate in effect for a currency at a moment
+ExchangeRateSchema.statics.findRateAt = function(currency, at = new Date()) {
+  return this.findOne({ currency, effectiveFrom: { $lte: new Date(at) } })
+    .sort({ effectiveFrom: -1 });
+};
+
+module.exports = mongoose.model('ExchangeRate', ExchangeRateSchema);
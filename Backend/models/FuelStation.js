@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const FuelStationSchema = new mongoose.Schema({
+  // Basic station information
+  name: {
+    type: String,
+    required: [true, 'Please provide a station name'],
+    trim: true
+  },
+  operator: {
+    type: String,
+    trim: true
+  },
+
+  // Fuels sold; 'electric' marks a charging point
+  fuelTypes: [{
+    type: String,
+    enum: ['petrol', 'diesel', 'cng', 'lpg', 'electric']
+  }],
+  chargerPowerKw: Number, // charging points only
+
+  location: {
+    coordinates: {
+      lat: {
+        type: Number,
+        required: [true, 'Please provide station latitude'],
+        min: -90,
+        max: 90
+      },
+      lng: {
+        type: Number,
+        required: [true, 'Please provide station longitude'],
+        min: -180,
+        max: 180
+      }
+    },
+    address: String,
+    city: String,
+    country: String
+  },
+
+  openingHours: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  addedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+FuelStationSchema.index({ 'location.coordinates.lat': 1, 'location.coordinates.lng': 1 });
+FuelStationSchema.index({ fuelTypes: 1, isActive: 1 });
+
+// Static method to get active stations (selling a fuel, when given) within a
+// margin (km) of the bounding box around the given points
+FuelStationSchema.statics.findNearPoints = function(points, fuelType, marginKm = 50) {
+  if (points.length === 0) return Promise.resolve([]);
+
+  const lats = points.map(point => point.lat);
+  const lngs = points.map(point => point.lng);
+  const latMargin = marginKm / 111;
+  const lngMargin = marginKm / (111 * Math.max(0.1, Math.cos(Math.max(...lats.map(Math.abs)) * Math.PI / 180)));
+
+  const query = {
+    isActive: true,
+    'location.coordinates.lat': { $gte: Math.min(...lats) - latMargin, $lte: Math.max(...lats) + latMargin },
+    'location.coordinates.lng': { $gte: Math.min(...lngs) - lngMargin, $lte: Math.max(...lngs) + lngMargin }
+  };
+  if (fuelType) {
+    query.fuelTypes = fuelType;
+  }
+
+  return this.find(query);
+};
+
+module.exports = mongoose.model('FuelStation', FuelStationSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Summary figures of a plan, kept for the route before and after a run
+const PlanMetricsSchema = new mongoose.Schema({
+  totalDistance: Number, // km
+  estimatedDuration: Number, // minutes
+  estimatedFuelCost: Number,
+  totalCost: Number,
+  currency: String,
+  totalWaiting: Number, // minutes
+  totalLateness: Number, // minutes
+  totalBreaks: Number, // minutes
+  timeWindowViolations: Number
+}, { _id: false });
+
+const OptimizationRunSchema = new mongoose.Schema({
+  route: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Route',
+    required: true
+  },
+  // 1, 2, 3 ... per route
+  version: {
+    type: Number,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['optimize', 'reoptimize', 'alternative', 'rollback'],
+    required: true
+  },
+  runBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+
+  algorithm: {
+    name: String, // e.g. nearest-neighbour + 2-opt + or-opt
+    distanceProvider: String,
+    profile: String
+  },
+  // Inputs that shaped the run (start time, driving rules, alternatives ...)
+  parameters: mongoose.Schema.Types.Mixed,
+
+  // Full waypoint documents before and after the run
+  inputWaypoints: [mongoose.Schema.Types.Mixed],
+  outputWaypoints: [mongoose.Schema.Types.Mixed],
+  // Waypoint ids in the order the resulting plan visits them
+  sequence: [mongoose.Schema.ObjectId],
+
+  metricsBefore: PlanMetricsSchema,
+  metrics: PlanMetricsSchema,
+
+  // Route fields needed to restore the plan
+  plan: {
+    optimizedPath: [{
+      lat: Number,
+      lng: Number,
+      _id: false
+    }],
+    costs: mongoose.Schema.Types.Mixed,
+    breaks: [mongoose.Schema.Types.Mixed]
+  },
+
+  rolledBackTo: Number, // version restored by a rollback run
+  notes: String
+}, {
+  timestamps: true
+});
+
+OptimizationRunSchema.index({ route: 1, version: -1 }, { unique: true });
+
+// Static method to store a run as the route's next version
+OptimizationRunSchema.statics.record = async function(route, data) {
+  const latest = await this.findOne({ route: route._id }).sort({ version: -1 }).select('version');
+  return this.create({
+    ...data,
+    route: route._id,
+    version: (latest?.version || 0) + 1
+  });
+};
+
+module.exports = mongoose.model('OptimizationRun', OptimizationRunSchema);
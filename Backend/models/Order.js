@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { ORDER_STATUSES, assertStatusTransition } = require('../utils/orderStatus');
+const { ID_TYPES } = require('../utils/proofOfDelivery');
 
 const OrderSchema = new mongoose.Schema({
   // Order identification
@@ -36,19 +38,7 @@ const OrderSchema = new mongoose.Schema({
   // Order status and priority
   status: {
     type: String,
-    enum: [
-      'pending',
-      'confirmed',
-      'processing',
-      'assigned',
-      'picked-up',
-      'in-transit',
-      'out-for-delivery',
-      'delivered',
-      'cancelled',
-      'returned',
-      'failed'
-    ],
+    enum: ORDER_STATUSES, // transitions are declared in utils/orderStatus.js
     default: 'pending'
   },
   priority: {
@@ -134,8 +124,9 @@ const OrderSchema = new mongoose.Schema({
     },
     actualTime: Date,
     notes: String,
-    photos: [String], // URLs to pickup photos
-    signature: String, // URL to signature image
+    photos: [String], // Pickup photo files (served via /api/orders/:id/pod/files)
+    signature: String, // Signature image file
+    proofCapturedAt: Date,
     completedBy: {
       type: mongoose.Schema.ObjectId,
       ref: 'User'
@@ -189,8 +180,45 @@ const OrderSchema = new mongoose.Schema({
     },
     actualTime: Date,
     notes: String,
-    photos: [String], // URLs to delivery photos
-    signature: String, // URL to signature image
+    photos: [String], // Delivery photo files (served via /api/orders/:id/pod/files)
+    signature: String, // Signature image file
+    proofCapturedAt: Date,
+    // Who received the order; the ID number is stored masked
+    recipient: {
+      name: String,
+      identification: {
+        type: {
+          type: String,
+          enum: ID_TYPES
+        },
+        number: String,
+        photo: String // ID photo file
+      }
+    },
+    // One-time code the recipient gives the driver to confirm delivery
+    verification: {
+      codeHash: {
+        type: String,
+        select: false
+      },
+      generatedAt: Date,
+      expiresAt: Date,
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      sentTo: [String], // Channels the code was sent on
+      method: {
+        type: String,
+        enum: ['code', 'override']
+      },
+      overrideNote: String,
+      verifiedAt: Date,
+      verifiedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+      }
+    },
     completedBy: {
       type: mongoose.Schema.ObjectId,
       ref: 'User'
@@ -287,6 +315,7 @@ const OrderSchema = new mongoose.Schema({
       default: 'USD',
       enum: ['USD', 'EUR', 'GBP', 'NGN', 'KES', 'GHS', 'ZAR', 'XAF']
     },
+    region: String, // pricing region (ISO country or subdivision code) the quote used
     paymentStatus: {
       type: String,
       enum: ['pending', 'paid', 'partial', 'failed', 'refunded'],
@@ -506,6 +535,22 @@ const OrderSchema = new mongoose.Schema({
     }
   }],
   
+  // Share of the CO2e emissions of the completed route that carried the order
+  emissions: {
+    co2e: Number, // kg
+    share: Number, // of the route's emissions, by cargo weight (0-1)
+    route: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Route'
+    },
+    vehicle: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Vehicle'
+    },
+    date: Date, // when the route was completed
+    calculatedAt: Date
+  },
+
   // Cancellation information
   cancellation: {
     cancelledAt: Date,
@@ -522,7 +567,16 @@ const OrderSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Never send the delivery code hash, even when it was selected
+    transform: (doc, ret) => {
+      if (ret.delivery?.verification) {
+        delete ret.delivery.verification.codeHash;
+      }
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -550,6 +604,7 @@ OrderSchema.virtual('deliveryStatus').get(function() {
 
 // Indexes for efficient querying
 OrderSchema.index({ customer: 1 });
+OrderSchema.index({ 'emissions.date': 1 });
 OrderSchema.index({ assignedDriver: 1 });
 OrderSchema.index({ status: 1 });
 OrderSchema.index({ priority: 1, status: 1 });
@@ -596,6 +651,7 @@ OrderSchema.pre('save', async function(next) {
 
 // Method to update order status
 OrderSchema.methods.updateStatus = function(status, notes, location, updatedBy) {
+  assertStatusTransition(this, status);
   this.status = status;
   
   const statusUpdate = {
@@ -617,8 +673,12 @@ OrderSchema.methods.updateStatus = function(status, notes, location, updatedBy)
   this.tracking.statusHistory.push(statusUpdate);
   
   // Update specific timestamps based on status
+  if (status === 'picked-up') {
+    this.pickup.actualTime = new Date();
+  }
   if (status === 'delivered') {
     this.tracking.actualDeliveryTime = new Date();
+    this.delivery.actualTime = this.tracking.actualDeliveryTime;
   }
   
   return this.save();
@@ -626,6 +686,7 @@ OrderSchema.methods.updateStatus = function(status, notes, location, updatedBy)
 
 // Method to assign driver and vehicle
 OrderSchema.methods.assignDriverAndVehicle = function(driverId, vehicleId) {
+  assertStatusTransition(this, 'assigned');
   this.assignedDriver = driverId;
   this.assignedVehicle = vehicleId;
   this.status = 'assigned';
@@ -663,6 +724,7 @@ OrderSchema.methods.calculateEstimatedDelivery = function(transitTimeMinutes) {
 
 // Method to cancel order
 OrderSchema.methods.cancelOrder = function(reason, cancelledBy, refundAmount = 0) {
+  assertStatusTransition(this, 'cancelled');
   this.status = 'cancelled';
   this.cancellation = {
     cancelledAt: new Date(),
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const RoadConditionSchema = new mongoose.Schema({
+  // traffic: an incident or congestion at a place; weather: an observation
+  // or warning covering an area
+  type: {
+    type: String,
+    enum: ['traffic', 'weather'],
+    required: [true, 'Please specify the condition type']
+  },
+  // Feed the condition came from ('manual' for ingested reports) and its id
+  // there, so repeated reports update the same document
+  source: {
+    type: String,
+    required: true,
+    default: 'manual'
+  },
+  externalId: String,
+
+  location: {
+    coordinates: {
+      lat: {
+        type: Number,
+        required: [true, 'Please provide the condition latitude'],
+        min: -90,
+        max: 90
+      },
+      lng: {
+        type: Number,
+        required: [true, 'Please provide the condition longitude'],
+        min: -180,
+        max: 180
+      }
+    },
+    name: String
+  },
+  // km around the location that the condition affects
+  radius: {
+    type: Number,
+    required: true,
+    min: 0.05
+  },
+
+  traffic: {
+    level: {
+      type: String,
+      enum: ['light', 'moderate', 'heavy', 'severe']
+    },
+    delayMinutes: Number,
+    reason: String
+  },
+  weather: {
+    condition: String,
+    temperature: Number,
+    visibility: String,
+    impact: {
+      type: String,
+      enum: ['none', 'low', 'medium', 'high']
+    }
+  },
+
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Routes the condition was last found on
+  affectedRoutes: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Route'
+  }],
+
+  reportedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+RoadConditionSchema.index({ source: 1, externalId: 1 }, { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } });
+RoadConditionSchema.index({ type: 1, expiresAt: 1 });
+// Expired conditions are removed a day after they end
+RoadConditionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Static method to get the conditions in effect now or later
+RoadConditionSchema.statics.findUnexpired = function(at = new Date()) {
+  return this.find({ expiresAt: { $gt: at } });
+};
+
+// Method to check whether the condition is in effect at some point of a window
+RoadConditionSchema.methods.overlaps = function(start, end) {
+  return this.startsAt <= new Date(end) && this.expiresAt > new Date(start);
+};
+
+module.exports = mongoose.model('RoadCondition', RoadConditionSchema);
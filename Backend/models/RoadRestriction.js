@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+const PointSchema = new mongoose.Schema({
+  lat: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  lng: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  }
+}, { _id: false });
+
+const RoadRestrictionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a restriction name'],
+    trim: true
+  },
+  // toll-road and highway are road segments avoided on request
+  // (constraints.avoidTolls / avoidHighways); a restricted-zone is an area
+  // closed to some or all vehicles
+  type: {
+    type: String,
+    enum: ['toll-road', 'highway', 'restricted-zone'],
+    required: [true, 'Please specify the restriction type']
+  },
+
+  // Centre line of a road segment, or the outline of a zone
+  path: {
+    type: [PointSchema],
+    validate: {
+      validator: function(path) {
+        return path.length >= (this.type === 'restricted-zone' ? 3 : 2);
+      },
+      message: 'A road segment needs at least 2 points and a zone at least 3'
+    }
+  },
+  // Distance (m) either side of a road segment's centre line it covers
+  width: {
+    type: Number,
+    default: 200,
+    min: 10
+  },
+
+  // Who a zone is closed to. With none of these set it is closed to every
+  // vehicle; otherwise to the listed types and to vehicles whose capacity
+  // exceeds the weight or volume limit.
+  closedTo: {
+    vehicleTypes: [{
+      type: String,
+      enum: ['truck', 'van', 'pickup', 'trailer', 'container', 'motorcycle', 'bicycle', 'other']
+    }],
+    maxWeight: Number, // kg
+    maxVolume: Number // cubic meters
+  },
+
+  // Bounding box of the path, kept for area queries
+  bounds: {
+    minLat: Number,
+    maxLat: Number,
+    minLng: Number,
+    maxLng: Number
+  },
+
+  country: String,
+  notes: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  addedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+RoadRestrictionSchema.index({ type: 1, isActive: 1 });
+RoadRestrictionSchema.index({ 'bounds.minLat': 1, 'bounds.maxLat': 1, 'bounds.minLng': 1, 'bounds.maxLng': 1 });
+
+// Keep the bounding box in step with the path
+RoadRestrictionSchema.pre('save', function(next) {
+  if (this.isModified('path') && this.path.length > 0) {
+    const lats = this.path.map(point => point.lat);
+    const lngs = this.path.map(point => point.lng);
+    this.bounds = {
+      minLat: Math.min(...lats),
+      maxLat: Math.max(...lats),
+      minLng: Math.min(...lngs),
+      maxLng: Math.max(...lngs)
+    };
+  }
+  next();
+});
+
+// Static method to get active restrictions (of the given types, when given)
+// whose bounding box comes within a margin (km) of the given points
+RoadRestrictionSchema.statics.findNearPoints = function(points, types, marginKm = 50) {
+  if (points.length === 0) return Promise.resolve([]);
+
+  const lats = points.map(point => point.lat);
+  const lngs = points.map(point => point.lng);
+  const latMargin = marginKm / 111;
+  const lngMargin = marginKm / (111 * Math.max(0.1, Math.cos(Math.max(...lats.map(Math.abs)) * Math.PI / 180)));
+
+  const query = {
+    isActive: true,
+    'bounds.minLat': { $lte: Math.max(...lats) + latMargin },
+    'bounds.maxLat': { $gte: Math.min(...lats) - latMargin },
+    'bounds.minLng': { $lte: Math.max(...lngs) + lngMargin },
+    'bounds.maxLng': { $gte: Math.min(...lngs) - lngMargin }
+  };
+  if (types) {
+    query.type = { $in: types };
+  }
+
+  return this.find(query);
+};
+
+// Method to check whether a zone is closed to a vehicle profile
+// ({ type, weight, volume }, any of which may be unknown)
+RoadRestrictionSchema.methods.isClosedTo = function(vehicle = {}) {
+  if (this.type !== 'restricted-zone') return false;
+
+  const { vehicleTypes = [], maxWeight, maxVolume } = this.closedTo || {};
+  if (vehicleTypes.length === 0 && maxWeight === undefined && maxVolume === undefined) {
+    return true;
+  }
+
+  return Boolean(
+    (vehicle.type && vehicleTypes.includes(vehicle.type)) ||
+    (maxWeight !== undefined && vehicle.weight > maxWeight) ||
+    (maxVolume !== undefined && vehicle.volume > maxVolume)
+  );
+};
+
+module.exports = mongoose.model('RoadRestriction', RoadRestrictionSchema);
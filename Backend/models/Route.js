@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const {
+  SIMPLIFY_BATCH,
+  getTraceSettings,
+  evaluateFix,
+  checkGeofences,
+  simplifyPath,
+  pathDistance
+} = require('../utils/gpsTrace');
 
 const RouteSchema = new mongoose.Schema({
   // Basic route information
@@ -67,6 +75,12 @@ const RouteSchema = new mongoose.Schema({
       address: String,
       name: String
     },
+    // Metres around the stop in which location updates mark it arrived
+    // (GEOFENCE_RADIUS when unset)
+    geofenceRadius: {
+      type: Number,
+      min: 10
+    },
     order: {
       type: Number,
       required: true
@@ -76,7 +90,31 @@ const RouteSchema = new mongoose.Schema({
       enum: ['pickup', 'delivery', 'waypoint', 'rest-stop', 'fuel-stop'],
       required: true
     },
+    relatedOrder: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Order'
+    },
+    timeWindow: {
+      start: Date,
+      end: Date
+    },
+    timeWindowStatus: {
+      type: String,
+      enum: ['met', 'late']
+    },
+    lateBy: Number, // minutes past the end of the time window
+    // Set on stops the planner inserted itself; they are re-planned on every optimization
+    generatedBy: {
+      type: String,
+      enum: ['hours-of-service', 'fuel-range']
+    },
+    fuelStation: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'FuelStation'
+    },
     estimatedArrival: Date,
+    predictedArrival: Date, // from the historical ETA model, refreshed while the route runs
+    conditionDelay: Number, // minutes that traffic and weather add to the leg into this stop
     actualArrival: Date,
     estimatedDeparture: Date,
     actualDeparture: Date,
@@ -122,6 +160,13 @@ const RouteSchema = new mongoose.Schema({
       name: String,
       distance: Number,
       duration: Number,
+      cost: Number,
+      // Differences against the active plan (positive = worse)
+      distanceDelta: Number,
+      durationDelta: Number,
+      costDelta: Number,
+      // Waypoint ids in the order this alternative visits them
+      sequence: [mongoose.Schema.ObjectId],
       path: [{
         lat: Number,
         lng: Number
@@ -177,8 +222,15 @@ const RouteSchema = new mongoose.Schema({
         lng: Number
       },
       timestamp: Date,
-      speed: Number // km/h
-    }]
+      speed: Number // km/h since the previous point
+    }],
+    // Points before this index have already been simplified
+    simplifiedUntil: {
+      type: Number,
+      default: 0
+    },
+    distanceTravelled: Number, // km, summed over accepted fixes
+    etaUpdatedAt: Date
   },
   
   // Performance metrics
@@ -212,6 +264,11 @@ const RouteSchema = new mongoose.Schema({
       impact: {
         type: String,
         enum: ['none', 'low', 'medium', 'high']
+      },
+      // Set when the weather came from the condition feed
+      source: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'RoadCondition'
       }
     },
     traffic: {
@@ -222,13 +279,32 @@ const RouteSchema = new mongoose.Schema({
       delays: [{
         location: String,
         delayMinutes: Number,
-        reason: String
+        reason: String,
+        // Set on delays from the condition feed; others were entered by hand
+        source: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'RoadCondition'
+        }
       }]
-    }
+    },
+    // Minutes traffic and weather add to the stops still ahead, and the
+    // planned duration with them
+    delayMinutes: {
+      type: Number,
+      default: 0
+    },
+    estimatedDuration: Number,
+    notifiedDelay: Number, // delayMinutes when the last delay notification was raised
+    updatedAt: Date
   },
   
   // Cost calculation
   costs: {
+    currency: {
+      type: String,
+      enum: ['USD', 'EUR', 'GBP', 'NGN', 'KES', 'GHS', 'ZAR', 'XAF']
+    },
+    country: String, // ISO 3166 alpha-2 code selecting the fuel, toll and driver rates
     fuel: {
       type: Number,
       default: 0
@@ -250,6 +326,23 @@ const RouteSchema = new mongoose.Schema({
       default: 0
     }
   },
+
+  // CO2e emissions, recorded when the route is completed
+  emissions: {
+    co2e: Number, // kg
+    fuelUsed: Number, // litres, or kWh for electric vehicles
+    fuelType: String,
+    distance: Number, // km
+    load: Number, // kg of cargo across the route's orders
+    loadFactor: Number, // load against the vehicle's weight capacity (0-1)
+    factor: Number, // kg CO2e per litre or kWh
+    country: String,
+    basis: {
+      type: String,
+      enum: ['measured', 'estimated'] // fuel from metrics.fuelConsumed, or estimated from distance
+    },
+    calculatedAt: Date
+  },
   
   // Route constraints
   constraints: {
@@ -268,6 +361,13 @@ const RouteSchema = new mongoose.Schema({
     avoidHighways: {
       type: Boolean,
       default: false
+    },
+    // Driver hours-of-service limits in minutes (defaults apply when unset)
+    drivingRules: {
+      maxContinuousDriving: Number,
+      breakDuration: Number,
+      maxDailyDriving: Number,
+      dailyRestDuration: Number
     }
   },
   
@@ -306,6 +406,13 @@ const RouteSchema = new mongoose.Schema({
   
   // Route tags for categorization
   tags: [String],
+
+  // Recurring template this route was generated from, and for which day
+  template: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'RouteTemplate'
+  },
+  templateDate: String, // 'YYYY-MM-DD'
   
   // Route completion data
   completion: {
@@ -352,6 +459,14 @@ RouteSchema.virtual('estimatedCompletion').get(function() {
 
 // Virtual for current delay
 RouteSchema.virtual('currentDelay').get(function() {
+  // Predicted against planned arrival at the last stop still ahead
+  const ahead = (this.waypoints || [])
+    .filter(w => (w.status === 'pending' || w.status === 'arrived') && w.predictedArrival && w.estimatedArrival)
+    .sort((a, b) => b.order - a.order)[0];
+  if (this.status === 'in-progress' && ahead) {
+    return Math.max(0, Math.floor((ahead.predictedArrival - ahead.estimatedArrival) / (1000 * 60)));
+  }
+
   if (this.status === 'in-progress' && this.scheduling.actualStartTime) {
     const expectedCurrentTime = new Date(
       this.scheduling.actualStartTime.getTime() + 
@@ -364,11 +479,39 @@ RouteSchema.virtual('currentDelay').get(function() {
 
 // Indexes for efficient querying
 RouteSchema.index({ status: 1 });
-RouteSchema.index({ assignedDriver: 1 });
-RouteSchema.index({ assignedVehicle: 1 });
+RouteSchema.index({ assignedDriver: 1, 'scheduling.plannedStartTime': 1 });
+RouteSchema.index({ assignedVehicle: 1, 'scheduling.plannedStartTime': 1 });
 RouteSchema.index({ createdBy: 1 });
 RouteSchema.index({ 'scheduling.plannedStartTime': 1 });
 RouteSchema.index({ priority: 1, status: 1 });
+RouteSchema.index({ status: 1, 'scheduling.actualEndTime': 1 });
+RouteSchema.index(
+  { template: 1, templateDate: 1 },
+  { unique: true, partialFilterExpression: { template: { $exists: true } } }
+);
+
+// Static method to find routes that book a driver or vehicle during part of
+// a time window. Completed and cancelled routes no longer hold a booking.
+RouteSchema.statics.findBookingConflicts = function({ driver, vehicle, start, end, excludeRoute }) {
+  const resources = [];
+  if (driver) resources.push({ assignedDriver: driver });
+  if (vehicle) resources.push({ assignedVehicle: vehicle });
+  if (resources.length === 0 || !start || !end) return Promise.resolve([]);
+
+  const query = {
+    $or: resources,
+    status: { $nin: ['completed', 'cancelled'] },
+    'scheduling.plannedStartTime': { $lt: new Date(end) },
+    'scheduling.plannedEndTime': { $gt: new Date(start) }
+  };
+  if (excludeRoute) {
+    query._id = { $ne: excludeRoute };
+  }
+
+  return this.find(query)
+    .select('name status assignedDriver assignedVehicle scheduling.plannedStartTime scheduling.plannedEndTime')
+    .sort({ 'scheduling.plannedStartTime': 1 });
+};
 
 // Method to add waypoint
 RouteSchema.methods.addWaypoint = function(waypointData) {
@@ -381,34 +524,81 @@ RouteSchema.methods.addWaypoint = function(waypointData) {
   return this.save();
 };
 
+// Method to set a waypoint's status and move on to the next pending waypoint
+RouteSchema.methods.setWaypointStatus = function(waypoint, status, timestamp = new Date()) {
+  waypoint.status = status;
+  if (status === 'arrived') {
+    waypoint.actualArrival = timestamp;
+  } else if (status === 'completed') {
+    waypoint.actualDeparture = timestamp;
+  }
+
+  const ordered = [...this.waypoints].sort((a, b) => a.order - b.order);
+  const next = ordered.findIndex(w => w.status === 'pending');
+  this.tracking.currentWaypoint = next === -1 ? ordered.length : next;
+};
+
 // Method to update waypoint status
 RouteSchema.methods.updateWaypointStatus = function(waypointId, status, timestamp = new Date()) {
   const waypoint = this.waypoints.id(waypointId);
   if (waypoint) {
-    waypoint.status = status;
-    if (status === 'arrived') {
-      waypoint.actualArrival = timestamp;
-    } else if (status === 'completed') {
-      waypoint.actualDeparture = timestamp;
-    }
+    this.setWaypointStatus(waypoint, status, timestamp);
   }
   return this.save();
 };
 
-// Method to update current location
-RouteSchema.methods.updateCurrentLocation = function(lat, lng, address) {
-  this.tracking.currentLocation = {
+// Method to simplify the part of the path collected since the last pass
+RouteSchema.methods.simplifyTrackingPath = function() {
+  const path = this.tracking.path.map(point => point.toObject());
+  const start = Math.min(this.tracking.simplifiedUntil || 0, Math.max(path.length - 1, 0));
+  const simplified = path.slice(0, start).concat(simplifyPath(path.slice(start), getTraceSettings().simplifyTolerance));
+
+  this.tracking.path = simplified;
+  this.tracking.simplifiedUntil = Math.max(simplified.length - 1, 0);
+};
+
+// Method to update current location; fix may carry the device timestamp and accuracy (metres)
+RouteSchema.methods.updateCurrentLocation = function(lat, lng, address, fix = {}) {
+  const point = {
     coordinates: { lat, lng },
-    address,
-    lastUpdated: new Date()
+    timestamp: fix.timestamp ? new Date(fix.timestamp) : new Date(),
+    accuracy: fix.accuracy
   };
-  
+  const path = this.tracking.path;
+  const result = evaluateFix(path[path.length - 1], point);
+
+  // Drifting while parked still moves the marker, outliers do not
+  if (result.accepted || result.reason === 'jitter') {
+    this.tracking.currentLocation = {
+      coordinates: { lat, lng },
+      address,
+      lastUpdated: new Date()
+    };
+
+    // Record arrivals and departures from the waypoint geofences
+    if (this.status === 'in-progress') {
+      const { departed, arrived } = checkGeofences(this.waypoints, point);
+      departed.forEach(waypoint => this.setWaypointStatus(waypoint, 'completed', point.timestamp));
+      if (arrived) {
+        this.setWaypointStatus(arrived, 'arrived', point.timestamp);
+      }
+    }
+  }
+
   // Add to path
-  this.tracking.path.push({
-    coordinates: { lat, lng },
-    timestamp: new Date()
-  });
-  
+  if (result.accepted) {
+    path.push({
+      coordinates: point.coordinates,
+      timestamp: point.timestamp,
+      speed: result.speed
+    });
+    this.tracking.distanceTravelled = (this.tracking.distanceTravelled || 0) + result.distance;
+
+    if (path.length - (this.tracking.simplifiedUntil || 0) > SIMPLIFY_BATCH) {
+      this.simplifyTrackingPath();
+    }
+  }
+
   return this.save();
 };
 
@@ -439,6 +629,16 @@ RouteSchema.methods.completeRoute = function(notes, issues = []) {
     );
     this.metrics.delayTime = Math.max(0, this.metrics.actualDuration - plannedDuration);
   }
+
+  // Derive distance and speed from the GPS trace
+  if (this.tracking.path.length > 1) {
+    this.simplifyTrackingPath();
+    const distance = this.tracking.distanceTravelled ?? pathDistance(this.tracking.path);
+    this.metrics.actualDistance = Math.round(distance * 100) / 100;
+    if (this.metrics.actualDuration > 0) {
+      this.metrics.averageSpeed = Math.round(distance / (this.metrics.actualDuration / 60) * 10) / 10;
+    }
+  }
   
   return this.save();
 };
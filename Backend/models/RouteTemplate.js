@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+const { parseCron } = require('../utils/recurrence');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const RouteTemplateSchema = new mongoose.Schema({
+  // Basic template information
+  name: {
+    type: String,
+    required: [true, 'Please provide a template name'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Template must have a creator']
+  },
+  assignedDriver: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  assignedVehicle: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Vehicle'
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+
+  // Stops visited on every run; time windows are times of day ('HH:mm')
+  waypoints: [{
+    location: {
+      coordinates: {
+        lat: {
+          type: Number,
+          required: true,
+          min: -90,
+          max: 90
+        },
+        lng: {
+          type: Number,
+          required: true,
+          min: -180,
+          max: 180
+        }
+      },
+      address: String,
+      name: String
+    },
+    order: {
+      type: Number,
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['pickup', 'delivery', 'waypoint', 'rest-stop', 'fuel-stop'],
+      required: true
+    },
+    timeWindow: {
+      start: {
+        type: String,
+        match: [TIME_OF_DAY, 'Time window start must be HH:mm']
+      },
+      end: {
+        type: String,
+        match: [TIME_OF_DAY, 'Time window end must be HH:mm']
+      }
+    },
+    duration: Number, // minutes to spend at this location
+    notes: String,
+    contact: {
+      name: String,
+      phone: String,
+      email: String
+    }
+  }],
+
+  // Times of day for each run; an end before the start finishes the next day
+  schedule: {
+    startTime: {
+      type: String,
+      match: [TIME_OF_DAY, 'Start time must be HH:mm']
+    },
+    endTime: {
+      type: String,
+      required: [true, 'Please provide an end time'],
+      match: [TIME_OF_DAY, 'End time must be HH:mm']
+    },
+    timezone: {
+      type: String,
+      default: 'UTC'
+    }
+  },
+
+  recurrence: {
+    type: {
+      type: String,
+      enum: ['daily', 'weekdays', 'weekly', 'cron'],
+      required: [true, 'Please provide a recurrence type']
+    },
+    daysOfWeek: [{ // weekly: 0 = Sunday ... 6 = Saturday
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    expression: String, // cron: minute hour day-of-month month day-of-week
+    validFrom: Date,
+    validUntil: Date
+  },
+
+  // Days the template does not run, e.g. public holidays
+  exceptions: [{
+    date: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, 'Exception date must be YYYY-MM-DD']
+    },
+    type: {
+      type: String,
+      enum: ['holiday', 'skip'],
+      default: 'skip'
+    },
+    reason: String
+  }],
+
+  // Route constraints copied onto every generated route
+  constraints: {
+    maxWeight: Number,
+    maxVolume: Number,
+    vehicleType: String,
+    avoidTolls: {
+      type: Boolean,
+      default: false
+    },
+    avoidHighways: {
+      type: Boolean,
+      default: false
+    },
+    drivingRules: {
+      maxContinuousDriving: Number,
+      breakDuration: Number,
+      maxDailyDriving: Number,
+      dailyRestDuration: Number
+    }
+  },
+
+  costs: {
+    currency: {
+      type: String,
+      enum: ['USD', 'EUR', 'GBP', 'NGN', 'KES', 'GHS', 'ZAR', 'XAF']
+    },
+    country: String
+  },
+
+  // How many days ahead the scheduler creates routes
+  generateDaysAhead: {
+    type: Number,
+    default: 7,
+    min: 0,
+    max: 60
+  },
+  lastGeneratedDate: String, // last day ('YYYY-MM-DD') routes were created for
+
+  tags: [String],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+RouteTemplateSchema.index({ isActive: 1 });
+RouteTemplateSchema.index({ createdBy: 1 });
+
+// Validate the recurrence rule and start time
+RouteTemplateSchema.pre('validate', function(next) {
+  const { recurrence, schedule } = this;
+
+  if (recurrence?.type === 'weekly' && (!recurrence.daysOfWeek || recurrence.daysOfWeek.length === 0)) {
+    this.invalidate('recurrence.daysOfWeek', 'Weekly recurrence needs at least one day of the week');
+  }
+
+  if (recurrence?.type === 'cron') {
+    try {
+      const cron = parseCron(recurrence.expression);
+      if (!schedule?.startTime && (cron.minute.size !== 1 || cron.hour.size !== 1)) {
+        this.invalidate('schedule.startTime', 'Provide a start time or a cron expression with a single minute and hour');
+      }
+    } catch (error) {
+      this.invalidate('recurrence.expression', error.message);
+    }
+  } else if (!schedule?.startTime) {
+    this.invalidate('schedule.startTime', 'Please provide a start time');
+  }
+
+  if (schedule?.timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+    } catch (error) {
+      this.invalidate('schedule.timezone', `Unknown time zone: ${schedule.timezone}`);
+    }
+  }
+
+  next();
+});
+
+// Method to list the days this template skips
+RouteTemplateSchema.methods.getSkippedDays = function() {
+  return this.exceptions.map(exception => exception.date);
+};
+
+module.exports = mongoose.model('RouteTemplate', RouteTemplateSchema);
@@ -60,6 +60,17 @@ const VehicleSchema = new mongoose.Schema({
     enum: ['petrol', 'diesel', 'electric', 'hybrid', 'cng', 'lpg'],
     required: [true, 'Please specify fuel type']
   },
+  range: {
+    tankCapacity: Number, // litres, or kWh for electric vehicles
+    maxDistance: Number, // km on a full tank or charge
+    currentLevel: { // percentage of a full tank or charge
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 100
+    },
+    reserve: Number // km to keep in hand, 10% of maxDistance when unset
+  },
   
   // Ownership and assignment
   owner: {
@@ -186,7 +197,7 @@ const VehicleSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
-    averageFuelEfficiency: {
+    averageFuelEfficiency: { // km per litre (km per kWh for electric)
       type: Number,
       default: 0
     },
@@ -347,4 +358,39 @@ VehicleSchema.methods.assignDriver = function(driverId) {
   return this.save();
 };
 
+// Static method to get available vehicles visible to a user
+VehicleSchema.statics.getAvailableVehicles = function(user, filters = {}) {
+  const { minWeight, minVolume, type } = filters;
+
+  const query = {
+    status: 'available',
+    isActive: true
+  };
+
+  // Filter by capacity
+  if (minWeight) {
+    query['capacity.weight'] = { $gte: parseInt(minWeight) };
+  }
+
+  if (minVolume) {
+    query['capacity.volume'] = { $gte: parseInt(minVolume) };
+  }
+
+  // Filter by type
+  if (type) {
+    query.type = type;
+  }
+
+  // Role-based filtering
+  if (user.role === 'fleet-manager') {
+    query.fleetManager = user._id;
+  } else if (user.role !== 'admin') {
+    query.owner = user._id;
+  }
+
+  return this.find(query)
+    .populate('assignedDriver', 'firstName lastName phone')
+    .select('registrationNumber type make model capacity currentLocation features status fuelType range assignedDriver metrics.averageFuelEfficiency');
+};
+
 module.exports = mongoose.model('Vehicle', VehicleSchema);
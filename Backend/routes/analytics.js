@@ -1,14 +1,33 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { protect, authorize } = require('../middleware/auth');
 const Order = require('../models/Order');
 const Vehicle = require('../models/Vehicle');
 const Route = require('../models/Route');
 const User = require('../models/User');
 const Inventory = require('../models/Inventory');
+const EtaProfile = require('../models/EtaProfile');
 const logger = require('../utils/logger');
+const { trainEtaModel } = require('../utils/etaPredictor');
+const { recordRouteEmissions } = require('../utils/emissions');
+const {
+  CURRENCIES,
+  getBaseCurrency,
+  conversionStages,
+  convertedSum,
+  unconvertedCount
+} = require('../utils/currency');
 
 const router = express.Router();
 
+// $dateToString formats for the emissions report periods
+const EMISSION_PERIODS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+  year: '%Y'
+};
+
 // Protect all routes
 router.use(protect);
 
@@ -21,6 +40,15 @@ router.get('/dashboard', async (req, res, next) => {
     const userRole = req.user.role;
     const timeRange = req.query.timeRange || '30d'; // 7d, 30d, 90d, 1y
 
+    // Amounts are reported in this currency
+    const currency = getBaseCurrency(req.query.currency);
+    if (!currency) {
+      return res.status(400).json({
+        success: false,
+        message: `currency must be one of: ${CURRENCIES.join(', ')}`
+      });
+    }
+
     // Calculate date range
     const now = new Date();
     let startDate;
@@ -42,21 +70,21 @@ router.get('/dashboard', async (req, res, next) => {
 
     if (userRole === 'admin') {
       // Admin dashboard - system-wide analytics
-      analytics = await getAdminAnalytics(startDate);
+      analytics = await getAdminAnalytics(startDate, currency);
     } else if (userRole === 'fleet-manager') {
       // Fleet manager dashboard
-      analytics = await getFleetManagerAnalytics(userId, startDate);
+      analytics = await getFleetManagerAnalytics(userId, startDate, currency);
     } else if (userRole === 'driver') {
       // Driver dashboard
       analytics = await getDriverAnalytics(userId, startDate);
     } else {
       // Customer/Business user dashboard
-      analytics = await getCustomerAnalytics(userId, startDate);
+      analytics = await getCustomerAnalytics(userId, startDate, currency);
     }
 
     res.status(200).json({
       success: true,
-      data: analytics
+      data: { currency, ...analytics }
     });
   } catch (error) {
     logger.error('Get dashboard analytics error:', error);
@@ -87,8 +115,19 @@ router.get('/orders', async (req, res, next) => {
       }
     }
 
+    // Amounts are converted to this currency at the rate when each order was placed
+    const currency = getBaseCurrency(req.query.currency);
+    if (!currency) {
+      return res.status(400).json({
+        success: false,
+        message: `currency must be one of: ${CURRENCIES.join(', ')}`
+      });
+    }
+    const toBaseCurrency = orderConversionStages(currency);
+
     const orderAnalytics = await Order.aggregate([
       { $match: matchQuery },
+      ...toBaseCurrency,
       {
         $group: {
           _id: null,
@@ -102,8 +141,9 @@ router.get('/orders', async (req, res, next) => {
           cancelledOrders: {
             $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] }
           },
-          totalRevenue: { $sum: '$pricing.totalAmount' },
-          avgOrderValue: { $avg: '$pricing.totalAmount' }
+          totalRevenue: convertedSum('$pricing.totalAmount'),
+          avgOrderValue: { $avg: { $multiply: ['$pricing.totalAmount', '$fxRate'] } },
+          unconvertedOrders: unconvertedCount()
         }
       }
     ]);
@@ -122,6 +162,7 @@ router.get('/orders', async (req, res, next) => {
     // Monthly trend
     const monthlyTrend = await Order.aggregate([
       { $match: matchQuery },
+      ...toBaseCurrency,
       {
         $group: {
           _id: {
@@ -129,7 +170,7 @@ router.get('/orders', async (req, res, next) => {
             month: { $month: '$createdAt' }
           },
           orders: { $sum: 1 },
-          revenue: { $sum: '$pricing.totalAmount' }
+          revenue: convertedSum('$pricing.totalAmount')
         }
       },
       { $sort: { '_id.year': 1, '_id.month': 1 } },
@@ -139,13 +180,15 @@ router.get('/orders', async (req, res, next) => {
     res.status(200).json({
       success: true,
       data: {
+        currency,
         summary: orderAnalytics[0] || {
           totalOrders: 0,
           completedOrders: 0,
           pendingOrders: 0,
           cancelledOrders: 0,
           totalRevenue: 0,
-          avgOrderValue: 0
+          avgOrderValue: 0,
+          unconvertedOrders: 0
         },
         statusDistribution,
         monthlyTrend
@@ -217,16 +260,263 @@ router.get('/vehicles', authorize('admin', 'fleet-manager'), async (req, res, ne
   }
 });
 
+// @desc    Get the historical ETA model
+// @route   GET /api/analytics/eta-model
+// @access  Private (Admin/Fleet Manager)
+router.get('/eta-model', authorize('admin', 'fleet-manager'), async (req, res, next) => {
+  try {
+    let query = {};
+    if (req.query.level) {
+      query.level = req.query.level;
+    }
+    if (req.query.vehicleType) {
+      query.vehicleType = req.query.vehicleType;
+    }
+
+    const profiles = await EtaProfile.find(query)
+      .sort({ level: 1, samples: -1 })
+      .limit(parseInt(req.query.limit) || 100);
+
+    const levels = await EtaProfile.aggregate([
+      {
+        $group: {
+          _id: '$level',
+          profiles: { $sum: 1 },
+          samples: { $sum: '$samples' },
+          avgFactor: { $avg: '$factor' },
+          trainedAt: { $max: '$trainedAt' }
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        levels,
+        profiles
+      }
+    });
+  } catch (error) {
+    logger.error('Get ETA model error:', error);
+    next(error);
+  }
+});
+
+// @desc    Retrain the historical ETA model from completed routes
+// @route   POST /api/analytics/eta-model/train
+// @access  Private (Admin)
+router.post('/eta-model/train', authorize('admin'), async (req, res, next) => {
+  try {
+    const result = await trainEtaModel();
+
+    logger.info(`ETA model retrained by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'ETA model trained successfully',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Train ETA model error:', error);
+    next(error);
+  }
+});
+
+// @desc    Get CO2e emissions by customer, vehicle and period
+// @route   GET /api/analytics/emissions
+// @access  Private (Admin/Fleet Manager/Producer/Wholesaler/Retailer)
+router.get('/emissions', authorize('admin', 'fleet-manager', 'producer', 'wholesaler', 'retailer'), async (req, res, next) => {
+  try {
+    const period = req.query.period || 'month';
+    if (!EMISSION_PERIODS[period]) {
+      return res.status(400).json({
+        success: false,
+        message: `period must be one of: ${Object.keys(EMISSION_PERIODS).join(', ')}`
+      });
+    }
+
+    const { startDate, endDate } = getReportRange(req.query);
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid startDate or endDate'
+      });
+    }
+
+    for (const key of ['vehicle', 'customer']) {
+      if (req.query[key] && !mongoose.isValidObjectId(req.query[key])) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${key} id`
+        });
+      }
+    }
+
+    // Completed routes carry the emissions; orders their share of them
+    const routeMatch = {
+      status: 'completed',
+      'emissions.co2e': { $exists: true },
+      'scheduling.actualEndTime': { $gte: startDate, $lte: endDate }
+    };
+    const orderMatch = {
+      'emissions.co2e': { $exists: true },
+      'emissions.date': { $gte: startDate, $lte: endDate }
+    };
+
+    // Shippers only see the emissions of their own orders
+    if (!['admin', 'fleet-manager'].includes(req.user.role)) {
+      orderMatch.customer = req.user._id;
+    } else if (req.query.customer) {
+      orderMatch.customer = new mongoose.Types.ObjectId(req.query.customer);
+    }
+
+    if (req.user.role === 'fleet-manager') {
+      const vehicles = await Vehicle.find({ fleetManager: req.user._id }).distinct('_id');
+      routeMatch.assignedVehicle = { $in: vehicles };
+      orderMatch['emissions.vehicle'] = { $in: vehicles };
+    }
+
+    if (req.query.vehicle) {
+      const vehicle = new mongoose.Types.ObjectId(req.query.vehicle);
+      routeMatch.assignedVehicle = { ...routeMatch.assignedVehicle, $eq: vehicle };
+      orderMatch['emissions.vehicle'] = { ...orderMatch['emissions.vehicle'], $eq: vehicle };
+    }
+
+    // Reports for one customer are built from their orders' shares, others
+    // from whole routes (including any emissions not shared out to orders)
+    const byOrders = Boolean(orderMatch.customer);
+    const source = byOrders
+      ? { model: Order, match: orderMatch, vehicle: '$emissions.vehicle', date: '$emissions.date' }
+      : { model: Route, match: routeMatch, vehicle: '$assignedVehicle', date: '$scheduling.actualEndTime' };
+    const figures = byOrders
+      ? { co2e: { $sum: '$emissions.co2e' }, orders: { $sum: 1 } }
+      : {
+        co2e: { $sum: '$emissions.co2e' },
+        routes: { $sum: 1 },
+        distance: { $sum: '$emissions.distance' },
+        fuelUsed: { $sum: '$emissions.fuelUsed' }
+      };
+
+    const [[breakdown], byCustomer] = await Promise.all([
+      source.model.aggregate([
+        { $match: source.match },
+        {
+          $facet: {
+            totals: [{ $group: { _id: null, ...figures } }],
+            byPeriod: [
+              { $group: { _id: { $dateToString: { format: EMISSION_PERIODS[period], date: source.date } }, ...figures } },
+              { $sort: { _id: 1 } }
+            ],
+            byVehicle: [
+              { $group: { _id: source.vehicle, ...figures } },
+              { $sort: { co2e: -1 } }
+            ]
+          }
+        }
+      ]),
+      Order.aggregate([
+        { $match: orderMatch },
+        {
+          $group: {
+            _id: '$customer',
+            co2e: { $sum: '$emissions.co2e' },
+            orders: { $sum: 1 }
+          }
+        },
+        { $sort: { co2e: -1 } }
+      ])
+    ]);
+
+    const [vehicles, customers] = await Promise.all([
+      Vehicle.find({ _id: { $in: breakdown.byVehicle.map(group => group._id) } })
+        .select('registrationNumber type fuelType'),
+      User.find({ _id: { $in: byCustomer.map(group => group._id) } })
+        .select('firstName lastName email profile.businessName')
+    ]);
+    const vehicleById = new Map(vehicles.map(vehicle => [vehicle._id.toString(), vehicle]));
+    const customerById = new Map(customers.map(customer => [customer._id.toString(), customer]));
+
+    const { _id, ...totals } = breakdown.totals[0] || { co2e: 0, ...(byOrders ? { orders: 0 } : { routes: 0 }) };
+
+    res.status(200).json({
+      success: true,
+      data: {
+        startDate,
+        endDate,
+        period,
+        basis: byOrders ? 'orders' : 'routes',
+        totals: roundFigures(totals),
+        byPeriod: breakdown.byPeriod.map(({ _id, ...group }) => ({ period: _id, ...roundFigures(group) })),
+        byVehicle: breakdown.byVehicle.map(({ _id, ...group }) => ({
+          vehicle: (_id && vehicleById.get(_id.toString())) || null,
+          ...roundFigures(group)
+        })),
+        byCustomer: byCustomer.map(({ _id, ...group }) => ({
+          customer: (_id && customerById.get(_id.toString())) || null,
+          ...roundFigures(group)
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Get emissions analytics error:', error);
+    next(error);
+  }
+});
+
+// @desc    Recalculate recorded emissions, e.g. after the factors change
+// @route   POST /api/analytics/emissions/recalculate
+// @access  Private (Admin)
+router.post('/emissions/recalculate', authorize('admin'), async (req, res, next) => {
+  try {
+    const { startDate, endDate } = getReportRange(req.body);
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid startDate or endDate'
+      });
+    }
+
+    const routes = Route.find({
+      status: 'completed',
+      'scheduling.actualEndTime': { $gte: startDate, $lte: endDate }
+    }).cursor();
+
+    let recalculated = 0;
+    for await (const route of routes) {
+      const emissions = await recordRouteEmissions(route);
+      await Route.updateOne({ _id: route._id }, { $set: { emissions } });
+      recalculated++;
+    }
+
+    logger.info(`Emissions recalculated for ${recalculated} route(s) by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Emissions recalculated successfully',
+      data: {
+        startDate,
+        endDate,
+        routes: recalculated
+      }
+    });
+  } catch (error) {
+    logger.error('Recalculate emissions error:', error);
+    next(error);
+  }
+});
+
 // Helper functions
-async function getAdminAnalytics(startDate) {
+async function getAdminAnalytics(startDate, currency) {
   const [orderStats, vehicleStats, userStats, inventoryStats] = await Promise.all([
     Order.aggregate([
       { $match: { createdAt: { $gte: startDate } } },
+      ...orderConversionStages(currency),
       {
         $group: {
           _id: null,
           totalOrders: { $sum: 1 },
-          totalRevenue: { $sum: '$pricing.totalAmount' },
+          totalRevenue: convertedSum('$pricing.totalAmount'),
+          unconvertedOrders: unconvertedCount(),
           completedOrders: {
             $sum: { $cond: [{ $eq: ['$status', 'delivered'] }, 1, 0] }
           }
@@ -256,13 +546,12 @@ async function getAdminAnalytics(startDate) {
       }
     ]),
     Inventory.aggregate([
+      ...inventoryConversionStages(currency),
       {
         $group: {
           _id: null,
           totalItems: { $sum: 1 },
-          totalValue: {
-            $sum: { $multiply: ['$stock.current', '$pricing.price'] }
-          },
+          totalValue: convertedSum({ $multiply: ['$stock.current', '$pricing.price'] }),
           lowStockItems: {
             $sum: {
               $cond: [{ $lte: ['$stock.available', '$stock.reorderPoint'] }, 1, 0]
@@ -274,14 +563,14 @@ async function getAdminAnalytics(startDate) {
   ]);
 
   return {
-    orders: orderStats[0] || { totalOrders: 0, totalRevenue: 0, completedOrders: 0 },
+    orders: orderStats[0] || { totalOrders: 0, totalRevenue: 0, unconvertedOrders: 0, completedOrders: 0 },
     vehicles: vehicleStats[0] || { totalVehicles: 0, activeVehicles: 0 },
     users: userStats[0] || { totalUsers: 0, activeUsers: 0 },
     inventory: inventoryStats[0] || { totalItems: 0, totalValue: 0, lowStockItems: 0 }
   };
 }
 
-async function getFleetManagerAnalytics(userId, startDate) {
+async function getFleetManagerAnalytics(userId, startDate, currency) {
   const managedDrivers = await User.find({ 
     'profile.managedBy': userId,
     role: 'driver'
@@ -297,6 +586,7 @@ async function getFleetManagerAnalytics(userId, startDate) {
           createdAt: { $gte: startDate }
         }
       },
+      ...orderConversionStages(currency),
       {
         $group: {
           _id: null,
@@ -304,7 +594,8 @@ async function getFleetManagerAnalytics(userId, startDate) {
           completedOrders: {
             $sum: { $cond: [{ $eq: ['$status', 'delivered'] }, 1, 0] }
           },
-          totalRevenue: { $sum: '$pricing.totalAmount' }
+          totalRevenue: convertedSum('$pricing.totalAmount'),
+          unconvertedOrders: unconvertedCount()
         }
       }
     ]),
@@ -342,7 +633,7 @@ async function getFleetManagerAnalytics(userId, startDate) {
   ]);
 
   return {
-    orders: orderStats[0] || { totalOrders: 0, completedOrders: 0, totalRevenue: 0 },
+    orders: orderStats[0] || { totalOrders: 0, completedOrders: 0, totalRevenue: 0, unconvertedOrders: 0 },
     vehicles: vehicleStats[0] || { totalVehicles: 0, activeVehicles: 0, avgUtilization: 0 },
     routes: routeStats[0] || { totalRoutes: 0, completedRoutes: 0, totalDistance: 0 },
     managedDrivers: driverIds.length
@@ -400,7 +691,7 @@ async function getDriverAnalytics(userId, startDate) {
   };
 }
 
-async function getCustomerAnalytics(userId, startDate) {
+async function getCustomerAnalytics(userId, startDate, currency) {
   const [orderStats, inventoryStats] = await Promise.all([
     Order.aggregate([
       {
@@ -409,6 +700,7 @@ async function getCustomerAnalytics(userId, startDate) {
           createdAt: { $gte: startDate }
         }
       },
+      ...orderConversionStages(currency),
       {
         $group: {
           _id: null,
@@ -416,20 +708,20 @@ async function getCustomerAnalytics(userId, startDate) {
           completedOrders: {
             $sum: { $cond: [{ $eq: ['$status', 'delivered'] }, 1, 0] }
           },
-          totalSpent: { $sum: '$pricing.totalAmount' },
-          avgOrderValue: { $avg: '$pricing.totalAmount' }
+          totalSpent: convertedSum('$pricing.totalAmount'),
+          avgOrderValue: { $avg: { $multiply: ['$pricing.totalAmount', '$fxRate'] } },
+          unconvertedOrders: unconvertedCount()
         }
       }
     ]),
     Inventory.aggregate([
       { $match: { owner: userId } },
+      ...inventoryConversionStages(currency),
       {
         $group: {
           _id: null,
           totalItems: { $sum: 1 },
-          totalValue: {
-            $sum: { $multiply: ['$stock.current', '$pricing.price'] }
-          },
+          totalValue: convertedSum({ $multiply: ['$stock.current', '$pricing.price'] }),
           lowStockItems: {
             $sum: {
               $cond: [{ $lte: ['$stock.available', '$stock.reorderPoint'] }, 1, 0]
@@ -441,9 +733,34 @@ async function getCustomerAnalytics(userId, startDate) {
   ]);
 
   return {
-    orders: orderStats[0] || { totalOrders: 0, completedOrders: 0, totalSpent: 0, avgOrderValue: 0 },
+    orders: orderStats[0] || { totalOrders: 0, completedOrders: 0, totalSpent: 0, avgOrderValue: 0, unconvertedOrders: 0 },
     inventory: inventoryStats[0] || { totalItems: 0, totalValue: 0, lowStockItems: 0 }
   };
 }
 
+// Stages converting order amounts to the currency at the rate when each
+// order was placed
+function orderConversionStages(currency) {
+  return conversionStages({ currency: '$pricing.currency', date: '$createdAt', base: currency });
+}
+
+// Stages converting inventory prices to the currency at today's rate
+function inventoryConversionStages(currency) {
+  return conversionStages({ currency: '$pricing.currency', date: new Date(), base: currency });
+}
+
+// Report range from startDate/endDate, the last 30 days by default
+function getReportRange({ startDate, endDate } = {}) {
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+  return { startDate: start, endDate: end };
+}
+
+function roundFigures(figures) {
+  return Object.fromEntries(Object.entries(figures).map(([key, value]) => [
+    key,
+    typeof value === 'number' ? Math.round(value * 100) / 100 : value
+  ]));
+}
+
 module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getConditions,
+  getCondition,
+  reportConditions,
+  syncConditions,
+  deleteCondition
+} = require('../controllers/conditions');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+
+// Feed sync (should come before /:id)
+router.post('/sync', authorize('admin', 'fleet-manager'), syncConditions);
+
+router
+  .route('/')
+  .get(getConditions)
+  .post(authorize('admin', 'fleet-manager'), reportConditions);
+
+router
+  .route('/:id')
+  .get(getCondition)
+  .delete(authorize('admin', 'fleet-manager'), deleteCondition);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  getExchangeRates,
+  convertCurrency,
+  createExchangeRates,
+  updateExchangeRate,
+  deleteExchangeRate
+} = require('../controllers/exchangeRates');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+
+// Conversion (should come before /:id)
+router.get('/convert', convertCurrency);
+
+router
+  .route('/')
+  .get(getExchangeRates)
+  .post(authorize('admin'), createExchangeRates);
+
+router
+  .route('/:id')
+  .put(authorize('admin'), updateExchangeRate)
+  .delete(authorize('admin'), deleteExchangeRate);
+
+module.exports = router;
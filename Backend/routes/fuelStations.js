@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  getFuelStations,
+  getFuelStation,
+  createFuelStation,
+  updateFuelStation,
+  deleteFuelStation
+} = require('../controllers/fuelStations');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+
+router
+  .route('/')
+  .get(getFuelStations)
+  .post(authorize('admin', 'fleet-manager'), createFuelStation);
+
+router
+  .route('/:id')
+  .get(getFuelStation)
+  .put(authorize('admin', 'fleet-manager'), updateFuelStation)
+  .delete(authorize('admin', 'fleet-manager'), deleteFuelStation);
+
+module.exports = router;
@@ -3,15 +3,23 @@ const {
   getOrders,
   getOrder,
   createOrder,
+  getOrderQuote,
   updateOrder,
   deleteOrder,
   updateOrderStatus,
   assignOrder,
   cancelOrder,
   addNote,
-  getOrderTracking
+  getOrderTracking,
+  uploadPickupProof,
+  uploadDeliveryProof,
+  getOrderProof,
+  getOrderProofFile,
+  regenerateDeliveryCode
 } = require('../controllers/orders');
 const { protect, authorize } = require('../middleware/auth');
+const upload = require('../middleware/upload');
+const { handleMulterError } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -21,6 +29,9 @@ router.get('/:id/tracking', getOrderTracking);
 // Protect all other routes
 router.use(protect);
 
+// Pricing quote (should come before /:id)
+router.post('/quote', getOrderQuote);
+
 // Main order routes
 router
   .route('/')
@@ -38,5 +49,22 @@ router.put('/:id/status', updateOrderStatus);
 router.put('/:id/assign', authorize('admin', 'fleet-manager'), assignOrder);
 router.put('/:id/cancel', cancelOrder);
 router.post('/:id/notes', addNote);
+router.post('/:id/delivery-code', regenerateDeliveryCode);
+
+// Proof of pickup and delivery
+const pickupUploads = upload.fields([
+  { name: 'photos', maxCount: 5 },
+  { name: 'signature', maxCount: 1 }
+]);
+const deliveryUploads = upload.fields([
+  { name: 'photos', maxCount: 5 },
+  { name: 'signature', maxCount: 1 },
+  { name: 'identification', maxCount: 1 }
+]);
+
+router.get('/:id/pod', getOrderProof);
+router.get('/:id/pod/files/:file', getOrderProofFile);
+router.post('/:id/pod/pickup', authorize('admin', 'fleet-manager', 'driver'), pickupUploads, handleMulterError, uploadPickupProof);
+router.post('/:id/pod/delivery', authorize('admin', 'fleet-manager', 'driver'), deliveryUploads, handleMulterError, uploadDeliveryProof);
 
 module.exports = router;
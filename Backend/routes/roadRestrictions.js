@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  getRoadRestrictions,
+  getRoadRestriction,
+  createRoadRestriction,
+  updateRoadRestriction,
+  deleteRoadRestriction
+} = require('../controllers/roadRestrictions');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+
+router
+  .route('/')
+  .get(getRoadRestrictions)
+  .post(authorize('admin', 'fleet-manager'), createRoadRestriction);
+
+router
+  .route('/:id')
+  .get(getRoadRestriction)
+  .put(authorize('admin', 'fleet-manager'), updateRoadRestriction)
+  .delete(authorize('admin', 'fleet-manager'), deleteRoadRestriction);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const {
+  getRouteTemplates,
+  getRouteTemplate,
+  createRouteTemplate,
+  updateRouteTemplate,
+  deleteRouteTemplate,
+  getTemplateOccurrences,
+  generateRoutes,
+  addTemplateException,
+  removeTemplateException
+} = require('../controllers/routeTemplates');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+router.use(authorize('admin', 'fleet-manager'));
+
+router
+  .route('/')
+  .get(getRouteTemplates)
+  .post(createRouteTemplate);
+
+router
+  .route('/:id')
+  .get(getRouteTemplate)
+  .put(updateRouteTemplate)
+  .delete(deleteRouteTemplate);
+
+router.get('/:id/occurrences', getTemplateOccurrences);
+router.post('/:id/generate', generateRoutes);
+router.post('/:id/exceptions', addTemplateException);
+router.delete('/:id/exceptions/:date', removeTemplateException);
+
+module.exports = router;
@@ -3,24 +3,48 @@ const {
   getRoutes,
   getRoute,
   createRoute,
+  getBookingSchedule,
+  importRoute,
   updateRoute,
   deleteRoute,
   startRoute,
   completeRoute,
   updateLocation,
+  getRouteReplay,
+  getRouteEtas,
+  getRouteEmissionsReport,
+  exportRouteFile,
   updateWaypointStatus,
   addWaypoint,
   addNotification,
   optimizeRoute,
-  getRouteAnalytics
+  getRouteAnalytics,
+  planFleetRoutes,
+  selectAlternativeRoute,
+  reoptimizeRoute,
+  getOptimizationRuns,
+  diffOptimizationRuns,
+  getOptimizationRun,
+  rollbackOptimizationRun
 } = require('../controllers/routes');
 const { protect, authorize } = require('../middleware/auth');
+const upload = require('../middleware/upload');
+const { handleMulterError } = require('../middleware/upload');
 
 const router = express.Router();
 
 // Protect all routes
 router.use(protect);
 
+// Fleet planning route (should come before /:id)
+router.post('/plan', authorize('admin', 'fleet-manager'), planFleetRoutes);
+
+// Driver and vehicle bookings (should come before /:id)
+router.get('/schedule', getBookingSchedule);
+
+// Stop list import (should come before /:id)
+router.post('/import', upload.single('stops'), handleMulterError, importRoute);
+
 // Main route routes
 router
   .route('/')
@@ -37,10 +61,20 @@ router
 router.put('/:id/start', startRoute);
 router.put('/:id/complete', completeRoute);
 router.put('/:id/location', updateLocation);
+router.get('/:id/replay', getRouteReplay);
+router.get('/:id/eta', getRouteEtas);
+router.get('/:id/emissions', getRouteEmissionsReport);
+router.get('/:id/export', exportRouteFile);
 router.put('/:id/waypoints/:waypointId', updateWaypointStatus);
 router.post('/:id/waypoints', addWaypoint);
 router.post('/:id/notifications', addNotification);
 router.post('/:id/optimize', authorize('admin', 'fleet-manager'), optimizeRoute);
+router.post('/:id/reoptimize', authorize('admin', 'fleet-manager'), reoptimizeRoute);
+router.put('/:id/alternatives/:alternativeId', authorize('admin', 'fleet-manager'), selectAlternativeRoute);
+router.get('/:id/optimizations', getOptimizationRuns);
+router.get('/:id/optimizations/diff', diffOptimizationRuns);
+router.get('/:id/optimizations/:version', getOptimizationRun);
+router.post('/:id/optimizations/:version/rollback', authorize('admin', 'fleet-manager'), rollbackOptimizationRun);
 router.get('/:id/analytics', getRouteAnalytics);
 
 module.exports = router;
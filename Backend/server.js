@@ -18,10 +18,18 @@ const orderRoutes = require('./routes/orders');
 const notificationRoutes = require('./routes/notifications');
 const analyticsRoutes = require('./routes/analytics');
 const inventoryRoutes = require('./routes/inventory');
+const fuelStationRoutes = require('./routes/fuelStations');
+const routeTemplateRoutes = require('./routes/routeTemplates');
+const roadRestrictionRoutes = require('./routes/roadRestrictions');
+const conditionRoutes = require('./routes/conditions');
+const exchangeRateRoutes = require('./routes/exchangeRates');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
+const { startTemplateScheduler } = require('./utils/templateScheduler');
+const { startEtaTraining } = require('./utils/etaPredictor');
+const { startConditionFeed } = require('./utils/conditionFeed');
 
 const app = express();
 const server = createServer(app);
@@ -96,6 +104,11 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/inventory', inventoryRoutes);
+app.use('/api/fuel-stations', fuelStationRoutes);
+app.use('/api/route-templates', routeTemplateRoutes);
+app.use('/api/road-restrictions', roadRestrictionRoutes);
+app.use('/api/conditions', conditionRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
@@ -141,6 +154,15 @@ mongoose.connect(process.env.MONGODB_URI)
     logger.info(`Environment: ${process.env.NODE_ENV}`);
     logger.info(`Frontend URL: ${process.env.FRONTEND_URL}`);
   });
+
+  // Create upcoming routes from recurring route templates
+  startTemplateScheduler();
+
+  // Keep the historical ETA model up to date
+  startEtaTraining();
+
+  // Pull traffic and weather conditions and apply them to route ETAs
+  startConditionFeed();
 })
 .catch((error) => {
   logger.error('MongoDB connection error:', error);
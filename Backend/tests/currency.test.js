@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ExchangeRate = require('../models/ExchangeRate');
+const {
+  getBaseCurrency,
+  getExchangeRate,
+  convertAmount,
+  conversionStages,
+  convertedSum
+} = require('../utils/currency');
+
+// Units per US dollar, in place of the stored rate table
+const RATES = { KES: 130, EUR: 0.9 };
+
+test.beforeEach((t) => {
+  t.mock.method(ExchangeRate, 'findRateAt', async (currency) => (
+    RATES[currency] ? { currency, rate: RATES[currency] } : null
+  ));
+});
+
+test('picks the requested, configured or US dollar base currency', () => {
+  const configured = process.env.BASE_CURRENCY;
+  delete process.env.BASE_CURRENCY;
+
+  assert.strictEqual(getBaseCurrency('kes'), 'KES');
+  assert.strictEqual(getBaseCurrency(), 'USD');
+  process.env.BASE_CURRENCY = 'EUR';
+  assert.strictEqual(getBaseCurrency(), 'EUR');
+  assert.strictEqual(getBaseCurrency('BTC'), null);
+  assert.strictEqual(getBaseCurrency(['USD', 'KES']), null);
+
+  if (configured === undefined) {
+    delete process.env.BASE_CURRENCY;
+  } else {
+    process.env.BASE_CURRENCY = configured;
+  }
+});
+
+test('converts through the US dollar rates', async () => {
+  assert.strictEqual(await getExchangeRate('KES', 'KES'), 1);
+  assert.strictEqual(await getExchangeRate('USD', 'KES'), 130);
+  assert.strictEqual(await getExchangeRate('KES', 'EUR'), 0.9 / 130);
+  assert.strictEqual(await convertAmount(1300, 'KES', 'USD'), 10);
+});
+
+test('cannot convert without a rate', async () => {
+  assert.strictEqual(await getExchangeRate('NGN', 'USD'), null);
+  assert.strictEqual(await convertAmount(100, 'NGN', 'KES'), null);
+});
+
+test('adds the conversion rate to each document and drops the lookups', () => {
+  const stages = conversionStages({ currency: '$pricing.currency', date: '$createdAt', base: 'KES' });
+
+  assert.strictEqual(stages.length, 4);
+  assert.strictEqual(stages[0].$lookup.from, ExchangeRate.collection.name);
+  assert.deepStrictEqual(stages[0].$lookup.let, { currency: { $ifNull: ['$pricing.currency', 'USD'] }, at: '$createdAt' });
+  assert.deepStrictEqual(stages[1].$lookup.let, { currency: { $literal: 'KES' }, at: '$createdAt' });
+  assert.ok(stages[2].$addFields.fxRate);
+  assert.deepStrictEqual(stages[3], { $project: { _fromRates: 0, _toRates: 0 } });
+});
+
+test('names the rate field as asked', () => {
+  const stages = conversionStages({ currency: '$costs.currency', date: '$createdAt', base: 'USD', as: 'costRate' });
+
+  assert.ok(stages[2].$addFields.costRate);
+  assert.deepStrictEqual(convertedSum('$costs.total', '$costRate'), { $sum: { $multiply: ['$costs.total', '$costRate'] } });
+});
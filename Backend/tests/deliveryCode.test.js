@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Keep the expected warnings out of the log files
+process.env.LOG_LEVEL = 'error';
+process.env.DELIVERY_CODE_LENGTH = '6';
+process.env.DELIVERY_CODE_MAX_ATTEMPTS = '3';
+
+const {
+  hasActiveCode,
+  issueDeliveryCode,
+  sendDeliveryCode,
+  verifyDeliveryCode,
+  overrideDeliveryCode
+} = require('../utils/deliveryCode');
+
+const newOrder = () => ({ _id: '65a000000000000000000001', orderNumber: 'ORD-1', delivery: {} });
+
+test('issues a numeric code of the configured length and stores only its hash', () => {
+  const order = newOrder();
+  const code = issueDeliveryCode(order);
+
+  assert.match(code, /^\d{6}$/);
+  assert.notStrictEqual(order.delivery.verification.codeHash, code);
+  assert.ok(hasActiveCode(order));
+});
+
+test('verifies the right code once', () => {
+  const order = newOrder();
+  const code = issueDeliveryCode(order);
+
+  assert.strictEqual(verifyDeliveryCode(order, code, 'driver-1'), null);
+  assert.strictEqual(order.delivery.verification.method, 'code');
+  assert.strictEqual(order.delivery.verification.verifiedBy, 'driver-1');
+  assert.strictEqual(verifyDeliveryCode(order, code, 'driver-1').statusCode, 409);
+});
+
+test('counts wrong codes and locks after the maximum attempts', () => {
+  const order = newOrder();
+  const code = issueDeliveryCode(order);
+  const wrong = code === '000000' ? '000001' : '000000';
+
+  assert.strictEqual(verifyDeliveryCode(order, wrong).attemptsRemaining, 2);
+  assert.strictEqual(verifyDeliveryCode(order, wrong).attemptsRemaining, 1);
+  assert.strictEqual(verifyDeliveryCode(order, wrong).attemptsRemaining, 0);
+  assert.ok(!hasActiveCode(order));
+  assert.strictEqual(verifyDeliveryCode(order, code).statusCode, 409);
+});
+
+test('rejects expired codes', () => {
+  const order = newOrder();
+  const code = issueDeliveryCode(order);
+  order.delivery.verification.expiresAt = new Date(Date.now() - 1000);
+
+  assert.ok(!hasActiveCode(order));
+  assert.strictEqual(verifyDeliveryCode(order, code).statusCode, 409);
+});
+
+test('records an admin override with its note', () => {
+  const order = newOrder();
+  overrideDeliveryCode(order, 'Recipient lost the code', 'admin-1');
+
+  assert.strictEqual(order.delivery.verification.method, 'override');
+  assert.strictEqual(order.delivery.verification.overrideNote, 'Recipient lost the code');
+});
+
+test('reports a code that could not be sent to anyone', async () => {
+  const order = newOrder();
+  const code = issueDeliveryCode(order);
+
+  assert.deepStrictEqual(await sendDeliveryCode(order, code), { sentTo: [], delivered: false });
+});
+
+test('clamps the configured code length', () => {
+  const script = "console.log(require('./utils/deliveryCode').DELIVERY_CODE_SETTINGS.length)";
+  const lengthFor = value => spawnSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, DELIVERY_CODE_LENGTH: value },
+    encoding: 'utf8'
+  }).stdout.trim();
+
+  assert.strictEqual(lengthFor('20'), '12');
+  assert.strictEqual(lengthFor('2'), '4');
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { predictRouteEtas } = require('../utils/etaPredictor');
+
+const NOW = new Date('2024-01-15T12:00:00Z');
+const PLANNED_START = new Date('2024-01-15T08:00:00Z');
+
+const waypoint = (order, lat, status) => ({
+  _id: `waypoint-${order}`,
+  order,
+  status,
+  type: 'delivery',
+  duration: 10,
+  location: { coordinates: { lat, lng: 36.8 }, name: `Stop ${order}` },
+  estimatedArrival: new Date(PLANNED_START.getTime() + (order + 1) * 15 * 60 * 1000)
+});
+
+const routeWith = (status) => ({
+  status,
+  waypoints: [waypoint(0, -1.0, 'completed'), waypoint(1, -1.1, 'pending'), waypoint(2, -1.2, 'pending')],
+  tracking: { currentLocation: { coordinates: { lat: -1.05, lng: 36.8 } } },
+  scheduling: { plannedStartTime: PLANNED_START }
+});
+
+test('predicts running and paused routes from the vehicle at the current time', () => {
+  ['in-progress', 'paused'].forEach(status => {
+    const predictions = predictRouteEtas(routeWith(status), { profiles: new Map(), now: NOW });
+
+    assert.strictEqual(predictions.length, 2);
+    predictions.forEach(prediction => assert.ok(prediction.predictedArrival > NOW, status));
+  });
+});
+
+test('predicts routes not yet started from the planned start', () => {
+  const route = routeWith('planned');
+  route.waypoints[0].status = 'pending';
+
+  const [first] = predictRouteEtas(route, { profiles: new Map(), now: NOW });
+  assert.strictEqual(first.predictedArrival.getTime(), route.waypoints[0].estimatedArrival.getTime());
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  evaluateFix,
+  checkGeofences,
+  simplifyPath,
+  pathDistance
+} = require('../utils/gpsTrace');
+
+const SETTINGS = {
+  jitterDistance: 15,
+  maxSpeed: 180,
+  maxAccuracy: 100,
+  simplifyTolerance: 10,
+  geofenceRadius: 100
+};
+const START = new Date('2024-01-15T08:00:00Z').getTime();
+
+// A fix the given metres north of the origin, seconds after the start
+const fixAt = (metresNorth, seconds = 0, fields = {}) => ({
+  coordinates: { lat: -1.29 + metresNorth / 111195, lng: 36.82 },
+  timestamp: new Date(START + seconds * 1000),
+  ...fields
+});
+
+test('accepts the first fix unless it is inaccurate', () => {
+  assert.deepStrictEqual(evaluateFix(null, fixAt(0), SETTINGS), { accepted: true, distance: 0, speed: 0 });
+  assert.strictEqual(evaluateFix(null, fixAt(0, 0, { accuracy: 250 }), SETTINGS).reason, 'inaccurate');
+});
+
+test('drops fixes without usable coordinates or time', () => {
+  assert.strictEqual(evaluateFix(null, { coordinates: {}, timestamp: new Date(START) }, SETTINGS).reason, 'invalid');
+  assert.strictEqual(evaluateFix(fixAt(0), fixAt(500, 0, { timestamp: new Date('soon') }), SETTINGS).reason, 'invalid');
+});
+
+test('drops out-of-order, jittering and implausibly fast fixes', () => {
+  const previous = fixAt(0, 60);
+
+  assert.strictEqual(evaluateFix(previous, fixAt(500, 30), SETTINGS).reason, 'out-of-order');
+  assert.strictEqual(evaluateFix(previous, fixAt(5, 90), SETTINGS).reason, 'jitter');
+  assert.strictEqual(evaluateFix(previous, fixAt(10000, 120), SETTINGS).reason, 'implausible-speed');
+});
+
+test('reports the distance and speed of an accepted fix', () => {
+  const result = evaluateFix(fixAt(0, 0), fixAt(1000, 60), SETTINGS);
+
+  assert.strictEqual(result.accepted, true);
+  assert.ok(Math.abs(result.distance - 1) < 0.001);
+  assert.strictEqual(result.speed, 60);
+});
+
+test('simplifies a straight path to its ends and keeps real turns', () => {
+  const straight = [0, 100, 200, 300, 400].map(metres => fixAt(metres));
+  assert.deepStrictEqual(simplifyPath(straight, 10), [straight[0], straight[4]]);
+
+  const turn = [...straight.slice(0, 3), { coordinates: { lat: straight[2].coordinates.lat, lng: 36.822 } }];
+  assert.strictEqual(simplifyPath(turn, 10).length, 3);
+});
+
+test('measures the length of a path', () => {
+  const path = [0, 1000, 3000].map(metres => fixAt(metres));
+
+  assert.ok(Math.abs(pathDistance(path) - 3) < 0.001);
+});
+
+test('reports arrival at the nearest pending stop within its geofence', () => {
+  const waypoints = [
+    { name: 'far', status: 'pending', location: fixAt(80) },
+    { name: 'near', status: 'pending', location: fixAt(30) },
+    { name: 'done', status: 'completed', location: fixAt(0) }
+  ];
+
+  const { arrived, departed } = checkGeofences(waypoints, fixAt(0), SETTINGS);
+  assert.strictEqual(arrived.name, 'near');
+  assert.deepStrictEqual(departed, []);
+});
+
+test('only reports departure well outside the geofence', () => {
+  const stop = { status: 'arrived', location: fixAt(0) };
+  const next = { status: 'pending', location: fixAt(200), geofenceRadius: 100 };
+
+  const wobble = checkGeofences([stop, next], fixAt(110), SETTINGS);
+  assert.deepStrictEqual(wobble, { departed: [], arrived: null });
+
+  const left = checkGeofences([stop, next], fixAt(150), SETTINGS);
+  assert.deepStrictEqual(left.departed, [stop]);
+  assert.strictEqual(left.arrived, next);
+});
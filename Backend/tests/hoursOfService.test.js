@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getDrivingRules, createDriverClock } = require('../utils/hoursOfService');
+
+const RULES = {
+  maxContinuousDriving: 270,
+  breakDuration: 45,
+  maxDailyDriving: 540,
+  dailyRestDuration: 660
+};
+
+test('overrides the default rules with valid values only', () => {
+  const rules = getDrivingRules({ maxContinuousDriving: '240', breakDuration: 0, maxDailyDriving: 'lots' });
+
+  assert.strictEqual(rules.maxContinuousDriving, 240);
+  assert.ok(rules.breakDuration > 0);
+  assert.ok(Number.isFinite(rules.maxDailyDriving));
+});
+
+test('needs no break within the continuous driving limit', () => {
+  assert.deepStrictEqual(createDriverClock(RULES).drive(270), []);
+});
+
+test('places a break where the continuous limit is reached', () => {
+  const clock = createDriverClock(RULES);
+  clock.drive(200);
+
+  assert.deepStrictEqual(clock.drive(100), [{ type: 'break', at: 70, duration: 45 }]);
+});
+
+test('takes a daily rest once the daily limit is reached', () => {
+  assert.deepStrictEqual(createDriverClock(RULES).drive(600), [
+    { type: 'break', at: 270, duration: 45 },
+    { type: 'rest', at: 540, duration: 660 }
+  ]);
+});
+
+test('counts long enough stops as a break', () => {
+  const clock = createDriverClock(RULES);
+  clock.drive(200);
+  clock.rest(45);
+  assert.deepStrictEqual(clock.drive(200), []);
+
+  const short = createDriverClock(RULES);
+  short.drive(200);
+  short.rest(30);
+  assert.strictEqual(short.drive(100).length, 1);
+});
+
+test('resets the daily total after a daily rest', () => {
+  const clock = createDriverClock(RULES);
+  clock.drive(500);
+  clock.rest(660);
+
+  assert.deepStrictEqual(clock.getState(), { continuous: 0, daily: 0 });
+});
+
+test('carries on from the state of another clock', () => {
+  const first = createDriverClock(RULES);
+  first.drive(200);
+  const second = createDriverClock(RULES, first.getState());
+
+  assert.deepStrictEqual(second.drive(100), [{ type: 'break', at: 70, duration: 45 }]);
+  assert.deepStrictEqual(first.getState(), { continuous: 200, daily: 200 });
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  getAllowedTransitions,
+  checkStatusTransition,
+  assertStatusTransition
+} = require('../utils/orderStatus');
+
+const admin = { _id: 'admin-1', role: 'admin' };
+const driver = { _id: 'driver-1', role: 'driver' };
+const customer = { _id: 'customer-1', role: 'retailer' };
+
+const orderWith = (fields) => ({
+  status: 'pending',
+  customer: 'customer-1',
+  assignedDriver: 'driver-1',
+  serviceRequirements: { photoRequired: false, signatureRequired: false },
+  delivery: {},
+  ...fields
+});
+
+test('allows moves along the transition graph', () => {
+  assert.strictEqual(checkStatusTransition(orderWith({ status: 'pending' }), 'confirmed', admin), null);
+  assert.strictEqual(checkStatusTransition(orderWith({ status: 'assigned' }), 'picked-up', driver), null);
+});
+
+test('rejects moves outside the graph with the allowed statuses', () => {
+  const problem = checkStatusTransition(orderWith({ status: 'pending' }), 'delivered', admin);
+
+  assert.strictEqual(problem.statusCode, 409);
+  assert.deepStrictEqual(problem.allowed, ['confirmed', 'assigned', 'cancelled']);
+});
+
+test('rejects unknown statuses', () => {
+  assert.strictEqual(checkStatusTransition(orderWith(), 'lost', admin).statusCode, 400);
+});
+
+test('limits drivers to their own orders and delivery statuses', () => {
+  const otherDriver = { _id: 'driver-2', role: 'driver' };
+
+  assert.strictEqual(checkStatusTransition(orderWith({ status: 'assigned' }), 'picked-up', otherDriver).statusCode, 403);
+  assert.strictEqual(checkStatusTransition(orderWith({ status: 'assigned' }), 'cancelled', driver).statusCode, 403);
+});
+
+test('lets customers only cancel their own orders', () => {
+  assert.deepStrictEqual(getAllowedTransitions(orderWith({ status: 'confirmed' }), customer), ['cancelled']);
+  assert.deepStrictEqual(getAllowedTransitions(orderWith({ customer: 'customer-2' }), customer), []);
+});
+
+test('treats repeating the current status as an update, not a transition', () => {
+  assert.strictEqual(checkStatusTransition(orderWith({ status: 'in-transit' }), 'in-transit', driver), null);
+});
+
+test('refuses to repeat a final status', () => {
+  ['delivered', 'cancelled', 'returned'].forEach(status => {
+    const problem = checkStatusTransition(orderWith({ status }), status, admin);
+
+    assert.strictEqual(problem.statusCode, 409, status);
+    assert.deepStrictEqual(problem.allowed, getAllowedTransitions(orderWith({ status }), admin));
+  });
+  assert.throws(() => assertStatusTransition(orderWith({ status: 'delivered' }), 'delivered'));
+});
+
+test('blocks delivery until the required proof is attached', () => {
+  const order = orderWith({
+    status: 'out-for-delivery',
+    serviceRequirements: { photoRequired: true, signatureRequired: true }
+  });
+
+  const problem = checkStatusTransition(order, 'delivered', driver);
+  assert.strictEqual(problem.statusCode, 409);
+  assert.deepStrictEqual(problem.missing, ['photo', 'signature']);
+
+  order.delivery = { photos: ['photo.jpg'], signature: 'signature.png' };
+  assert.strictEqual(checkStatusTransition(order, 'delivered', driver), null);
+});
+
+test('throws with a status code for model methods', () => {
+  assert.throws(
+    () => assertStatusTransition(orderWith({ status: 'cancelled' }), 'assigned'),
+    error => error.statusCode === 409 && error.allowed.length === 0
+  );
+});
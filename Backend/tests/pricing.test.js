@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  getPricingRates,
+  getCargoTotals,
+  calculateQuote,
+  convertQuote
+} = require('../utils/pricing');
+
+test('merges subdivision rates over their country', () => {
+  const rates = getPricingRates('ng-la');
+
+  assert.strictEqual(rates.region, 'NG-LA');
+  assert.strictEqual(rates.currency, 'NGN');
+  assert.strictEqual(rates.base, 2500);
+  assert.strictEqual(rates.perKg, 30);
+});
+
+test('falls back to the country for a subdivision without rates', () => {
+  assert.strictEqual(getPricingRates('KE-01').region, 'KE');
+});
+
+test('has no rates for an unknown region', () => {
+  assert.strictEqual(getPricingRates('XX'), null);
+  assert.ok(calculateQuote({ region: 'XX' }).error);
+});
+
+test('sums cargo items when there are no totals', () => {
+  const cargo = { items: [{ weight: 10, volume: 0.1, quantity: 3 }, { weight: 5 }] };
+
+  const { weight, volume } = getCargoTotals(cargo);
+  assert.strictEqual(weight, 35);
+  assert.ok(Math.abs(volume - 0.3) < 1e-9);
+});
+
+test('prices distance and weight with tax in the region currency', () => {
+  const { pricing, breakdown } = calculateQuote({ region: 'KE', distance: 10, cargo: { totalWeight: 100 } });
+
+  assert.strictEqual(pricing.basePrice, 1400);
+  assert.deepStrictEqual(pricing.taxes, [{ name: 'VAT', rate: 16, amount: 224 }]);
+  assert.strictEqual(pricing.totalAmount, 1624);
+  assert.strictEqual(pricing.currency, 'KES');
+  assert.strictEqual(breakdown.subtotal, 1400);
+});
+
+test('charges the minimum price and volumetric weight', () => {
+  assert.strictEqual(calculateQuote({ region: 'KE' }).pricing.basePrice, 500);
+
+  const bulky = calculateQuote({ region: 'KE', cargo: { totalWeight: 10, totalVolume: 1 } });
+  assert.strictEqual(bulky.breakdown.chargeableWeight, 250);
+});
+
+test('adds surcharges and discounts as percentages of the base price', () => {
+  const express = calculateQuote({ region: 'KE', distance: 10, cargo: { totalWeight: 100 }, type: 'express', priority: 'urgent' });
+  assert.deepStrictEqual(express.pricing.additionalCharges.map(charge => charge.amount), [700, 490]);
+  assert.strictEqual(express.pricing.totalAmount, 3004.4);
+
+  const bulk = calculateQuote({ region: 'KE', distance: 10, cargo: { totalWeight: 100 }, type: 'bulk' });
+  assert.deepStrictEqual(bulk.pricing.discounts, [{ name: 'Bulk order', amount: 210, percentage: 15 }]);
+});
+
+test('doubles the distance of round trips', () => {
+  assert.strictEqual(calculateQuote({ region: 'KE', distance: 10, type: 'round-trip' }).breakdown.distance, 20);
+});
+
+test('converts a quote and sums its total from the converted parts', () => {
+  const quote = calculateQuote({ region: 'KE', distance: 10, cargo: { totalWeight: 100 }, type: 'express' });
+  const { pricing, breakdown } = convertQuote(quote, 'USD', 0.0077);
+
+  assert.strictEqual(pricing.currency, 'USD');
+  assert.strictEqual(pricing.region, 'KE');
+  assert.strictEqual(pricing.basePrice, 10.78);
+  assert.strictEqual(
+    pricing.totalAmount,
+    Math.round((pricing.basePrice + pricing.additionalCharges[0].amount + pricing.taxes[0].amount) * 100) / 100
+  );
+  assert.deepStrictEqual(breakdown.exchangeRate, { from: 'KES', to: 'USD', rate: 0.0077 });
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  parseCron,
+  getCronStartTime,
+  occursOn,
+  toDay,
+  zonedTime,
+  getOccurrences
+} = require('../utils/recurrence');
+
+test('finds the calendar day of an instant in a time zone', () => {
+  assert.strictEqual(toDay('2024-01-15T22:30:00Z', 'UTC'), '2024-01-15');
+  assert.strictEqual(toDay('2024-01-15T22:30:00Z', 'Africa/Nairobi'), '2024-01-16');
+});
+
+test('throws for invalid dates and unknown time zones', () => {
+  assert.throws(() => toDay('soon', 'UTC'), RangeError);
+  assert.throws(() => toDay(new Date(), 'Mars/Olympus_Mons'), RangeError);
+  assert.throws(() => zonedTime('2024-01-15', '09:00', 'Mars/Olympus_Mons'), RangeError);
+});
+
+test('expands cron lists, ranges and steps', () => {
+  const cron = parseCron('*/15 6-8 1,15 * 1-5');
+
+  assert.deepStrictEqual([...cron.minute], [0, 15, 30, 45]);
+  assert.deepStrictEqual([...cron.hour], [6, 7, 8]);
+  assert.deepStrictEqual([...cron.dayOfMonth], [1, 15]);
+  assert.deepStrictEqual([...parseCron('10-30/10 * * * *').minute], [10, 20, 30]);
+  assert.deepStrictEqual([...parseCron('0 5/6 * * *').hour], [5, 11, 17, 23]);
+  assert.deepStrictEqual([...parseCron('0 6 * * 7').dayOfWeek], [0]);
+});
+
+test('rejects cron fields out of range', () => {
+  ['60 6 * * *', '0 24 * * *', '0 6 0 * *', '0 6 * 13 *', '0 6 * * 8', '*/0 6 * * *', '0 8-6 * * *', '0 six * * *'].forEach(expression => {
+    assert.throws(() => parseCron(expression), /Invalid cron/, expression);
+  });
+  assert.throws(() => parseCron('0 6 * *'), /five fields/);
+});
+
+test('takes the start time from a cron expression with one minute and hour', () => {
+  assert.strictEqual(getCronStartTime('5 6 * * 1-5'), '06:05');
+  assert.strictEqual(getCronStartTime('0 6,18 * * *'), null);
+});
+
+test('matches cron days on day-of-month or day-of-week when both are restricted', () => {
+  const rule = { type: 'cron', expression: '0 6 1 * 1' };
+
+  assert.strictEqual(occursOn(rule, '2024-01-08'), true); // a Monday
+  assert.strictEqual(occursOn(rule, '2024-02-01'), true); // a Thursday
+  assert.strictEqual(occursOn(rule, '2024-01-09'), false);
+  assert.strictEqual(occursOn({ type: 'cron', expression: '0 6 1 * *' }, '2024-01-08'), false);
+  assert.strictEqual(occursOn({ type: 'cron', expression: '0 6 * 2 1' }, '2024-01-08'), false);
+});
+
+test('lists the days a rule runs, leaving out skipped days', () => {
+  assert.deepStrictEqual(getOccurrences({ type: 'weekdays' }, '2024-01-12', '2024-01-16', ['2024-01-15']), [
+    '2024-01-12',
+    '2024-01-16'
+  ]);
+  assert.deepStrictEqual(getOccurrences({ type: 'weekly', daysOfWeek: [0] }, '2024-01-08', '2024-01-21'), [
+    '2024-01-14',
+    '2024-01-21'
+  ]);
+});
+
+test('places wall-clock times on days when daylight saving time changes', () => {
+  assert.strictEqual(zonedTime('2024-03-10', '01:30', 'America/New_York').toISOString(), '2024-03-10T06:30:00.000Z');
+  assert.strictEqual(zonedTime('2024-03-10', '06:00', 'America/New_York').toISOString(), '2024-03-10T10:00:00.000Z');
+  assert.strictEqual(zonedTime('2024-10-27', '00:30', 'Europe/London').toISOString(), '2024-10-26T23:30:00.000Z');
+  assert.strictEqual(zonedTime('2024-10-27', '06:00', 'Europe/London').toISOString(), '2024-10-27T06:00:00.000Z');
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  MAX_ALTERNATIVES,
+  MAX_ALTERNATIVE_STOPS,
+  buildDistanceMatrix,
+  sequenceDistance,
+  buildSchedule,
+  solveSequence,
+  isFeasible,
+  getPrecedencePairs
+} = require('../utils/routeOptimizer');
+
+const START = '2024-01-15T08:00:00Z';
+const at = (hours) => new Date(new Date(START).getTime() + hours * 60 * 60 * 1000);
+
+// Stops along a meridian, 0.1 degrees (about 11 km) apart
+const stopsAt = (...lats) => lats.map(lat => ({ lat, lng: 36.8 }));
+
+test('visits stops along a line in order, starting from the first stop', () => {
+  const stops = stopsAt(-1.0, -1.4, -1.1, -1.3, -1.2);
+  const { sequence } = solveSequence(stops);
+
+  assert.deepStrictEqual(sequence, [0, 2, 4, 3, 1]);
+});
+
+test('keeps a delivery after its pickup', () => {
+  // Stop 1 is nearest but delivers what stop 2 picks up
+  const stops = stopsAt(-1.0, -1.1, -1.3);
+  const { sequence } = solveSequence(stops, { precedence: [[2, 1]] });
+
+  assert.deepStrictEqual(sequence, [0, 2, 1]);
+  assert.ok(isFeasible(sequence, [[2, 1]]));
+});
+
+test('pairs pickup and delivery waypoints of the same order', () => {
+  const waypoints = [
+    { type: 'depot' },
+    { type: 'delivery', relatedOrder: 'order-a' },
+    { type: 'pickup', relatedOrder: 'order-b' },
+    { type: 'pickup', relatedOrder: 'order-a' },
+    { type: 'delivery', relatedOrder: 'order-b' }
+  ];
+
+  const pairs = getPrecedencePairs(waypoints).sort((a, b) => a[0] - b[0]);
+  assert.deepStrictEqual(pairs, [[2, 4], [3, 1]]);
+});
+
+test('visits a stop out of distance order to meet its time window', () => {
+  const stops = stopsAt(-1.0, -1.1, -1.4);
+  stops[1].timeWindow = { start: at(2), end: at(4) };
+  stops[2].timeWindow = { start: at(0), end: at(1.5) };
+
+  const { sequence, schedule } = solveSequence(stops, { startTime: START });
+
+  assert.deepStrictEqual(sequence, [0, 2, 1]);
+  assert.strictEqual(schedule.totalLateness, 0);
+});
+
+test('waits for a window to open and records lateness after it closes', () => {
+  const stops = stopsAt(-1.0, -1.1, -1.2);
+  stops[1].timeWindow = { start: at(1), end: at(2) };
+  stops[2].timeWindow = { start: at(0), end: at(1) };
+  const matrix = buildDistanceMatrix(stops);
+
+  const { entries, totalWaiting, totalLateness } = buildSchedule([0, 1, 2], stops, { startTime: START, matrix });
+
+  assert.strictEqual(entries[1].departure.getTime(), at(1).getTime() + 10 * 60 * 1000);
+  assert.ok(entries[1].waiting > 0);
+  assert.strictEqual(entries[2].lateBy, totalLateness);
+  assert.ok(totalLateness > 0);
+  assert.strictEqual(totalWaiting, entries[1].waiting);
+});
+
+test('leaves no 2-opt or or-opt move that lowers the full schedule cost', () => {
+  // Deterministic scattered stops around Nairobi, half with one-hour windows
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+  };
+  const stops = Array.from({ length: 12 }, (value, index) => ({
+    lat: -1.29 + (random() - 0.5) * 0.6,
+    lng: 36.82 + (random() - 0.5) * 0.6,
+    timeWindow: index > 0 && index % 2 === 0
+      ? { start: at(random() * 4), end: at(random() * 4 + 1) }
+      : undefined
+  }));
+  const matrix = buildDistanceMatrix(stops);
+  // Distance plus the optimizer's lateness penalty of 10 per minute
+  const cost = sequence => sequenceDistance(sequence, matrix) +
+    buildSchedule(sequence, stops, { startTime: START, matrix }).totalLateness * 10;
+
+  const { sequence } = solveSequence(stops, { startTime: START, matrix });
+  const best = cost(sequence);
+
+  for (let i = 1; i < sequence.length - 1; i++) {
+    for (let k = i + 1; k < sequence.length; k++) {
+      const candidate = [...sequence.slice(0, i), ...sequence.slice(i, k + 1).reverse(), ...sequence.slice(k + 1)];
+      assert.ok(cost(candidate) >= best - 1e-6, `2-opt ${i}-${k} improves the route`);
+    }
+  }
+  for (let length = 1; length <= 3; length++) {
+    for (let i = 1; i + length <= sequence.length; i++) {
+      const rest = [...sequence.slice(0, i), ...sequence.slice(i + length)];
+      for (let j = 1; j <= rest.length; j++) {
+        const candidate = [...rest.slice(0, j), ...sequence.slice(i, i + length), ...rest.slice(j)];
+        assert.ok(cost(candidate) >= best - 1e-6, `moving ${length} stop(s) from ${i} to ${j} improves the route`);
+      }
+    }
+  }
+});
+
+// Stops on a rough grid, so several sequences come close to the best one
+const gridStops = count => Array.from({ length: count }, (value, index) => ({
+  lat: -1.29 + (index % 4) * 0.05 + (index % 3) * 0.01,
+  lng: 36.82 + Math.floor(index / 4) * 0.05
+}));
+
+test('returns no alternatives unless they are asked for', () => {
+  const { alternatives } = solveSequence(gridStops(8));
+
+  assert.deepStrictEqual(alternatives, []);
+});
+
+test('returns distinct runner-up sequences no better than the best one', () => {
+  const stops = gridStops(8);
+  const result = solveSequence(stops, { alternatives: 3 });
+
+  assert.ok(result.alternatives.length > 0 && result.alternatives.length <= 3);
+  const seen = new Set([result.sequence.join(',')]);
+  result.alternatives.forEach(alternative => {
+    assert.strictEqual(alternative.sequence[0], 0);
+    assert.deepStrictEqual([...alternative.sequence].sort((a, b) => a - b), stops.map((stop, index) => index));
+    assert.ok(alternative.distance >= result.distance - 1e-9);
+    assert.ok(!seen.has(alternative.sequence.join(',')));
+    seen.add(alternative.sequence.join(','));
+  });
+});
+
+test('caps the number of alternatives', () => {
+  const { alternatives } = solveSequence(gridStops(12), { alternatives: 50 });
+
+  assert.ok(alternatives.length <= MAX_ALTERNATIVES);
+});
+
+test('skips alternatives on routes above the stop limit', () => {
+  const { alternatives } = solveSequence(gridStops(MAX_ALTERNATIVE_STOPS + 1), { alternatives: 3 });
+
+  assert.deepStrictEqual(alternatives, []);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, importStops } = require('../utils/stopImport');
+
+// 08:00 in Nairobi (UTC+3)
+const OPTIONS = { plannedStartTime: new Date('2024-01-15T05:00:00Z'), timeZone: 'Africa/Nairobi' };
+
+test('keeps delimiters, quotes and line breaks inside quoted cells', () => {
+  const rows = parseCsv('name,notes\r\n"Acme, Ltd","Ring the ""back"" bell\nthen wait"\r\n\r\n');
+
+  assert.deepStrictEqual(rows, [
+    ['name', 'notes'],
+    ['Acme, Ltd', 'Ring the "back" bell\nthen wait']
+  ]);
+});
+
+test('reads semicolon files with decimal commas', () => {
+  const csv = 'Stop Name;Latitude;Longitude;Type;Time Window\nDepot;-1,29;36,82;pickup;09:00-11:00\n';
+  const { waypoints, errors } = importStops(csv, 'csv', OPTIONS);
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(waypoints[0].location.coordinates, { lat: -1.29, lng: 36.82 });
+  assert.strictEqual(waypoints[0].timeWindow.start.toISOString(), '2024-01-15T06:00:00.000Z');
+  assert.strictEqual(waypoints[0].timeWindow.end.toISOString(), '2024-01-15T08:00:00.000Z');
+});
+
+test('reports bad rows by spreadsheet row and imports the rest', () => {
+  const csv = [
+    'name,lat,lng,type,window_start',
+    'Missing,,36.8,delivery,',
+    'Good,-1.29,36.82,delivery,',
+    'Off the map,95,36.8,delivery,',
+    'Null island,0,0,delivery,',
+    'Late,-1.3,36.8,delivery,sometime'
+  ].join('\n');
+  const { waypoints, errors, total } = importStops(csv, 'csv', OPTIONS);
+
+  assert.strictEqual(total, 5);
+  assert.deepStrictEqual(waypoints.map(waypoint => [waypoint.location.name, waypoint.order]), [['Good', 1]]);
+  assert.deepStrictEqual(errors.map(({ row, field }) => [row, field]), [
+    [2, 'coordinates'],
+    [4, 'coordinates'],
+    [5, 'coordinates'],
+    [6, 'timeWindow']
+  ]);
+});
+
+test('reports unreadable GeoJSON and non-point features', () => {
+  assert.strictEqual(importStops('{', 'geojson', OPTIONS).errors[0].message, 'The file is not valid JSON');
+
+  const collection = {
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', geometry: { type: 'LineString', coordinates: [] }, properties: {} },
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [36.82, -1.29] }, properties: { name: 'Depot', type: 'pickup' } }
+    ]
+  };
+  const { waypoints, errors } = importStops(JSON.stringify(collection), 'geojson', OPTIONS);
+
+  assert.strictEqual(waypoints.length, 1);
+  assert.deepStrictEqual(errors.map(({ row, field }) => [row, field]), [[1, 'geometry']]);
+});
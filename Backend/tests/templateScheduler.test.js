@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Keep the scheduler's logger quiet
+process.env.LOG_LEVEL = 'error';
+
+const { buildRouteFromTemplate, getTemplateDays } = require('../utils/templateScheduler');
+
+// A night run: out at 22:00, back at 06:00 the next morning
+const templateIn = (timezone, fields = {}) => ({
+  _id: 'template-1',
+  name: 'Night run',
+  schedule: { startTime: '22:00', endTime: '06:00', timezone },
+  recurrence: { type: 'daily' },
+  exceptions: [],
+  getSkippedDays() {
+    return this.exceptions.map(exception => exception.date);
+  },
+  waypoints: [
+    { order: 2, type: 'delivery', location: { name: 'Store' }, timeWindow: { start: '01:00', end: '03:00' } },
+    { order: 1, type: 'pickup', location: { name: 'Depot' }, timeWindow: { start: '22:30' } }
+  ],
+  ...fields
+});
+
+const iso = date => date.toISOString();
+
+test('rolls the end time past midnight into the next day', () => {
+  const route = buildRouteFromTemplate(templateIn('Africa/Nairobi'), '2024-01-15');
+
+  assert.strictEqual(route.name, 'Night run - 2024-01-15');
+  assert.strictEqual(route.templateDate, '2024-01-15');
+  assert.strictEqual(iso(route.scheduling.plannedStartTime), '2024-01-15T19:00:00.000Z');
+  assert.strictEqual(iso(route.scheduling.plannedEndTime), '2024-01-16T03:00:00.000Z');
+});
+
+test('orders the stops and places their windows after the start', () => {
+  const [depot, store] = buildRouteFromTemplate(templateIn('UTC'), '2024-01-15').waypoints;
+
+  assert.deepStrictEqual([depot.location.name, depot.order, store.location.name, store.order], ['Depot', 1, 'Store', 2]);
+  assert.strictEqual(iso(depot.timeWindow.start), '2024-01-15T22:30:00.000Z');
+  assert.strictEqual(depot.timeWindow.end, undefined);
+  assert.strictEqual(iso(store.timeWindow.start), '2024-01-16T01:00:00.000Z');
+  assert.strictEqual(iso(store.timeWindow.end), '2024-01-16T03:00:00.000Z');
+});
+
+test('keeps wall-clock times across daylight saving time changes', () => {
+  // Clocks go forward at 02:00 on 10 March in New York: a 7 hour night
+  const spring = buildRouteFromTemplate(templateIn('America/New_York'), '2024-03-09');
+  assert.strictEqual(iso(spring.scheduling.plannedStartTime), '2024-03-10T03:00:00.000Z');
+  assert.strictEqual(iso(spring.scheduling.plannedEndTime), '2024-03-10T10:00:00.000Z');
+
+  // Clocks go back at 02:00 on 27 October in London: a 9 hour night
+  const autumn = buildRouteFromTemplate(templateIn('Europe/London'), '2024-10-26');
+  assert.strictEqual(iso(autumn.scheduling.plannedStartTime), '2024-10-26T21:00:00.000Z');
+  assert.strictEqual(iso(autumn.scheduling.plannedEndTime), '2024-10-27T06:00:00.000Z');
+});
+
+test('takes the start time from the cron expression', () => {
+  const template = templateIn('UTC', {
+    schedule: { endTime: '14:00', timezone: 'UTC' },
+    recurrence: { type: 'cron', expression: '30 6 * * 1-5' }
+  });
+
+  assert.strictEqual(iso(buildRouteFromTemplate(template, '2024-01-15').scheduling.plannedStartTime), '2024-01-15T06:30:00.000Z');
+});
+
+test('runs on the rule\'s days within the validity period, minus exceptions', () => {
+  const template = templateIn('UTC', {
+    recurrence: { type: 'weekdays', validUntil: new Date('2024-01-18T12:00:00Z') },
+    exceptions: [{ date: '2024-01-16' }]
+  });
+
+  assert.deepStrictEqual(getTemplateDays(template, '2024-01-12', '2024-01-31'), ['2024-01-12', '2024-01-15', '2024-01-17', '2024-01-18']);
+});
@@ -0,0 +1,47 @@
+// Driver and vehicle double-booking checks
+//
+// A route books its assigned driver and vehicle from plannedStartTime to
+// plannedEndTime. Another booking that overlaps that window is a conflict;
+// windows that only touch (one ends as the next starts) are not.
+
+const Route = require('../models/Route');
+
+// Conflicts for a prospective booking, or null when the driver and vehicle
+// are free. Returns a message and one entry per clashing resource and route.
+const checkBookingConflicts = async ({ driver, vehicle, start, end, excludeRoute }) => {
+  const routes = await Route.findBookingConflicts({ driver, vehicle, start, end, excludeRoute });
+  const conflicts = [];
+
+  routes.forEach(route => {
+    const booking = {
+      route: {
+        _id: route._id,
+        name: route.name,
+        status: route.status
+      },
+      plannedStartTime: route.scheduling.plannedStartTime,
+      plannedEndTime: route.scheduling.plannedEndTime
+    };
+
+    if (driver && route.assignedDriver?.toString() === driver.toString()) {
+      conflicts.push({ resource: 'driver', resourceId: route.assignedDriver, ...booking });
+    }
+    if (vehicle && route.assignedVehicle?.toString() === vehicle.toString()) {
+      conflicts.push({ resource: 'vehicle', resourceId: route.assignedVehicle, ...booking });
+    }
+  });
+
+  if (conflicts.length === 0) return null;
+
+  const [first] = conflicts;
+  const others = conflicts.length > 1 ? ` (and ${conflicts.length - 1} other conflict(s))` : '';
+  return {
+    message: `The ${first.resource} is already booked on route "${first.route.name}" from ` +
+      `${first.plannedStartTime.toISOString()} to ${first.plannedEndTime.toISOString()}${others}`,
+    conflicts
+  };
+};
+
+module.exports = {
+  checkBookingConflicts
+};
@@ -0,0 +1,471 @@
+// Traffic and weather condition feed
+//
+// Conditions arrive as reports posted to POST /api/conditions and from a
+// feed provider polled every CONDITIONS_POLL_INTERVAL minutes. Every
+// provider exposes the same call:
+//   fetchConditions(area) -> [condition]   (area: bounding box of active routes)
+// and returns conditions in the format the ingestion endpoint accepts. The
+// 'local' provider reads them from a JSON file and stands in for a real
+// traffic or weather service while testing.
+//
+// After each ingest every planned, running or paused route is matched
+// against the unexpired conditions. A traffic incident delays the first leg
+// still ahead that passes within its radius; weather slows every such leg in
+// its area. Leg delays are stored on the waypoints (conditionDelay), ETAs are
+// predicted again and a 'delay' notification is raised once the total
+// passes CONDITIONS_DELAY_THRESHOLD minutes.
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const Route = require('../models/Route');
+const RoadCondition = require('../models/RoadCondition');
+const logger = require('./logger');
+const { AVERAGE_SPEED_KMH, calculateDistance } = require('./distanceProvider');
+const { distanceToPath } = require('./routeConstraints');
+const { STARTED_STATUSES, updateRouteEtas } = require('./etaPredictor');
+
+const REQUEST_TIMEOUT = 15000;
+const TRAFFIC_LEVELS = ['light', 'moderate', 'heavy', 'severe'];
+// Delay of an incident that only reports its level
+const LEVEL_DELAYS = { light: 0, moderate: 5, heavy: 15, severe: 30 };
+// Travel time multiplier on legs inside a weather area
+const WEATHER_FACTORS = { none: 1, low: 1.1, medium: 1.25, high: 1.5 };
+const WEATHER_IMPACTS = Object.keys(WEATHER_FACTORS);
+const DEFAULT_RADIUS = { traffic: 1, weather: 25 }; // km
+
+const getConditionSettings = () => ({
+  provider: (process.env.CONDITIONS_PROVIDER || 'none').toLowerCase(),
+  feedFile: process.env.CONDITIONS_FEED_FILE || path.join(__dirname, '..', 'data', 'conditions.json'),
+  feedUrl: process.env.CONDITIONS_FEED_URL,
+  apiKey: process.env.CONDITIONS_FEED_API_KEY,
+  pollInterval: parseInt(process.env.CONDITIONS_POLL_INTERVAL || 10), // minutes
+  delayThreshold: parseInt(process.env.CONDITIONS_DELAY_THRESHOLD) || 15, // minutes
+  defaultTtl: parseInt(process.env.CONDITIONS_DEFAULT_TTL) || 120 // minutes
+});
+
+const toConditionList = data => (Array.isArray(data) ? data : data?.conditions || []);
+
+// Conditions kept in a JSON file (an array or { conditions: [...] }); edit
+// the file to simulate incidents and weather. A missing file is an empty feed.
+const createLocalProvider = (options = {}) => ({
+  name: 'local',
+
+  async fetchConditions() {
+    let text;
+    try {
+      text = await fs.promises.readFile(options.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return toConditionList(JSON.parse(text));
+  }
+});
+
+// Any HTTP service that answers in the ingestion format; the area is sent
+// as bbox=minLng,minLat,maxLng,maxLat
+const createHttpProvider = (options = {}) => ({
+  name: 'http',
+
+  async fetchConditions(area) {
+    const { data } = await axios.get(options.url, {
+      params: area ? { bbox: [area.minLng, area.minLat, area.maxLng, area.maxLat].join(',') } : {},
+      headers: options.apiKey ? { 'X-API-Key': options.apiKey } : {},
+      timeout: REQUEST_TIMEOUT
+    });
+    return toConditionList(data);
+  }
+});
+
+// Provider configured through environment variables, or null when the feed is off
+const getConditionProvider = (settings = getConditionSettings()) => {
+  switch (settings.provider) {
+    case 'local':
+      return createLocalProvider({ file: settings.feedFile });
+    case 'http':
+      return settings.feedUrl ? createHttpProvider({ url: settings.feedUrl, apiKey: settings.apiKey }) : null;
+    default:
+      return null;
+  }
+};
+
+const levelForDelay = (minutes) => {
+  if (minutes >= LEVEL_DELAYS.severe) return 'severe';
+  if (minutes >= LEVEL_DELAYS.heavy) return 'heavy';
+  if (minutes >= LEVEL_DELAYS.moderate) return 'moderate';
+  return 'light';
+};
+
+const toDate = value => (value instanceof Date ? value : new Date(value));
+
+// Validate a reported condition and bring it into RoadCondition shape.
+// Returns { condition } or { error }.
+const normalizeCondition = (raw, { source = 'manual', now = new Date(), defaultTtl = getConditionSettings().defaultTtl } = {}) => {
+  if (!raw || typeof raw !== 'object') return { error: 'Condition must be an object' };
+
+  const { type } = raw;
+  if (!['traffic', 'weather'].includes(type)) return { error: 'type must be traffic or weather' };
+
+  const coords = raw.location?.coordinates || raw.location || raw;
+  const lat = Number(coords.lat);
+  const lng = Number(coords.lng ?? coords.lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return { error: 'A valid lat and lng are required' };
+  }
+
+  const radius = raw.radius !== undefined ? Number(raw.radius) : DEFAULT_RADIUS[type];
+  if (!(radius > 0)) return { error: 'radius must be a positive number of km' };
+
+  const startsAt = raw.startsAt ? toDate(raw.startsAt) : now;
+  const expiresAt = raw.expiresAt ? toDate(raw.expiresAt) : new Date(startsAt.getTime() + defaultTtl * 60 * 1000);
+  if (isNaN(startsAt.getTime()) || isNaN(expiresAt.getTime())) return { error: 'Invalid startsAt or expiresAt' };
+  if (expiresAt <= startsAt) return { error: 'expiresAt must be after startsAt' };
+
+  const condition = {
+    type,
+    source: raw.source || source,
+    externalId: raw.externalId ?? raw.id,
+    location: {
+      coordinates: { lat, lng },
+      name: raw.location?.name || raw.name
+    },
+    radius,
+    startsAt,
+    expiresAt
+  };
+  if (condition.externalId !== undefined) {
+    condition.externalId = String(condition.externalId);
+  }
+
+  if (type === 'traffic') {
+    const traffic = raw.traffic || raw;
+    const { level, reason } = traffic;
+    const delay = traffic.delayMinutes;
+
+    if (level !== undefined && !TRAFFIC_LEVELS.includes(level)) {
+      return { error: `level must be one of: ${TRAFFIC_LEVELS.join(', ')}` };
+    }
+    if (delay !== undefined && !(Number(delay) >= 0)) return { error: 'delayMinutes must be zero or more' };
+    if (level === undefined && delay === undefined) return { error: 'Traffic needs a level or delayMinutes' };
+
+    condition.traffic = {
+      level: level || levelForDelay(Number(delay)),
+      delayMinutes: delay !== undefined ? Number(delay) : LEVEL_DELAYS[level],
+      reason
+    };
+  } else {
+    const weather = raw.weather || raw;
+    const impact = weather.impact || 'low';
+    if (!WEATHER_IMPACTS.includes(impact)) return { error: `impact must be one of: ${WEATHER_IMPACTS.join(', ')}` };
+
+    condition.weather = {
+      condition: weather.condition,
+      temperature: weather.temperature !== undefined ? Number(weather.temperature) : undefined,
+      visibility: weather.visibility,
+      impact
+    };
+  }
+
+  return { condition };
+};
+
+// Store reported conditions; a condition with an externalId replaces the
+// earlier report with the same id from the same source
+const ingestConditions = async (raws, { source = 'manual', reportedBy } = {}) => {
+  const saved = [];
+  const errors = [];
+
+  for (const [index, raw] of raws.entries()) {
+    const { condition, error } = normalizeCondition(raw, { source });
+    if (error) {
+      errors.push({ index, externalId: raw?.externalId ?? raw?.id, message: error });
+      continue;
+    }
+
+    if (condition.externalId !== undefined) {
+      saved.push(await RoadCondition.findOneAndUpdate(
+        { source: condition.source, externalId: condition.externalId },
+        { $set: condition, $setOnInsert: { reportedBy } },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+      ));
+    } else {
+      saved.push(await RoadCondition.create({ ...condition, reportedBy }));
+    }
+  }
+
+  return { saved, errors };
+};
+
+// Planned routes still to finish and every running or paused route
+const findCandidateRoutes = (now = new Date()) => Route.find({
+  $or: [
+    { status: { $in: STARTED_STATUSES } },
+    { status: { $in: ['planned', 'assigned'] }, 'scheduling.plannedEndTime': { $gte: now } }
+  ]
+});
+
+// Bounding box of the routes' stops, for providers that filter by area
+const getRoutesArea = (routes) => {
+  const points = routes.flatMap(route => route.waypoints.map(waypoint => waypoint.location.coordinates));
+  if (points.length === 0) return null;
+
+  const lats = points.map(point => point.lat);
+  const lngs = points.map(point => point.lng);
+  return {
+    minLat: Math.min(...lats),
+    maxLat: Math.max(...lats),
+    minLng: Math.min(...lngs),
+    maxLng: Math.max(...lngs)
+  };
+};
+
+// Legs still to drive: from the vehicle (or the first stop of a route not
+// yet started) to every remaining stop, with their planned minutes
+const getRemainingLegs = (route) => {
+  const waypoints = [...route.waypoints]
+    .filter(waypoint => waypoint.status !== 'skipped')
+    .sort((a, b) => a.order - b.order);
+  const first = waypoints.findIndex(waypoint => waypoint.status === 'pending' || waypoint.status === 'arrived');
+  if (first === -1) return [];
+
+  const current = route.tracking?.currentLocation?.coordinates;
+  const live = STARTED_STATUSES.includes(route.status) && current?.lat !== undefined;
+  const straightMinutes = (from, to) => calculateDistance(from.lat, from.lng, to.lat, to.lng) / AVERAGE_SPEED_KMH * 60;
+
+  const legs = [];
+  let from = live ? current : null;
+  let previous = null;
+  waypoints.slice(first).forEach(waypoint => {
+    const to = waypoint.location.coordinates;
+    if (from && waypoint.status === 'pending') {
+      const planned = previous?.estimatedDeparture && waypoint.estimatedArrival
+        ? (waypoint.estimatedArrival - previous.estimatedDeparture) / (1000 * 60)
+        : straightMinutes(from, to);
+      legs.push({ waypoint, from, to, minutes: Math.max(0, planned) });
+    }
+    from = to;
+    previous = waypoint;
+  });
+
+  return legs;
+};
+
+// Delay the given conditions put on a route's remaining legs
+const computeRouteImpact = (route, conditions, now = new Date()) => {
+  const legs = getRemainingLegs(route);
+  const live = STARTED_STATUSES.includes(route.status);
+  const start = live ? now : route.scheduling.plannedStartTime;
+  const end = route.scheduling.plannedEndTime && route.scheduling.plannedEndTime > start
+    ? route.scheduling.plannedEndTime
+    : new Date(new Date(start).getTime() + (route.optimization?.estimatedDuration || 0) * 60 * 1000);
+
+  const legDelays = new Map();
+  const addDelay = (leg, minutes) => {
+    const id = leg.waypoint._id.toString();
+    legDelays.set(id, (legDelays.get(id) || 0) + minutes);
+  };
+
+  const delays = [];
+  const matched = [];
+  let trafficLevel = null;
+  let weather = null;
+
+  conditions.filter(condition => condition.overlaps(start, end)).forEach(condition => {
+    const near = leg => distanceToPath(condition.location.coordinates, [leg.from, leg.to]) <= condition.radius * 1000;
+    const place = condition.location.name ||
+      `${condition.location.coordinates.lat.toFixed(4)}, ${condition.location.coordinates.lng.toFixed(4)}`;
+
+    if (condition.type === 'traffic') {
+      const leg = legs.find(near);
+      if (!leg) return;
+
+      const minutes = condition.traffic.delayMinutes ?? LEVEL_DELAYS[condition.traffic.level] ?? 0;
+      addDelay(leg, minutes);
+      delays.push({
+        location: place,
+        delayMinutes: minutes,
+        reason: condition.traffic.reason || `${condition.traffic.level} traffic`,
+        source: condition._id
+      });
+      if (!trafficLevel || TRAFFIC_LEVELS.indexOf(condition.traffic.level) > TRAFFIC_LEVELS.indexOf(trafficLevel)) {
+        trafficLevel = condition.traffic.level;
+      }
+    } else {
+      const affected = legs.filter(near);
+      if (affected.length === 0) return;
+
+      const factor = WEATHER_FACTORS[condition.weather.impact] ?? 1;
+      affected.forEach(leg => addDelay(leg, leg.minutes * (factor - 1)));
+      if (!weather || WEATHER_IMPACTS.indexOf(condition.weather.impact) > WEATHER_IMPACTS.indexOf(weather.weather.impact)) {
+        weather = condition;
+      }
+    }
+
+    matched.push(condition._id);
+  });
+
+  legDelays.forEach((minutes, id) => legDelays.set(id, Math.round(minutes)));
+  const delayMinutes = [...legDelays.values()].reduce((sum, minutes) => sum + minutes, 0);
+
+  return { legDelays, delayMinutes, delays, trafficLevel, weather, matched };
+};
+
+// Whether the feed has left anything on a route that may need clearing
+const hasFeedConditions = route => Boolean(
+  route.conditions?.delayMinutes > 0 ||
+  route.conditions?.weather?.source ||
+  route.conditions?.traffic?.delays?.some(delay => delay.source)
+);
+
+// Store an impact on a route and raise a delay notification when the total
+// first passes the threshold, or grows by another threshold. Returns
+// whether a notification was raised.
+const applyRouteImpact = (route, impact, { delayThreshold }, now = new Date()) => {
+  route.waypoints.forEach(waypoint => {
+    const delay = impact.legDelays.get(waypoint._id.toString());
+    waypoint.conditionDelay = delay > 0 ? delay : undefined;
+  });
+
+  const traffic = route.conditions.traffic;
+  const hadFeedTraffic = traffic.delays.some(delay => delay.source);
+  traffic.delays = [
+    ...traffic.delays.filter(delay => !delay.source).map(delay => delay.toObject()),
+    ...impact.delays
+  ];
+  if (impact.trafficLevel) {
+    traffic.level = impact.trafficLevel;
+  } else if (hadFeedTraffic) {
+    traffic.level = undefined;
+  }
+
+  if (impact.weather) {
+    route.conditions.weather = { ...impact.weather.weather.toObject(), source: impact.weather._id };
+  } else if (route.conditions.weather?.source) {
+    route.conditions.weather = undefined;
+  }
+
+  route.conditions.delayMinutes = impact.delayMinutes;
+  route.conditions.estimatedDuration = route.optimization?.estimatedDuration !== undefined
+    ? route.optimization.estimatedDuration + impact.delayMinutes
+    : undefined;
+  route.conditions.updatedAt = now;
+
+  if (impact.delayMinutes < delayThreshold) {
+    route.conditions.notifiedDelay = undefined;
+    return false;
+  }
+  if (impact.delayMinutes < (route.conditions.notifiedDelay || 0) + delayThreshold) {
+    return false;
+  }
+
+  const causes = [
+    ...impact.delays.map(delay => `${delay.reason} at ${delay.location}`),
+    ...(impact.weather ? [`${impact.weather.weather.condition || 'weather'} (${impact.weather.weather.impact} impact)`] : [])
+  ];
+  route.notifications.push({
+    type: 'delay',
+    message: `Traffic and weather are expected to add about ${impact.delayMinutes} min to the remaining stops: ${causes.join('; ')}`,
+    timestamp: now,
+    acknowledged: false
+  });
+  route.conditions.notifiedDelay = impact.delayMinutes;
+  return true;
+};
+
+// Match every candidate route against the unexpired conditions, store the
+// impact and re-predict ETAs. Returns one entry per route changed.
+const applyConditions = async (now = new Date()) => {
+  const settings = getConditionSettings();
+  const [conditions, routes] = await Promise.all([
+    RoadCondition.findUnexpired(now),
+    findCandidateRoutes(now)
+  ]);
+
+  const affectedRoutes = new Map(conditions.map(condition => [condition._id.toString(), []]));
+  const results = [];
+
+  for (const route of routes) {
+    const impact = computeRouteImpact(route, conditions, now);
+    impact.matched.forEach(id => affectedRoutes.get(id.toString()).push(route._id));
+    if (impact.matched.length === 0 && !hasFeedConditions(route)) continue;
+
+    const notified = applyRouteImpact(route, impact, settings, now);
+    await route.save();
+
+    try {
+      await updateRouteEtas(route, { force: true });
+    } catch (error) {
+      logger.warn(`ETA prediction failed for route ${route.name}: ${error.message}`);
+    }
+
+    if (notified) {
+      logger.warn(`Route ${route.name} delayed ${impact.delayMinutes} min by traffic and weather`);
+    }
+    results.push({
+      route: route._id,
+      name: route.name,
+      delayMinutes: impact.delayMinutes,
+      estimatedDuration: route.conditions.estimatedDuration,
+      conditions: impact.matched,
+      notified
+    });
+  }
+
+  if (conditions.length > 0) {
+    await RoadCondition.bulkWrite(conditions.map(condition => ({
+      updateOne: {
+        filter: { _id: condition._id },
+        update: { $set: { affectedRoutes: affectedRoutes.get(condition._id.toString()) } }
+      }
+    })));
+  }
+
+  return results;
+};
+
+// Pull the configured feed (if any), store what it returns and apply all
+// unexpired conditions to the routes
+const syncConditionFeed = async () => {
+  const provider = getConditionProvider();
+  let ingested = { saved: [], errors: [] };
+
+  if (provider) {
+    const area = getRoutesArea(await findCandidateRoutes());
+    ingested = await ingestConditions(await provider.fetchConditions(area), { source: provider.name });
+    if (ingested.errors.length > 0) {
+      logger.warn(`Condition feed ${provider.name}: ${ingested.errors.length} condition(s) rejected`);
+    }
+  }
+
+  const routes = await applyConditions();
+  return { provider: provider?.name || null, ...ingested, routes };
+};
+
+// Sync now and then every CONDITIONS_POLL_INTERVAL minutes (10 by default,
+// 0 disables it). Without a provider the run still clears expired conditions
+// from routes.
+const startConditionFeed = () => {
+  const minutes = getConditionSettings().pollInterval;
+  if (!minutes) return null;
+
+  const run = () => syncConditionFeed().catch(error => logger.error('Condition feed error:', error));
+  run();
+  return setInterval(run, minutes * 60 * 1000);
+};
+
+module.exports = {
+  LEVEL_DELAYS,
+  WEATHER_FACTORS,
+  getConditionSettings,
+  createLocalProvider,
+  createHttpProvider,
+  getConditionProvider,
+  normalizeCondition,
+  ingestConditions,
+  computeRouteImpact,
+  applyRouteImpact,
+  applyConditions,
+  syncConditionFeed,
+  startConditionFeed
+};
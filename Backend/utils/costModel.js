@@ -0,0 +1,99 @@
+// Vehicle-aware trip cost model
+//
+// Splits the cost of a trip into the fields of Route.costs:
+//   fuel     distance / vehicle efficiency x local fuel (or power) price
+//   tolls    distance x toll rate for the vehicle class (0 with avoidTolls)
+//   driver   hours on duty x driver hourly rate
+//   vehicle  distance x wear/maintenance rate for the vehicle type
+// Rates come from config/costRates.js and are in the route's currency.
+
+const {
+  COST_RATES,
+  DEFAULT_FUEL_EFFICIENCY,
+  HEAVY_VEHICLE_TYPES,
+  DEFAULT_COST_COUNTRY
+} = require('../config/costRates');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Rate table for a country, for the country priced in a currency when only
+// the currency is given, or for DEFAULT_COST_COUNTRY. A country without
+// rates, or one whose rates are in another currency, is rejected (400)
+// rather than priced with some other country's fuel and toll rates.
+const getCostRates = (country, currency) => {
+  const code = country ? country.toUpperCase() : null;
+  const reject = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    throw error;
+  };
+
+  if (code) {
+    if (!COST_RATES[code]) {
+      reject(`No cost rates for country ${code}`);
+    }
+    if (currency && COST_RATES[code].currency !== currency) {
+      reject(`Cost rates for ${code} are in ${COST_RATES[code].currency}, not ${currency}`);
+    }
+    return { country: code, ...COST_RATES[code] };
+  }
+
+  if (currency) {
+    const match = Object.keys(COST_RATES).find(key => COST_RATES[key].currency === currency);
+    if (!match) {
+      reject(`No cost rates in ${currency}`);
+    }
+    return { country: match, ...COST_RATES[match] };
+  }
+
+  return { country: DEFAULT_COST_COUNTRY, ...COST_RATES[DEFAULT_COST_COUNTRY] };
+};
+
+// Fuel (or energy) used over a distance: litres, or kWh for electric vehicles
+const estimateFuelUsed = (distance, vehicle = {}) => {
+  const type = vehicle.type || 'other';
+  const fuelType = vehicle.fuelType || 'diesel';
+
+  if (type === 'bicycle') return 0;
+
+  const efficiency = vehicle.metrics?.averageFuelEfficiency ||
+    (DEFAULT_FUEL_EFFICIENCY[type] || DEFAULT_FUEL_EFFICIENCY.other)[fuelType] ||
+    DEFAULT_FUEL_EFFICIENCY.other.diesel;
+
+  return distance / efficiency;
+};
+
+// Estimate trip costs.
+// options: distance (km), duration (minutes), vehicle, country, currency, avoidTolls
+const estimateRouteCosts = (options = {}) => {
+  const { distance = 0, duration = 0, vehicle, avoidTolls = false } = options;
+  const rates = getCostRates(options.country, options.currency);
+  const type = vehicle?.type || 'other';
+
+  // Hybrids are refuelled with petrol
+  const fuelType = vehicle?.fuelType === 'hybrid' ? 'petrol' : (vehicle?.fuelType || 'diesel');
+  const fuelUsed = estimateFuelUsed(distance, vehicle);
+  const tollRate = HEAVY_VEHICLE_TYPES.includes(type) ? rates.tolls.heavy : rates.tolls.light;
+
+  const fuel = round(fuelUsed * (rates.fuel[fuelType] ?? rates.fuel.diesel));
+  const tolls = avoidTolls ? 0 : round(distance * tollRate);
+  const driver = round((duration / 60) * rates.driver);
+  const vehicleCost = round(distance * (rates.vehicle[type] ?? rates.vehicle.other));
+
+  return {
+    fuel,
+    tolls,
+    driver,
+    vehicle: vehicleCost,
+    total: round(fuel + tolls + driver + vehicleCost),
+    currency: rates.currency,
+    country: rates.country,
+    fuelUsed: round(fuelUsed)
+  };
+};
+
+module.exports = {
+  getCostRates,
+  estimateFuelUsed,
+  estimateRouteCosts
+};
@@ -0,0 +1,129 @@
+// Currency conversion from the stored exchange rate table
+//
+// Every rate is quoted against USD (units of the currency per dollar) and
+// holds from its effectiveFrom until the next rate for the currency. An
+// amount converts as amount / rate(from) x rate(to), each rate taken at the
+// amount's own date (an order's creation, for example). Amounts dated before
+// the first rate for their currency cannot be converted.
+
+const ExchangeRate = require('../models/ExchangeRate');
+
+const PIVOT_CURRENCY = 'USD';
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'NGN', 'KES', 'GHS', 'ZAR', 'XAF'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Currency analytics report in: the requested one, BASE_CURRENCY, or USD.
+// Returns null for an unsupported currency, or for anything but a single
+// code (a repeated query parameter arrives as an array).
+const getBaseCurrency = (requested) => {
+  if (requested !== undefined && typeof requested !== 'string') return null;
+  const currency = (requested || process.env.BASE_CURRENCY || PIVOT_CURRENCY).toUpperCase();
+  return CURRENCIES.includes(currency) ? currency : null;
+};
+
+// Units of the currency per US dollar at a moment, or null when no rate
+// was in effect yet
+const getPivotRate = async (currency, at = new Date()) => {
+  if (currency === PIVOT_CURRENCY) return 1;
+  const rate = await ExchangeRate.findRateAt(currency, at);
+  return rate ? rate.rate : null;
+};
+
+// Multiplier taking an amount from one currency to another at a moment, or
+// null when either rate is missing
+const getExchangeRate = async (from, to, at = new Date()) => {
+  if (from === to) return 1;
+  const [fromRate, toRate] = await Promise.all([getPivotRate(from, at), getPivotRate(to, at)]);
+  return fromRate && toRate ? toRate / fromRate : null;
+};
+
+// Convert an amount, or null when it cannot be converted
+const convertAmount = async (amount, from, to, at = new Date()) => {
+  const rate = await getExchangeRate(from, to, at);
+  return rate === null ? null : round(amount * rate);
+};
+
+// $lookup of the pivot rate in effect for a currency expression at a date
+// expression
+const pivotRateLookup = (currency, date, as) => ({
+  $lookup: {
+    from: ExchangeRate.collection.name,
+    let: { currency, at: date },
+    pipeline: [
+      {
+        $match: {
+          $expr: {
+            $and: [
+              { $eq: ['$currency', '$$currency'] },
+              { $lte: ['$effectiveFrom', '$$at'] }
+            ]
+          }
+        }
+      },
+      { $sort: { effectiveFrom: -1 } },
+      { $limit: 1 },
+      { $project: { _id: 0, rate: 1 } }
+    ],
+    as
+  }
+});
+
+// Aggregation stages that add the multiplier from each document's currency
+// to the base currency at the document's date, as the field `as` (null when
+// a rate is missing). Multiply amounts by it and $sum skips the rest.
+// options: currency and date (field paths), base, as
+const conversionStages = ({ currency, date, base, as = 'fxRate' }) => {
+  const from = { $ifNull: [currency, PIVOT_CURRENCY] };
+  const pivotRate = (code, rates) => ({
+    $cond: [{ $eq: [code, PIVOT_CURRENCY] }, 1, { $arrayElemAt: [`$${rates}.rate`, 0] }]
+  });
+
+  return [
+    pivotRateLookup(from, date, '_fromRates'),
+    pivotRateLookup({ $literal: base }, date, '_toRates'),
+    {
+      $addFields: {
+        [as]: {
+          $let: {
+            vars: {
+              fromRate: pivotRate(from, '_fromRates'),
+              toRate: pivotRate({ $literal: base }, '_toRates')
+            },
+            in: {
+              $cond: [
+                { $eq: [from, base] },
+                1,
+                {
+                  $cond: [
+                    { $and: ['$$fromRate', '$$toRate'] },
+                    { $divide: ['$$toRate', '$$fromRate'] },
+                    null
+                  ]
+                }
+              ]
+            }
+          }
+        }
+      }
+    },
+    { $project: { _fromRates: 0, _toRates: 0 } }
+  ];
+};
+
+// $sum of an amount expression converted with the `fxRate` field
+const convertedSum = (amount, rate = '$fxRate') => ({ $sum: { $multiply: [amount, rate] } });
+
+// $sum counting documents that could not be converted
+const unconvertedCount = (rate = '$fxRate') => ({ $sum: { $cond: [{ $eq: [rate, null] }, 1, 0] } });
+
+module.exports = {
+  PIVOT_CURRENCY,
+  CURRENCIES,
+  getBaseCurrency,
+  getExchangeRate,
+  convertAmount,
+  conversionStages,
+  convertedSum,
+  unconvertedCount
+};
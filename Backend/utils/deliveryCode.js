@@ -0,0 +1,177 @@
+// One-time delivery codes
+//
+// Each order gets a numeric code, shared with its delivery contact, that the
+// driver must enter to mark the order delivered. Only a hash of the code is
+// stored, salted with the order id. A code expires after
+// DELIVERY_CODE_TTL_HOURS and locks after DELIVERY_CODE_MAX_ATTEMPTS wrong
+// entries; either way a new code has to be generated. An admin can complete
+// delivery without the code by giving an audit note. The code is sent to the
+// contact's email and, by SMS, to their phone.
+
+const crypto = require('crypto');
+const sendEmail = require('./sendEmail');
+const sendSms = require('./sendSms');
+const logger = require('./logger');
+
+// crypto.randomInt draws from ranges below 2^48, so codes are kept to
+// between 4 and 12 digits
+const MIN_CODE_LENGTH = 4;
+const MAX_CODE_LENGTH = 12;
+
+const DELIVERY_CODE_SETTINGS = {
+  length: Math.min(MAX_CODE_LENGTH, Math.max(MIN_CODE_LENGTH, parseInt(process.env.DELIVERY_CODE_LENGTH) || 6)),
+  ttlHours: parseFloat(process.env.DELIVERY_CODE_TTL_HOURS) || 48,
+  maxAttempts: parseInt(process.env.DELIVERY_CODE_MAX_ATTEMPTS) || 5
+};
+
+if (process.env.DELIVERY_CODE_LENGTH && DELIVERY_CODE_SETTINGS.length !== parseInt(process.env.DELIVERY_CODE_LENGTH)) {
+  logger.warn(`DELIVERY_CODE_LENGTH must be ${MIN_CODE_LENGTH} to ${MAX_CODE_LENGTH}; using ${DELIVERY_CODE_SETTINGS.length}`);
+}
+
+const getSettings = () => DELIVERY_CODE_SETTINGS;
+
+const hashCode = (order, code) => crypto
+  .createHash('sha256')
+  .update(`${order._id}:${String(code).trim()}`)
+  .digest('hex');
+
+// Whether the order has a code that can still be entered
+const hasActiveCode = (order) => {
+  const verification = order.delivery?.verification;
+  return Boolean(
+    verification?.codeHash &&
+    verification.expiresAt > new Date() &&
+    verification.attempts < getSettings().maxAttempts
+  );
+};
+
+// Generate a new code for the order, replacing any earlier one. Returns the
+// plain code; the order still has to be saved.
+const issueDeliveryCode = (order) => {
+  const { length, ttlHours } = getSettings();
+  const code = crypto.randomInt(0, 10 ** length).toString().padStart(length, '0');
+  const now = new Date();
+
+  order.delivery.verification = {
+    codeHash: hashCode(order, code),
+    generatedAt: now,
+    expiresAt: new Date(now.getTime() + ttlHours * 60 * 60 * 1000),
+    attempts: 0,
+    sentTo: []
+  };
+
+  return code;
+};
+
+// Share the code with the delivery contact by email and SMS. Returns the
+// channels it was sent on and whether any succeeded; sending never throws.
+const sendDeliveryCode = async (order, code) => {
+  const contact = order.delivery.contact || {};
+  const expiresAt = order.delivery.verification.expiresAt;
+  const sentTo = [];
+
+  if (contact.email) {
+    try {
+      await sendEmail({
+        email: contact.email,
+        subject: `IntelliRoute Africa - Delivery code for order ${order.orderNumber}`,
+        message: `
+          <h2>Your delivery code</h2>
+          <p>Hello ${contact.name || ''},</p>
+          <p>Order ${order.orderNumber} is on its way. Give this code to the driver when your order arrives:</p>
+          <p style="font-size: 24px; letter-spacing: 4px;"><strong>${code}</strong></p>
+          <p>The code expires on ${expiresAt.toUTCString()}. Don't share it before you have received your order.</p>
+        `
+      });
+      sentTo.push('email');
+    } catch (error) {
+      logger.error(`Delivery code email failed for order ${order.orderNumber}:`, error);
+    }
+  }
+
+  if (contact.phone) {
+    try {
+      await sendSms({
+        phone: contact.phone,
+        message: `IntelliRoute Africa: your delivery code for order ${order.orderNumber} is ${code}. ` +
+          `Give it to the driver when your order arrives. Expires ${expiresAt.toUTCString()}.`
+      });
+      sentTo.push('sms');
+    } catch (error) {
+      logger.error(`Delivery code SMS failed for order ${order.orderNumber}: ${error.message}`);
+    }
+  }
+
+  if (sentTo.length === 0) {
+    logger.warn(`Delivery code for order ${order.orderNumber} could not be sent to the delivery contact`);
+  }
+
+  order.delivery.verification.sentTo = sentTo;
+  return { sentTo, delivered: sentTo.length > 0 };
+};
+
+// Check a code entered by the driver. Returns null and marks the delivery
+// verified when it matches, otherwise { statusCode, message,
+// attemptsRemaining } and counts the attempt. The order still has to be
+// saved either way.
+const verifyDeliveryCode = (order, code, userId) => {
+  const verification = order.delivery.verification;
+  const { maxAttempts } = getSettings();
+
+  if (!code) {
+    return { statusCode: 400, message: 'Please provide the delivery code' };
+  }
+
+  if (!verification?.codeHash) {
+    return { statusCode: 409, message: 'No delivery code has been issued for this order' };
+  }
+
+  if (verification.attempts >= maxAttempts) {
+    return { statusCode: 409, message: 'Too many incorrect codes. A new delivery code must be generated', attemptsRemaining: 0 };
+  }
+
+  if (verification.expiresAt <= new Date()) {
+    return { statusCode: 409, message: 'The delivery code has expired. A new delivery code must be generated' };
+  }
+
+  const expected = Buffer.from(verification.codeHash, 'hex');
+  const received = Buffer.from(hashCode(order, code), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, received)) {
+    verification.attempts += 1;
+    return {
+      statusCode: 400,
+      message: 'Incorrect delivery code',
+      attemptsRemaining: maxAttempts - verification.attempts
+    };
+  }
+
+  verification.codeHash = undefined;
+  verification.method = 'code';
+  verification.verifiedAt = new Date();
+  verification.verifiedBy = userId;
+  return null;
+};
+
+// Complete verification without the code, keeping the admin's reason
+const overrideDeliveryCode = (order, note, userId) => {
+  if (!order.delivery.verification) {
+    order.delivery.verification = {};
+  }
+
+  const verification = order.delivery.verification;
+  verification.codeHash = undefined;
+  verification.method = 'override';
+  verification.overrideNote = note;
+  verification.verifiedAt = new Date();
+  verification.verifiedBy = userId;
+};
+
+module.exports = {
+  DELIVERY_CODE_SETTINGS,
+  hasActiveCode,
+  issueDeliveryCode,
+  sendDeliveryCode,
+  verifyDeliveryCode,
+  overrideDeliveryCode
+};
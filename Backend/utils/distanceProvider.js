@@ -0,0 +1,331 @@
+// Road-network distance and duration providers
+//
+// Every provider exposes the same two calls:
+//   getMatrix(points) -> { distances, durations }   (km / minutes, n x n)
+//   getRoute(points)  -> { distance, duration, path } for points in order
+//
+// The default provider is straight-line Haversine at an average speed.
+// Setting DISTANCE_PROVIDER=osrm or graphhopper with DISTANCE_PROVIDER_URL
+// points the optimizer at a (locally hosted) routing engine instead. OSRM has
+// no default URL: its usual port is the API's own, so a missing URL would
+// have the API query itself.
+// Routing engines can be asked to keep off toll roads and motorways; the
+// road classes a provider excludes are listed in provider.avoid.
+// Matrices from remote providers are cached in MongoDB.
+
+const crypto = require('crypto');
+const axios = require('axios');
+const DistanceMatrix = require('../models/DistanceMatrix');
+const logger = require('./logger');
+
+const AVERAGE_SPEED_KMH = 50;
+const REQUEST_TIMEOUT = 15000;
+
+// Calculate great-circle distance between two coordinates (Haversine, km)
+const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371; // Earth's radius in kilometers
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return R * c;
+};
+
+const haversine = (a, b) => calculateDistance(a.lat, a.lng, b.lat, b.lng);
+
+// Straight-line provider, used by default and as a fallback
+const createHaversineProvider = (options = {}) => {
+  const speed = options.averageSpeed || AVERAGE_SPEED_KMH;
+
+  return {
+    name: 'haversine',
+    profile: `${speed}kmh`,
+    cacheable: false,
+    avoid: [],
+
+    async getMatrix(points) {
+      const distances = points.map(from => points.map(to => haversine(from, to)));
+      const durations = distances.map(row => row.map(distance => (distance / speed) * 60));
+      return { distances, durations };
+    },
+
+    async getRoute(points) {
+      let distance = 0;
+      for (let i = 0; i < points.length - 1; i++) {
+        distance += haversine(points[i], points[i + 1]);
+      }
+      return {
+        distance,
+        duration: (distance / speed) * 60,
+        path: points.map(({ lat, lng }) => ({ lat, lng }))
+      };
+    }
+  };
+};
+
+// OSRM HTTP API (table and route services)
+const createOsrmProvider = (options = {}) => {
+  if (!options.baseUrl) {
+    throw new Error('The OSRM provider needs a base URL');
+  }
+  const baseUrl = options.baseUrl.replace(/\/$/, '');
+  const profile = options.profile || 'driving';
+  const avoid = options.avoid || [];
+  const toCoords = (points) => points.map(p => `${p.lng},${p.lat}`).join(';');
+  // Needs a profile built with toll and motorway as excludable classes
+  const exclude = avoid.length > 0 ? { exclude: avoid.join(',') } : {};
+
+  return {
+    name: 'osrm',
+    profile,
+    cacheable: true,
+    avoid,
+
+    async getMatrix(points) {
+      const { data } = await axios.get(`${baseUrl}/table/v1/${profile}/${toCoords(points)}`, {
+        params: { annotations: 'distance,duration', ...exclude },
+        timeout: REQUEST_TIMEOUT
+      });
+
+      if (data.code !== 'Ok') {
+        throw new Error(`OSRM table request failed: ${data.message || data.code}`);
+      }
+
+      return {
+        distances: data.distances.map(row => row.map(meters => (meters === null ? null : meters / 1000))),
+        durations: data.durations.map(row => row.map(seconds => (seconds === null ? null : seconds / 60)))
+      };
+    },
+
+    async getRoute(points) {
+      const { data } = await axios.get(`${baseUrl}/route/v1/${profile}/${toCoords(points)}`, {
+        params: { overview: 'full', geometries: 'geojson', ...exclude },
+        timeout: REQUEST_TIMEOUT
+      });
+
+      if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
+        throw new Error(`OSRM route request failed: ${data.message || data.code}`);
+      }
+
+      const route = data.routes[0];
+      return {
+        distance: route.distance / 1000,
+        duration: route.duration / 60,
+        path: route.geometry.coordinates.map(([lng, lat]) => ({ lat, lng }))
+      };
+    }
+  };
+};
+
+// GraphHopper HTTP API (matrix and route endpoints)
+const createGraphHopperProvider = (options = {}) => {
+  const baseUrl = (options.baseUrl || 'http://localhost:8989').replace(/\/$/, '');
+  const profile = options.profile || 'car';
+  const params = options.apiKey ? { key: options.apiKey } : {};
+  const avoid = options.avoid || [];
+  const toPoints = (points) => points.map(p => [p.lng, p.lat]);
+
+  // Avoided road classes get a very low priority through a custom model,
+  // which GraphHopper only applies with contraction hierarchies disabled
+  const conditions = {
+    toll: 'toll != NO',
+    motorway: 'road_class == MOTORWAY'
+  };
+  const customModel = avoid.length > 0
+    ? {
+      'ch.disable': true,
+      custom_model: {
+        priority: avoid.map(roadClass => ({ if: conditions[roadClass], multiply_by: '0.01' }))
+      }
+    }
+    : {};
+
+  return {
+    name: 'graphhopper',
+    profile,
+    cacheable: true,
+    avoid,
+
+    async getMatrix(points) {
+      const { data } = await axios.post(`${baseUrl}/matrix`, {
+        points: toPoints(points),
+        out_arrays: ['distances', 'times'],
+        profile,
+        ...customModel
+      }, { params, timeout: REQUEST_TIMEOUT });
+
+      return {
+        distances: data.distances.map(row => row.map(meters => (meters === null ? null : meters / 1000))),
+        durations: data.times.map(row => row.map(seconds => (seconds === null ? null : seconds / 60)))
+      };
+    },
+
+    async getRoute(points) {
+      const { data } = await axios.post(`${baseUrl}/route`, {
+        points: toPoints(points),
+        profile,
+        points_encoded: false,
+        ...customModel
+      }, { params, timeout: REQUEST_TIMEOUT });
+
+      if (!data.paths || data.paths.length === 0) {
+        throw new Error('GraphHopper route request returned no paths');
+      }
+
+      const path = data.paths[0];
+      return {
+        distance: path.distance / 1000,
+        duration: path.time / (1000 * 60),
+        path: path.points.coordinates.map(([lng, lat]) => ({ lat, lng }))
+      };
+    }
+  };
+};
+
+// Configuration problems are logged on first use only
+const warned = new Set();
+const warnOnce = (message) => {
+  if (warned.has(message)) return;
+  warned.add(message);
+  logger.warn(message);
+};
+
+// Provider configured through environment variables. constraints
+// (a route's avoidTolls / avoidHighways) select the road classes to exclude.
+const getDistanceProvider = (constraints = {}) => {
+  const options = {
+    baseUrl: process.env.DISTANCE_PROVIDER_URL,
+    profile: process.env.DISTANCE_PROVIDER_PROFILE,
+    apiKey: process.env.GRAPHHOPPER_API_KEY,
+    avoid: [
+      constraints?.avoidTolls && 'toll',
+      constraints?.avoidHighways && 'motorway'
+    ].filter(Boolean)
+  };
+
+  switch ((process.env.DISTANCE_PROVIDER || 'haversine').toLowerCase()) {
+    case 'osrm':
+      if (!options.baseUrl) {
+        warnOnce('DISTANCE_PROVIDER=osrm needs DISTANCE_PROVIDER_URL; using straight-line distances');
+        return createHaversineProvider();
+      }
+      return createOsrmProvider(options);
+    case 'graphhopper':
+      return createGraphHopperProvider(options);
+    default:
+      return createHaversineProvider();
+  }
+};
+
+const fallbackProvider = createHaversineProvider();
+
+// Fill cells the routing engine could not resolve with straight-line values
+const fillGaps = (points, matrix) => {
+  const fallback = {
+    distances: points.map(from => points.map(to => haversine(from, to)))
+  };
+  fallback.durations = fallback.distances.map(row => row.map(distance => (distance / AVERAGE_SPEED_KMH) * 60));
+
+  return {
+    distances: matrix.distances.map((row, i) => row.map((value, j) => (value ?? fallback.distances[i][j]))),
+    durations: matrix.durations.map((row, i) => row.map((value, j) => (value ?? fallback.durations[i][j])))
+  };
+};
+
+const roundPoint = (point) => ({
+  lat: Number(point.lat.toFixed(5)),
+  lng: Number(point.lng.toFixed(5))
+});
+
+// Distance and duration matrix for the given points.
+// Remote results are cached per unique point set (in any order), so
+// repeated optimisations of the same depots and stops reuse them.
+const getDistanceMatrix = async (points, provider = getDistanceProvider()) => {
+  if (points.length === 0) return { distances: [], durations: [] };
+  if (!provider.cacheable) return provider.getMatrix(points);
+
+  // Canonical point list: rounded, de-duplicated and sorted
+  const rounded = points.map(roundPoint);
+  const pointKey = (p) => `${p.lat},${p.lng}`;
+  const canonical = [...new Map(rounded.map(p => [pointKey(p), p])).values()]
+    .sort((a, b) => (pointKey(a) < pointKey(b) ? -1 : 1));
+  const indexOf = new Map(canonical.map((p, index) => [pointKey(p), index]));
+
+  const avoid = provider.avoid?.length > 0 ? `|avoid=${provider.avoid.join(',')}` : '';
+  const key = crypto.createHash('sha256')
+    .update(`${provider.name}|${provider.profile}${avoid}|${canonical.map(pointKey).join(';')}`)
+    .digest('hex');
+
+  let cached = null;
+  try {
+    cached = await DistanceMatrix.findOneAndUpdate(
+      { key },
+      { $inc: { hits: 1 }, lastUsedAt: new Date() },
+      { new: true }
+    );
+  } catch (error) {
+    logger.warn(`Distance matrix cache lookup failed: ${error.message}`);
+  }
+
+  let matrix;
+  if (cached) {
+    matrix = { distances: cached.distances, durations: cached.durations };
+  } else {
+    try {
+      matrix = fillGaps(canonical, await provider.getMatrix(canonical));
+    } catch (error) {
+      logger.warn(`${provider.name} matrix request failed, using straight-line distances: ${error.message}`);
+      return fallbackProvider.getMatrix(points);
+    }
+
+    const ttlDays = parseInt(process.env.DISTANCE_MATRIX_CACHE_TTL_DAYS) || 30;
+    try {
+      await DistanceMatrix.create({
+        key,
+        provider: provider.name,
+        profile: provider.profile,
+        points: canonical,
+        distances: matrix.distances,
+        durations: matrix.durations,
+        expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      logger.warn(`Distance matrix cache write failed: ${error.message}`);
+    }
+  }
+
+  // Map the canonical matrix back onto the requested point order
+  const order = rounded.map(p => indexOf.get(pointKey(p)));
+  return {
+    distances: order.map(i => order.map(j => matrix.distances[i][j])),
+    durations: order.map(i => order.map(j => matrix.durations[i][j]))
+  };
+};
+
+// Distance, duration and road geometry for points visited in order
+const getRouteGeometry = async (points, provider = getDistanceProvider()) => {
+  if (points.length < 2) {
+    return fallbackProvider.getRoute(points);
+  }
+
+  try {
+    return await provider.getRoute(points);
+  } catch (error) {
+    logger.warn(`${provider.name} route request failed, using straight-line distances: ${error.message}`);
+    return fallbackProvider.getRoute(points);
+  }
+};
+
+module.exports = {
+  AVERAGE_SPEED_KMH,
+  calculateDistance,
+  createHaversineProvider,
+  createOsrmProvider,
+  createGraphHopperProvider,
+  getDistanceProvider,
+  getDistanceMatrix,
+  getRouteGeometry
+};
@@ -0,0 +1,173 @@
+// CO2e emissions for routes and the orders they carry
+//
+// Fuel used is what the route recorded (metrics.fuelConsumed) or, failing
+// that, the cost model's estimate for the distance scaled by the load factor:
+//   fuel     distance / vehicle efficiency x (1 + sensitivity x (load factor - 0.5))
+//   co2e     fuel x emission factor for the fuel (electric: the country's grid)
+// A route's emissions are shared between its orders by cargo weight.
+// Factors come from config/emissionFactors.js; results are in kg CO2e.
+
+const Order = require('../models/Order');
+const Vehicle = require('../models/Vehicle');
+const {
+  FUEL_EMISSION_FACTORS,
+  GRID_EMISSION_FACTORS,
+  DEFAULT_GRID_EMISSION_FACTOR,
+  LOAD_SENSITIVITY
+} = require('../config/emissionFactors');
+const { DEFAULT_COST_COUNTRY } = require('../config/costRates');
+const { estimateFuelUsed } = require('./costModel');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// kg CO2e per litre of the fuel, or per kWh for electric vehicles
+const getEmissionFactor = (fuelType = 'diesel', country = DEFAULT_COST_COUNTRY) => {
+  if (fuelType === 'electric') {
+    return GRID_EMISSION_FACTORS[(country || '').toUpperCase()] ?? DEFAULT_GRID_EMISSION_FACTOR;
+  }
+  // Hybrids are refuelled with petrol
+  const fuel = fuelType === 'hybrid' ? 'petrol' : fuelType;
+  return FUEL_EMISSION_FACTORS[fuel] ?? FUEL_EMISSION_FACTORS.diesel;
+};
+
+// Share of the vehicle's weight capacity the load takes up (0 to 1), or null
+// when the vehicle's capacity is not known
+const getLoadFactor = (load, vehicle) => {
+  const capacity = vehicle?.capacity?.weight;
+  if (!(capacity > 0)) return null;
+  return round(Math.min(1, Math.max(0, (load || 0) / capacity)));
+};
+
+// Estimate the emissions of a trip.
+// options: distance (km), vehicle, load (kg), fuelConsumed (measured litres
+// or kWh), country
+const estimateEmissions = (options = {}) => {
+  const { distance = 0, vehicle, load = 0, fuelConsumed } = options;
+  const country = options.country || DEFAULT_COST_COUNTRY;
+  const fuelType = vehicle?.fuelType || 'diesel';
+  const loadFactor = getLoadFactor(load, vehicle);
+
+  let fuelUsed;
+  let basis;
+  if (fuelConsumed > 0) {
+    fuelUsed = fuelConsumed;
+    basis = 'measured';
+  } else {
+    const sensitivity = LOAD_SENSITIVITY[vehicle?.type] ?? LOAD_SENSITIVITY.other;
+    fuelUsed = estimateFuelUsed(distance, vehicle || {}) * (1 + sensitivity * ((loadFactor ?? 0.5) - 0.5));
+    basis = 'estimated';
+  }
+
+  const factor = getEmissionFactor(fuelType, country);
+
+  return {
+    co2e: round(fuelUsed * factor),
+    fuelUsed: round(fuelUsed),
+    fuelType,
+    distance: round(distance),
+    load: round(load),
+    loadFactor,
+    factor,
+    country: country.toUpperCase(),
+    basis
+  };
+};
+
+// Split emissions between orders by cargo weight, or evenly when none of
+// them has a weight. orders: [{ _id, weight }]
+const allocateEmissions = (co2e, orders) => {
+  if (orders.length === 0) return [];
+
+  const totalWeight = orders.reduce((sum, order) => sum + (order.weight || 0), 0);
+  return orders.map(order => {
+    const share = totalWeight > 0 ? (order.weight || 0) / totalWeight : 1 / orders.length;
+    return {
+      order: order._id,
+      share: round(share),
+      co2e: round(co2e * share)
+    };
+  });
+};
+
+// Emissions of a route and of each of its orders. Completed routes use the
+// distance and fuel they recorded; others the optimised plan.
+// vehicle: the assigned vehicle (type, fuelType, capacity, efficiency)
+// orders: the route's orders with cargo.totalWeight
+const calculateRouteEmissions = (route, vehicle, orders = []) => {
+  const completed = route.status === 'completed';
+  const loads = orders.map(order => ({ _id: order._id, weight: order.cargo?.totalWeight || 0 }));
+
+  const emissions = estimateEmissions({
+    distance: (completed && route.metrics?.actualDistance) || route.optimization?.totalDistance || 0,
+    vehicle,
+    load: loads.reduce((sum, order) => sum + order.weight, 0),
+    fuelConsumed: completed ? route.metrics?.fuelConsumed : undefined,
+    country: route.costs?.country
+  });
+
+  return {
+    emissions,
+    orders: allocateEmissions(emissions.co2e, loads)
+  };
+};
+
+// Load a route's vehicle and orders and calculate its emissions
+const getRouteEmissions = async (route) => {
+  const [vehicle, orders] = await Promise.all([
+    route.assignedVehicle
+      ? Vehicle.findById(route.assignedVehicle).select('registrationNumber type fuelType capacity metrics.averageFuelEfficiency')
+      : null,
+    Order.find({ _id: { $in: route.orders } }).select('orderNumber customer cargo.totalWeight')
+  ]);
+
+  const result = calculateRouteEmissions(route, vehicle, orders);
+  const byId = new Map(orders.map(order => [order._id.toString(), order]));
+  result.orders = result.orders.map(share => ({
+    ...share,
+    orderNumber: byId.get(share.order.toString()).orderNumber,
+    customer: byId.get(share.order.toString()).customer
+  }));
+
+  return { vehicle, ...result };
+};
+
+// Record the emissions of a completed route on the route and its orders.
+// The caller saves the route.
+const recordRouteEmissions = async (route) => {
+  const { emissions, orders } = await getRouteEmissions(route);
+  const calculatedAt = new Date();
+
+  route.emissions = { ...emissions, calculatedAt };
+
+  if (orders.length > 0) {
+    await Order.bulkWrite(orders.map(share => ({
+      updateOne: {
+        filter: { _id: share.order },
+        update: {
+          $set: {
+            emissions: {
+              co2e: share.co2e,
+              share: share.share,
+              route: route._id,
+              vehicle: route.assignedVehicle,
+              date: route.scheduling.actualEndTime || calculatedAt,
+              calculatedAt
+            }
+          }
+        }
+      }
+    })));
+  }
+
+  return route.emissions;
+};
+
+module.exports = {
+  getEmissionFactor,
+  getLoadFactor,
+  estimateEmissions,
+  allocateEmissions,
+  calculateRouteEmissions,
+  getRouteEmissions,
+  recordRouteEmissions
+};
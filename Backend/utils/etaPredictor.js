@@ -0,0 +1,361 @@
+// Historical ETA prediction
+//
+// Completed routes show how long legs really took compared with the plan.
+// Training groups every leg (actualDeparture -> actualArrival against
+// estimatedDeparture -> estimatedArrival) by corridor, time of day and
+// vehicle type and stores the median ratio as an EtaProfile. Route-level
+// ratios of metrics.actualDuration to the estimate back up vehicle types
+// and the fleet as a whole. Live routes are then predicted leg by leg from
+// the vehicle's position, scaling each planned leg by the most specific
+// profile with enough samples and adding the leg's traffic and weather
+// delay (utils/conditionFeed.js).
+
+const Route = require('../models/Route');
+const Order = require('../models/Order');
+const Vehicle = require('../models/Vehicle');
+const EtaProfile = require('../models/EtaProfile');
+const logger = require('./logger');
+const { AVERAGE_SPEED_KMH, calculateDistance } = require('./distanceProvider');
+
+const DEFAULT_SERVICE_TIME = 10; // minutes, as in the route optimizer
+const MIN_FACTOR = 0.2;
+const MAX_FACTOR = 5;
+const PROFILE_CACHE_MS = 10 * 60 * 1000;
+// Routes already under way; a paused route still has its vehicle on the road
+const STARTED_STATUSES = ['in-progress', 'paused'];
+
+// Lookup order, most specific first
+const LEVELS = [
+  { level: 'corridor-band-vehicle', fields: ['corridor', 'timeBand', 'vehicleType'] },
+  { level: 'corridor-band', fields: ['corridor', 'timeBand'] },
+  { level: 'band-vehicle', fields: ['timeBand', 'vehicleType'] },
+  { level: 'band', fields: ['timeBand'] },
+  { level: 'vehicle', fields: ['vehicleType'] },
+  { level: 'global', fields: [] }
+];
+
+// Legs train the segmented levels; whole routes train the coarse ones
+const LEG_LEVELS = LEVELS.slice(0, 4);
+const ROUTE_LEVELS = LEVELS.slice(4);
+
+const TIME_BANDS = [
+  { band: 'night', until: 6 },
+  { band: 'morning-peak', until: 10 },
+  { band: 'midday', until: 16 },
+  { band: 'evening-peak', until: 20 },
+  { band: 'evening', until: 24 }
+];
+
+const getEtaSettings = () => ({
+  timeZone: process.env.ETA_TIME_ZONE || 'Africa/Nairobi',
+  corridorGrid: parseFloat(process.env.ETA_CORRIDOR_GRID) || 0.1, // degrees
+  minSamples: parseInt(process.env.ETA_MIN_SAMPLES) || 5,
+  trainingDays: parseInt(process.env.ETA_TRAINING_DAYS) || 90,
+  refreshSeconds: parseInt(process.env.ETA_REFRESH_SECONDS || 60)
+});
+
+// Time-of-day band of an instant in the configured time zone
+const getTimeBand = (date, timeZone = getEtaSettings().timeZone) => {
+  const hour = parseInt(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    hour: 'numeric'
+  }).format(new Date(date)));
+  return TIME_BANDS.find(({ until }) => hour < until).band;
+};
+
+// Directional corridor between the grid cells of two points
+const getCorridor = (from, to, grid = getEtaSettings().corridorGrid) => {
+  const cell = ({ lat, lng }) => `${Math.floor(lat / grid)},${Math.floor(lng / grid)}`;
+  return `${cell(from)}>${cell(to)}`;
+};
+
+const profileKey = (level, segment) => [
+  level.level,
+  ...level.fields.map(field => segment[field] ?? '')
+].join('|');
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const minutesBetween = (from, to) => (new Date(to) - new Date(from)) / (60 * 1000);
+
+// Travel-time samples from one completed route
+const getRouteSamples = (route, settings) => {
+  const vehicleType = route.assignedVehicle?.type;
+  const waypoints = [...route.waypoints]
+    .filter(waypoint => waypoint.status !== 'skipped')
+    .sort((a, b) => a.order - b.order);
+  const legs = [];
+
+  for (let i = 1; i < waypoints.length; i++) {
+    const from = waypoints[i - 1];
+    const to = waypoints[i];
+    if (!from.actualDeparture || !to.actualArrival || !from.estimatedDeparture || !to.estimatedArrival) continue;
+
+    const planned = minutesBetween(from.estimatedDeparture, to.estimatedArrival);
+    const actual = minutesBetween(from.actualDeparture, to.actualArrival);
+    if (planned < 1 || actual <= 0) continue;
+
+    legs.push({
+      corridor: getCorridor(from.location.coordinates, to.location.coordinates, settings.corridorGrid),
+      timeBand: getTimeBand(from.actualDeparture, settings.timeZone),
+      vehicleType,
+      factor: Math.min(MAX_FACTOR, Math.max(MIN_FACTOR, actual / planned)),
+      arrivalDelay: minutesBetween(to.estimatedArrival, to.actualArrival)
+    });
+  }
+
+  let trip = null;
+  if (route.metrics?.actualDuration > 0 && route.optimization?.estimatedDuration > 0) {
+    trip = {
+      vehicleType,
+      factor: Math.min(MAX_FACTOR, Math.max(MIN_FACTOR, route.metrics.actualDuration / route.optimization.estimatedDuration))
+    };
+  }
+
+  return { legs, trip };
+};
+
+let profileCache = null;
+
+// Rebuild the ETA profiles from routes completed in the training window
+const trainEtaModel = async () => {
+  const settings = getEtaSettings();
+  const since = new Date(Date.now() - settings.trainingDays * 24 * 60 * 60 * 1000);
+  const groups = new Map();
+
+  const addSample = (levels, sample) => {
+    levels.forEach(level => {
+      if (level.fields.some(field => !sample[field])) return;
+      const key = profileKey(level, sample);
+      if (!groups.has(key)) {
+        groups.set(key, {
+          level,
+          segment: Object.fromEntries(level.fields.map(field => [field, sample[field]])),
+          factors: [],
+          delays: []
+        });
+      }
+      groups.get(key).factors.push(sample.factor);
+      if (sample.arrivalDelay !== undefined) groups.get(key).delays.push(sample.arrivalDelay);
+    });
+  };
+
+  const cursor = Route.find({ status: 'completed', 'completion.completedAt': { $gte: since } })
+    .select('waypoints.location.coordinates waypoints.order waypoints.status waypoints.estimatedArrival waypoints.estimatedDeparture waypoints.actualArrival waypoints.actualDeparture metrics.actualDuration optimization.estimatedDuration assignedVehicle')
+    .populate('assignedVehicle', 'type')
+    .lean()
+    .cursor();
+
+  let routes = 0;
+  for await (const route of cursor) {
+    const { legs, trip } = getRouteSamples(route, settings);
+    legs.forEach(leg => addSample(LEG_LEVELS, leg));
+    if (trip) addSample(ROUTE_LEVELS, trip);
+    routes += 1;
+  }
+
+  const trainedAt = new Date();
+  const profiles = [...groups.entries()].map(([key, { level, segment, factors, delays }]) => ({
+    key,
+    level: level.level,
+    ...segment,
+    factor: Math.round(median(factors) * 1000) / 1000,
+    arrivalDelay: delays.length > 0 ? Math.round(median(delays)) : undefined,
+    samples: factors.length,
+    trainedAt
+  }));
+
+  // Update profiles in place, then drop those this run did not produce, so
+  // predictions never see an empty table while training
+  if (profiles.length > 0) {
+    await EtaProfile.bulkWrite(profiles.map(({ arrivalDelay, ...profile }) => ({
+      updateOne: {
+        filter: { key: profile.key },
+        update: arrivalDelay !== undefined
+          ? { $set: { ...profile, arrivalDelay } }
+          : { $set: profile, $unset: { arrivalDelay: '' } },
+        upsert: true
+      }
+    })));
+  }
+  await EtaProfile.deleteMany({ trainedAt: { $lt: trainedAt } });
+  profileCache = null;
+
+  logger.info(`ETA model trained on ${routes} completed route(s): ${profiles.length} profile(s)`);
+  return { routes, profiles: profiles.length, trainedAt };
+};
+
+const loadProfiles = async () => {
+  if (!profileCache || Date.now() - profileCache.loadedAt > PROFILE_CACHE_MS) {
+    const profiles = await EtaProfile.find().lean();
+    profileCache = {
+      loadedAt: Date.now(),
+      profiles: new Map(profiles.map(profile => [profile.key, profile]))
+    };
+  }
+  return profileCache.profiles;
+};
+
+// Most specific profile with enough samples for a segment
+const findProfile = (profiles, segment, minSamples) => {
+  for (const level of LEVELS) {
+    if (level.fields.some(field => !segment[field])) continue;
+    const profile = profiles.get(profileKey(level, segment));
+    if (profile && profile.samples >= minSamples) return profile;
+  }
+  return null;
+};
+
+// Predicted arrival at every waypoint still ahead of the vehicle. A route
+// in progress or paused starts at `now`, from its current location when it
+// has one; other routes start at their first stop at the planned start time.
+const predictRouteEtas = (route, { profiles, vehicleType, now = new Date(), settings = getEtaSettings() }) => {
+  const waypoints = [...route.waypoints]
+    .filter(waypoint => waypoint.status !== 'skipped')
+    .sort((a, b) => a.order - b.order);
+  const remaining = waypoints.findIndex(waypoint => waypoint.status === 'pending' || waypoint.status === 'arrived');
+  const predictions = [];
+  if (remaining === -1) return predictions;
+
+  const serviceTime = waypoint => (waypoint.duration ?? DEFAULT_SERVICE_TIME) * 60 * 1000;
+  const straightMinutes = (from, to) => (
+    calculateDistance(from.lat, from.lng, to.lat, to.lng) / AVERAGE_SPEED_KMH * 60
+  );
+  const plannedLeg = (from, to) => (
+    from.estimatedDeparture && to.estimatedArrival
+      ? Math.max(0, minutesBetween(from.estimatedDeparture, to.estimatedArrival))
+      : straightMinutes(from.location.coordinates, to.location.coordinates)
+  );
+  const addPrediction = (waypoint, predictedArrival, profile) => {
+    predictions.push({
+      waypointId: waypoint._id,
+      order: waypoint.order,
+      name: waypoint.location.name || waypoint.location.address,
+      relatedOrder: waypoint.relatedOrder,
+      type: waypoint.type,
+      estimatedArrival: waypoint.estimatedArrival,
+      predictedArrival,
+      delay: waypoint.estimatedArrival ? Math.round(minutesBetween(waypoint.estimatedArrival, predictedArrival)) : undefined,
+      factor: profile?.factor ?? 1,
+      basis: profile?.level ?? 'plan'
+    });
+  };
+
+  const started = STARTED_STATUSES.includes(route.status);
+  const live = started && route.tracking?.currentLocation?.coordinates?.lat !== undefined;
+  let position = live ? route.tracking.currentLocation.coordinates : waypoints[remaining].location.coordinates;
+  let clock = started ? now.getTime() : new Date(route.scheduling.plannedStartTime).getTime();
+  let atStop = false;
+  let index = remaining;
+
+  // The stop the vehicle is at, or the first stop of a route not yet started
+  const first = waypoints[remaining];
+  if (first.status === 'arrived' || !live) {
+    const arrival = first.status === 'arrived'
+      ? new Date(first.actualArrival || clock)
+      : new Date(Math.max(clock, new Date(first.estimatedArrival || clock).getTime()));
+    addPrediction(first, arrival, null);
+
+    const windowStart = first.timeWindow?.start ? new Date(first.timeWindow.start).getTime() : 0;
+    clock = Math.max(clock, arrival.getTime(), windowStart) + serviceTime(first);
+    position = first.location.coordinates;
+    atStop = true;
+    index += 1;
+  }
+
+  for (; index < waypoints.length; index++) {
+    const waypoint = waypoints[index];
+    const previous = waypoints[index - 1];
+    let minutes;
+
+    if (atStop) {
+      minutes = plannedLeg(previous, waypoint);
+    } else if (previous) {
+      // Share of the planned leg still to drive from the current location
+      const full = straightMinutes(previous.location.coordinates, waypoint.location.coordinates);
+      const left = straightMinutes(position, waypoint.location.coordinates);
+      minutes = plannedLeg(previous, waypoint) * (full > 0 ? Math.min(1, left / full) : 1);
+    } else {
+      minutes = straightMinutes(position, waypoint.location.coordinates);
+    }
+
+    // Profiles are looked up for the planned leg, even when starting mid-leg
+    const legStart = previous ? previous.location.coordinates : position;
+    const profile = findProfile(profiles, {
+      corridor: getCorridor(legStart, waypoint.location.coordinates, settings.corridorGrid),
+      timeBand: getTimeBand(clock, settings.timeZone),
+      vehicleType
+    }, settings.minSamples);
+
+    // Traffic and weather delays from the condition feed come on top
+    const arrival = new Date(clock + (minutes * (profile?.factor ?? 1) + (waypoint.conditionDelay || 0)) * 60 * 1000);
+    addPrediction(waypoint, arrival, profile);
+
+    const windowStart = waypoint.timeWindow?.start ? new Date(waypoint.timeWindow.start).getTime() : 0;
+    clock = Math.max(arrival.getTime(), windowStart) + serviceTime(waypoint);
+    position = waypoint.location.coordinates;
+    atStop = true;
+  }
+
+  return predictions;
+};
+
+// Predict a route's ETAs, store them on its waypoints and push delivery
+// ETAs to the orders. Unless forced, routes refreshed within
+// ETA_REFRESH_SECONDS are left alone so frequent location updates stay cheap.
+const updateRouteEtas = async (route, { force = false } = {}) => {
+  const settings = getEtaSettings();
+  const lastUpdate = route.tracking?.etaUpdatedAt;
+  if (!force && lastUpdate && Date.now() - lastUpdate.getTime() < settings.refreshSeconds * 1000) {
+    return null;
+  }
+
+  const [profiles, vehicle] = await Promise.all([
+    loadProfiles(),
+    route.assignedVehicle ? Vehicle.findById(route.assignedVehicle).select('type') : null
+  ]);
+  const predictions = predictRouteEtas(route, { profiles, vehicleType: vehicle?.type, settings });
+
+  predictions.forEach(prediction => {
+    route.waypoints.id(prediction.waypointId).predictedArrival = prediction.predictedArrival;
+  });
+  route.tracking.etaUpdatedAt = new Date();
+  await route.save();
+
+  const deliveries = predictions.filter(prediction => prediction.type === 'delivery' && prediction.relatedOrder);
+  if (deliveries.length > 0) {
+    await Order.bulkWrite(deliveries.map(prediction => ({
+      updateOne: {
+        filter: { _id: prediction.relatedOrder, status: { $nin: ['delivered', 'cancelled', 'returned', 'failed'] } },
+        update: { $set: { 'tracking.estimatedDeliveryTime': prediction.predictedArrival } }
+      }
+    })));
+  }
+
+  return predictions;
+};
+
+// Train now and then every ETA_TRAINING_INTERVAL hours (24 by default, 0 disables it)
+const startEtaTraining = () => {
+  const hours = parseFloat(process.env.ETA_TRAINING_INTERVAL || 24);
+  if (!hours) return null;
+
+  const run = () => trainEtaModel().catch(error => logger.error('ETA model training error:', error));
+  run();
+  return setInterval(run, hours * 60 * 60 * 1000);
+};
+
+module.exports = {
+  STARTED_STATUSES,
+  getTimeBand,
+  getCorridor,
+  trainEtaModel,
+  predictRouteEtas,
+  updateRouteEtas,
+  startEtaTraining
+};
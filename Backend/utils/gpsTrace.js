@@ -0,0 +1,153 @@
+// GPS trace processing
+//
+// Location updates from drivers are noisy: a parked phone drifts by a few
+// metres, and the odd fix jumps kilometres away. Fixes are checked against
+// the last accepted point before they are stored. Accepted points carry the
+// speed since the previous one, and the stored path is thinned with
+// Douglas-Peucker so long routes stay small. Fixes are also compared with
+// the waypoint geofences to record arrivals and departures.
+
+const { calculateDistance } = require('./distanceProvider');
+
+const EARTH_RADIUS_M = 6371000;
+
+// Raw points collected before the newest part of the path is simplified
+const SIMPLIFY_BATCH = 20;
+
+// A vehicle has left a geofence once it is this many radii away, so a fix
+// wobbling on the boundary does not flip the stop back and forth
+const GEOFENCE_EXIT_FACTOR = 1.25;
+
+const getTraceSettings = () => ({
+  jitterDistance: parseFloat(process.env.GPS_JITTER_DISTANCE) || 15, // metres
+  maxSpeed: parseFloat(process.env.GPS_MAX_SPEED) || 180, // km/h
+  maxAccuracy: parseFloat(process.env.GPS_MAX_ACCURACY) || 100, // metres
+  simplifyTolerance: parseFloat(process.env.GPS_SIMPLIFY_TOLERANCE) || 10, // metres
+  geofenceRadius: parseFloat(process.env.GEOFENCE_RADIUS) || 100 // metres
+});
+
+const distanceBetween = (a, b) => calculateDistance(
+  a.coordinates.lat, a.coordinates.lng, b.coordinates.lat, b.coordinates.lng
+);
+
+// Decide whether a fix ({ coordinates, timestamp, accuracy }) extends the
+// trace after the previous accepted point. Returns the distance (km) and
+// speed (km/h) from that point, or the reason the fix was dropped.
+const evaluateFix = (previous, fix, settings = getTraceSettings()) => {
+  const { lat, lng } = fix.coordinates || {};
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || isNaN(new Date(fix.timestamp).getTime())) {
+    return { accepted: false, reason: 'invalid' };
+  }
+  if (fix.accuracy !== undefined && fix.accuracy > settings.maxAccuracy) {
+    return { accepted: false, reason: 'inaccurate' };
+  }
+  if (!previous) {
+    return { accepted: true, distance: 0, speed: 0 };
+  }
+
+  const seconds = (fix.timestamp - previous.timestamp) / 1000;
+  if (seconds <= 0) {
+    return { accepted: false, reason: 'out-of-order' };
+  }
+
+  const distance = distanceBetween(previous, fix);
+  if (distance * 1000 < settings.jitterDistance) {
+    return { accepted: false, reason: 'jitter' };
+  }
+
+  const speed = distance / (seconds / 3600);
+  if (speed > settings.maxSpeed) {
+    return { accepted: false, reason: 'implausible-speed' };
+  }
+
+  return { accepted: true, distance, speed: Math.round(speed * 10) / 10 };
+};
+
+// Distance in metres from a point to the segment a-b, on a local flat
+// projection (fine for the short spans between GPS fixes)
+const distanceToSegment = (point, a, b) => {
+  const scale = Math.cos(a.coordinates.lat * Math.PI / 180);
+  const project = ({ coordinates }) => ({
+    x: (coordinates.lng - a.coordinates.lng) * Math.PI / 180 * EARTH_RADIUS_M * scale,
+    y: (coordinates.lat - a.coordinates.lat) * Math.PI / 180 * EARTH_RADIUS_M
+  });
+  const p = project(point);
+  const end = project(b);
+  const lengthSquared = end.x * end.x + end.y * end.y;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, (p.x * end.x + p.y * end.y) / lengthSquared));
+
+  return Math.hypot(p.x - t * end.x, p.y - t * end.y);
+};
+
+// Douglas-Peucker simplification; the first and last points are always kept
+const simplifyPath = (points, tolerance = getTraceSettings().simplifyTolerance) => {
+  if (points.length <= 2) return [...points];
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let farthest = -1;
+    let farthestDistance = tolerance;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(points[i], points[first], points[last]);
+      if (distance > farthestDistance) {
+        farthest = i;
+        farthestDistance = distance;
+      }
+    }
+
+    if (farthest !== -1) {
+      keep[farthest] = true;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+
+  return points.filter((point, index) => keep[index]);
+};
+
+// Geofence events caused by a fix: arrived stops the vehicle has left, and
+// the nearest pending stop it has entered. A new arrival is only reported
+// once the vehicle is outside every stop it was still at.
+const checkGeofences = (waypoints, fix, settings = getTraceSettings()) => {
+  const distanceTo = waypoint => distanceBetween(waypoint.location, fix) * 1000;
+  const radiusOf = waypoint => waypoint.geofenceRadius || settings.geofenceRadius;
+
+  const present = waypoints.filter(waypoint => waypoint.status === 'arrived');
+  const departed = present.filter(waypoint => distanceTo(waypoint) > radiusOf(waypoint) * GEOFENCE_EXIT_FACTOR);
+
+  let arrived = null;
+  if (departed.length === present.length) {
+    arrived = waypoints
+      .filter(waypoint => waypoint.status === 'pending')
+      .map(waypoint => ({ waypoint, distance: distanceTo(waypoint) }))
+      .filter(({ waypoint, distance }) => distance <= radiusOf(waypoint))
+      .sort((a, b) => a.distance - b.distance)[0]?.waypoint || null;
+  }
+
+  return { departed, arrived };
+};
+
+// Total length of a path in km
+const pathDistance = (points) => {
+  let distance = 0;
+  for (let i = 1; i < points.length; i++) {
+    distance += distanceBetween(points[i - 1], points[i]);
+  }
+  return distance;
+};
+
+module.exports = {
+  SIMPLIFY_BATCH,
+  getTraceSettings,
+  evaluateFix,
+  checkGeofences,
+  simplifyPath,
+  pathDistance
+};
@@ -0,0 +1,92 @@
+// Driver hours-of-service rules
+//
+// Tracks how long a driver has been behind the wheel while a schedule is
+// simulated and says where breaks have to go:
+//   maxContinuousDriving  driving minutes allowed before a break
+//   breakDuration         minutes of a break that resets continuous driving
+//   maxDailyDriving       driving minutes allowed before a daily rest
+//   dailyRestDuration     minutes of rest that reset the daily total
+// Defaults follow the common 4.5 h / 45 min / 9 h / 11 h pattern and can be
+// changed through the environment or per route (constraints.drivingRules).
+
+const DEFAULT_DRIVING_RULES = {
+  maxContinuousDriving: parseInt(process.env.HOS_MAX_CONTINUOUS_DRIVING) || 270,
+  breakDuration: parseInt(process.env.HOS_BREAK_DURATION) || 45,
+  maxDailyDriving: parseInt(process.env.HOS_MAX_DAILY_DRIVING) || 540,
+  dailyRestDuration: parseInt(process.env.HOS_DAILY_REST_DURATION) || 660
+};
+
+// Merge route overrides over the defaults, ignoring unset or invalid values
+const getDrivingRules = (overrides = {}) => {
+  const rules = { ...DEFAULT_DRIVING_RULES };
+  Object.keys(rules).forEach(key => {
+    const value = Number(overrides?.[key]);
+    if (Number.isFinite(value) && value > 0) {
+      rules[key] = value;
+    }
+  });
+  return rules;
+};
+
+// Driver state for one schedule simulation.
+// drive(minutes) returns the breaks needed during that leg, each with the
+// driving minutes into the leg (at) and how long it lasts (duration).
+// rest(minutes) credits time spent stopped, e.g. waiting or service time.
+// getState() returns the minutes driven so far, which can seed another
+// clock to carry on a simulation from that point.
+const createDriverClock = (rules, state = {}) => {
+  let continuous = state.continuous || 0;
+  let daily = state.daily || 0;
+
+  return {
+    drive(minutes) {
+      const breaks = [];
+      let driven = 0;
+
+      while (minutes - driven > 0) {
+        const untilBreak = rules.maxContinuousDriving - continuous;
+        const untilRest = rules.maxDailyDriving - daily;
+        const remaining = minutes - driven;
+        const step = Math.min(untilBreak, untilRest);
+
+        if (remaining <= step) {
+          continuous += remaining;
+          daily += remaining;
+          break;
+        }
+
+        driven += step;
+        if (untilRest <= untilBreak) {
+          breaks.push({ type: 'rest', at: driven, duration: rules.dailyRestDuration });
+          continuous = 0;
+          daily = 0;
+        } else {
+          breaks.push({ type: 'break', at: driven, duration: rules.breakDuration });
+          continuous = 0;
+          daily += step;
+        }
+      }
+
+      return breaks;
+    },
+
+    rest(minutes) {
+      if (minutes >= rules.dailyRestDuration) {
+        continuous = 0;
+        daily = 0;
+      } else if (minutes >= rules.breakDuration) {
+        continuous = 0;
+      }
+    },
+
+    getState() {
+      return { continuous, daily };
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_DRIVING_RULES,
+  getDrivingRules,
+  createDriverClock
+};
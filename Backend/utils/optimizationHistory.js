@@ -0,0 +1,142 @@
+// Optimization run history
+//
+// Every optimize, re-optimize, alternative switch and rollback stores the
+// plan it produced as an OptimizationRun. These helpers build the snapshot
+// figures for a run and compare two runs: metric changes, stops that moved,
+// were added or were removed, and the arrival times that shifted. Stops the
+// planner inserted itself (breaks, fuel stops) get new ids on every run, so
+// they are left out of the sequence comparison.
+
+const { isGeneratedStop } = require('./routeOptimizer');
+
+// What produced the plan of each kind of run
+const OPTIMIZATION_ALGORITHMS = {
+  optimize: 'nearest-neighbour + 2-opt + or-opt',
+  reoptimize: 'nearest-neighbour + 2-opt + or-opt (remaining stops)',
+  alternative: 'stored alternative',
+  rollback: 'restored run'
+};
+
+const PLAN_METRICS = [
+  'totalDistance',
+  'estimatedDuration',
+  'estimatedFuelCost',
+  'totalCost',
+  'totalWaiting',
+  'totalLateness',
+  'totalBreaks',
+  'timeWindowViolations'
+];
+
+// Summary figures of the plan a route currently holds. schedule is the
+// optimizer's schedule summary when the run produced one.
+const summarizePlan = (route, schedule) => {
+  const late = route.waypoints.filter(waypoint => waypoint.timeWindowStatus === 'late');
+  return {
+    totalDistance: route.optimization?.totalDistance,
+    estimatedDuration: route.optimization?.estimatedDuration,
+    estimatedFuelCost: route.optimization?.estimatedFuelCost,
+    totalCost: route.costs?.total,
+    currency: route.costs?.currency,
+    totalWaiting: schedule?.totalWaiting,
+    totalLateness: schedule?.totalLateness ?? late.reduce((sum, waypoint) => sum + (waypoint.lateBy || 0), 0),
+    totalBreaks: schedule?.totalBreaks,
+    timeWindowViolations: late.length
+  };
+};
+
+// Plain copies of a route's waypoints, in visiting order
+const snapshotWaypoints = (waypoints) => [...waypoints]
+  .sort((a, b) => a.order - b.order)
+  .map(waypoint => (typeof waypoint.toObject === 'function' ? waypoint.toObject() : { ...waypoint }));
+
+// Ids of the stops a plan visits, generated stops excluded
+const getStopIds = (waypoints) => waypoints
+  .filter(waypoint => !isGeneratedStop(waypoint))
+  .map(waypoint => waypoint._id.toString());
+
+const describeStop = waypoint => waypoint.location?.name || waypoint.location?.address || `Stop ${waypoint.order}`;
+
+const minutesBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / (1000 * 60));
+
+// Compare two runs of the same route
+const diffRuns = (from, to) => {
+  const metrics = PLAN_METRICS.reduce((acc, key) => {
+    const before = from.metrics?.[key];
+    const after = to.metrics?.[key];
+    acc[key] = {
+      from: before,
+      to: after,
+      delta: typeof before === 'number' && typeof after === 'number' ? after - before : undefined
+    };
+    return acc;
+  }, {});
+
+  const stops = (run) => run.outputWaypoints.filter(waypoint => !isGeneratedStop(waypoint));
+  const fromStops = stops(from);
+  const toStops = stops(to);
+  const fromPositions = new Map(fromStops.map((waypoint, index) => [waypoint._id.toString(), index + 1]));
+  const toPositions = new Map(toStops.map((waypoint, index) => [waypoint._id.toString(), index + 1]));
+
+  const moved = [];
+  const etas = [];
+  toStops.forEach(waypoint => {
+    const id = waypoint._id.toString();
+    if (!fromPositions.has(id)) return;
+
+    const before = fromStops[fromPositions.get(id) - 1];
+    if (fromPositions.get(id) !== toPositions.get(id)) {
+      moved.push({
+        waypointId: waypoint._id,
+        name: describeStop(waypoint),
+        fromPosition: fromPositions.get(id),
+        toPosition: toPositions.get(id)
+      });
+    }
+
+    if (before.estimatedArrival && waypoint.estimatedArrival) {
+      const change = minutesBetween(before.estimatedArrival, waypoint.estimatedArrival);
+      if (change !== 0) {
+        etas.push({
+          waypointId: waypoint._id,
+          name: describeStop(waypoint),
+          from: before.estimatedArrival,
+          to: waypoint.estimatedArrival,
+          changeMinutes: change
+        });
+      }
+    }
+  });
+
+  const added = toStops
+    .filter(waypoint => !fromPositions.has(waypoint._id.toString()))
+    .map(waypoint => ({ waypointId: waypoint._id, name: describeStop(waypoint), position: toPositions.get(waypoint._id.toString()) }));
+  const removed = fromStops
+    .filter(waypoint => !toPositions.has(waypoint._id.toString()))
+    .map(waypoint => ({ waypointId: waypoint._id, name: describeStop(waypoint), position: fromPositions.get(waypoint._id.toString()) }));
+
+  const generatedStops = (run) => run.outputWaypoints.filter(isGeneratedStop).length;
+
+  return {
+    from: { version: from.version, trigger: from.trigger, createdAt: from.createdAt },
+    to: { version: to.version, trigger: to.trigger, createdAt: to.createdAt },
+    metrics,
+    sequence: {
+      changed: moved.length > 0 || added.length > 0 || removed.length > 0,
+      moved,
+      added,
+      removed
+    },
+    generatedStops: { from: generatedStops(from), to: generatedStops(to) },
+    etas
+  };
+};
+
+module.exports = {
+  OPTIMIZATION_ALGORITHMS,
+  PLAN_METRICS,
+  summarizePlan,
+  snapshotWaypoints,
+  getStopIds,
+  diffRuns
+};
@@ -0,0 +1,138 @@
+// Order status transitions
+//
+// The statuses an order may move to from each status, and who may move it:
+//   admin, fleet-manager       any transition in the graph
+//   driver                     orders assigned to them, along
+//                              picked-up -> in-transit -> out-for-delivery
+//                              -> delivered, or to failed on the way
+//   producer/wholesaler/retailer  cancel their own orders
+// Repeating the current status is not a transition; it records another
+// status update (a new location or note) when the user may set that status,
+// except for the final statuses delivered, cancelled and returned.
+// An order only becomes delivered once its required proof is attached.
+
+const { getMissingProof } = require('./proofOfDelivery');
+
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'assigned', 'cancelled'],
+  confirmed: ['processing', 'assigned', 'cancelled'],
+  processing: ['assigned', 'cancelled'],
+  assigned: ['picked-up', 'confirmed', 'cancelled'],
+  'picked-up': ['in-transit', 'failed'],
+  'in-transit': ['out-for-delivery', 'failed'],
+  'out-for-delivery': ['delivered', 'failed'],
+  delivered: ['returned'],
+  failed: ['assigned', 'returned', 'cancelled'],
+  returned: [],
+  cancelled: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Statuses that close an order; repeating one would overwrite when it
+// happened, so it is refused like any other invalid transition
+const FINAL_STATUSES = ['delivered', 'cancelled', 'returned'];
+
+// Statuses each role may set; roles not listed may set every status
+const ROLE_STATUSES = {
+  driver: ['picked-up', 'in-transit', 'out-for-delivery', 'delivered', 'failed'],
+  producer: ['cancelled'],
+  wholesaler: ['cancelled'],
+  retailer: ['cancelled']
+};
+
+const idOf = value => (value?._id || value)?.toString();
+
+// Whether the user is allowed to change this order's status at all
+const canChangeStatus = (order, user) => {
+  if (!user || ['admin', 'fleet-manager'].includes(user.role)) return true;
+  if (user.role === 'driver') return idOf(order.assignedDriver) === idOf(user._id);
+  return idOf(order.customer) === idOf(user._id);
+};
+
+// Statuses the order may move to next, for a user when one is given
+const getAllowedTransitions = (order, user) => {
+  const next = ORDER_TRANSITIONS[order.status] || [];
+  if (!user) return next;
+  if (!canChangeStatus(order, user)) return [];
+
+  const permitted = ROLE_STATUSES[user.role];
+  return permitted ? next.filter(status => permitted.includes(status)) : next;
+};
+
+// Check a status change. Returns null when it is allowed, otherwise
+// { statusCode, message, allowed } with the statuses the user could choose
+// (and `missing` proof when delivery is blocked on it).
+// Without a user only the transition graph is checked.
+const checkStatusTransition = (order, status, user) => {
+  if (!ORDER_STATUSES.includes(status)) {
+    return {
+      statusCode: 400,
+      message: `Invalid status. Must be one of: ${ORDER_STATUSES.join(', ')}`
+    };
+  }
+
+  if (user && !canChangeStatus(order, user)) {
+    return {
+      statusCode: 403,
+      message: user.role === 'driver'
+        ? 'Drivers may only update orders assigned to them'
+        : 'Not authorized to update this order status'
+    };
+  }
+
+  const allowed = getAllowedTransitions(order, user);
+  const permitted = user && ROLE_STATUSES[user.role];
+
+  if (permitted && !permitted.includes(status)) {
+    return {
+      statusCode: 403,
+      message: `A ${user.role} may only set the status to: ${permitted.join(', ')}`,
+      allowed
+    };
+  }
+
+  if (status === order.status) {
+    return FINAL_STATUSES.includes(status)
+      ? { statusCode: 409, message: `Order is already ${status}`, allowed }
+      : null;
+  }
+
+  if (allowed.includes(status)) {
+    const missing = status === 'delivered' ? getMissingProof(order) : [];
+    return missing.length === 0 ? null : {
+      statusCode: 409,
+      message: `Proof of delivery is missing: ${missing.join(', ')}`,
+      allowed,
+      missing
+    };
+  }
+
+  return {
+    statusCode: 409,
+    message: `Order cannot move from ${order.status} to ${status}`,
+    allowed
+  };
+};
+
+// Throw on a change outside the transition graph, for model methods
+const assertStatusTransition = (order, status) => {
+  const problem = checkStatusTransition(order, status);
+  if (problem) {
+    const error = new Error(problem.message);
+    error.statusCode = problem.statusCode;
+    error.allowed = problem.allowed;
+    error.missing = problem.missing;
+    throw error;
+  }
+};
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  ORDER_STATUSES,
+  FINAL_STATUSES,
+  ROLE_STATUSES,
+  getAllowedTransitions,
+  checkStatusTransition,
+  assertStatusTransition
+};
@@ -0,0 +1,220 @@
+// Delivery pricing engine
+//
+// Builds the fields of Order.pricing from the order itself:
+//   basePrice          booking fee + distance x per-km rate + chargeable
+//                      weight x per-kg rate, at least the region's minimum
+//   additionalCharges  order type, special handling and priority surcharges
+//   discounts          the same adjustments where they are negative
+//   taxes              on the base price after charges and discounts
+// Round trips are charged for the distance both ways. Rates come from
+// config/pricingRates.js and are in the region's currency; a quote asked for
+// in another currency is converted at the current exchange rate.
+
+const {
+  PRICING_DEFAULTS,
+  PRICING_RATES,
+  DEFAULT_PRICING_REGION
+} = require('../config/pricingRates');
+const { getDistanceProvider, getDistanceMatrix } = require('./distanceProvider');
+const { getExchangeRate } = require('./currency');
+
+const round = (value) => Math.round(value * 100) / 100;
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// Rate table for a region: defaults, then its country, then the subdivision
+const mergeRates = (...tables) => tables.reduce((merged, table) => ({
+  ...merged,
+  ...table,
+  types: { ...merged.types, ...table.types },
+  handling: { ...merged.handling, ...table.handling },
+  priority: { ...merged.priority, ...table.priority }
+}), {});
+
+// Rates for a region (country or subdivision code), DEFAULT_PRICING_REGION
+// when none is given, or null for a region without rates
+const getPricingRates = (region) => {
+  const code = (region || DEFAULT_PRICING_REGION).toUpperCase();
+  const country = code.split('-')[0];
+
+  if (!PRICING_RATES[country]) return null;
+
+  const subdivision = code !== country && PRICING_RATES[code] ? code : null;
+  return {
+    region: subdivision || country,
+    ...mergeRates(PRICING_DEFAULTS, PRICING_RATES[country], subdivision ? PRICING_RATES[code] : {})
+  };
+};
+
+// Cargo weight (kg) and volume (m³), from the totals or summed over the items
+const getCargoTotals = (cargo = {}) => {
+  const items = cargo.items || [];
+  const sum = field => items.reduce((total, item) => total + ((item[field] || 0) * (item.quantity || 1)), 0);
+
+  return {
+    weight: cargo.totalWeight ?? sum('weight'),
+    volume: cargo.totalVolume ?? sum('volume')
+  };
+};
+
+// Price an order in its region's currency. Returns { error } for a region
+// without rates.
+// options: distance (km), cargo, type, priority, region
+const calculateQuote = (options = {}) => {
+  const { distance = 0, cargo = {}, type, priority = 'medium' } = options;
+  const rates = getPricingRates(options.region);
+  if (!rates) {
+    return { error: `No pricing rates for region ${options.region}` };
+  }
+
+  const tripDistance = type === 'round-trip' ? distance * 2 : distance;
+  const { weight, volume } = getCargoTotals(cargo);
+  const chargeableWeight = Math.max(weight, volume * rates.volumetricWeight);
+
+  const basePrice = round(Math.max(
+    rates.minimum || 0,
+    rates.base + tripDistance * rates.perKm + chargeableWeight * rates.perKg
+  ));
+
+  // Percentage adjustments: order type, then handling the items need (not
+  // charged twice when the order type already covers it), then priority
+  const adjustments = [];
+  if (rates.types[type]) {
+    adjustments.push({ name: `${capitalize(type)} order`, percentage: rates.types[type] });
+  }
+  Object.keys(rates.handling)
+    .filter(flag => flag !== type && (cargo.items || []).some(item => item.specialHandling?.[flag]))
+    .forEach(flag => adjustments.push({ name: `${capitalize(flag)} handling`, percentage: rates.handling[flag] }));
+  if (rates.priority[priority]) {
+    adjustments.push({ name: `${capitalize(priority)} priority`, percentage: rates.priority[priority] });
+  }
+
+  const additionalCharges = adjustments
+    .filter(adjustment => adjustment.percentage > 0)
+    .map(adjustment => ({
+      name: adjustment.name,
+      amount: round(basePrice * adjustment.percentage / 100),
+      description: `${adjustment.percentage}% of the base price`
+    }));
+  const discounts = adjustments
+    .filter(adjustment => adjustment.percentage < 0)
+    .map(adjustment => ({
+      name: adjustment.name,
+      amount: round(basePrice * -adjustment.percentage / 100),
+      percentage: -adjustment.percentage
+    }));
+
+  const subtotal = round(
+    basePrice +
+    additionalCharges.reduce((total, charge) => total + charge.amount, 0) -
+    discounts.reduce((total, discount) => total + discount.amount, 0)
+  );
+  const taxes = (rates.taxes || []).map(tax => ({
+    name: tax.name,
+    rate: tax.rate,
+    amount: round(subtotal * tax.rate / 100)
+  }));
+
+  return {
+    pricing: {
+      basePrice,
+      additionalCharges,
+      discounts,
+      taxes,
+      totalAmount: round(subtotal + taxes.reduce((total, tax) => total + tax.amount, 0)),
+      currency: rates.currency,
+      region: rates.region
+    },
+    breakdown: {
+      distance: round(tripDistance),
+      weight: round(weight),
+      volume: round(volume),
+      chargeableWeight: round(chargeableWeight),
+      subtotal,
+      rates: {
+        base: rates.base,
+        perKm: rates.perKm,
+        perKg: rates.perKg,
+        minimum: rates.minimum
+      }
+    }
+  };
+};
+
+// Convert a quote's amounts to another currency at a rate; the total is
+// summed again from the converted parts
+const convertQuote = (quote, currency, rate) => {
+  const { pricing } = quote;
+  const convert = (amount) => round(amount * rate);
+  const basePrice = convert(pricing.basePrice);
+  const additionalCharges = pricing.additionalCharges.map(charge => ({ ...charge, amount: convert(charge.amount) }));
+  const discounts = pricing.discounts.map(discount => ({ ...discount, amount: convert(discount.amount) }));
+  const taxes = pricing.taxes.map(tax => ({ ...tax, amount: convert(tax.amount) }));
+  const sum = items => items.reduce((total, item) => total + item.amount, 0);
+
+  return {
+    pricing: {
+      ...pricing,
+      basePrice,
+      additionalCharges,
+      discounts,
+      taxes,
+      totalAmount: round(basePrice + sum(additionalCharges) - sum(discounts) + sum(taxes)),
+      currency
+    },
+    breakdown: {
+      ...quote.breakdown,
+      exchangeRate: { from: pricing.currency, to: currency, rate }
+    }
+  };
+};
+
+const toPoint = coordinates => ({ lat: Number(coordinates?.lat), lng: Number(coordinates?.lng) });
+const isCoordinate = point => Number.isFinite(point.lat) && Number.isFinite(point.lng);
+
+// Price an order body (or document) using the distance provider for the
+// pickup to delivery distance. Returns { error } when it cannot be priced.
+const quoteOrder = async (order = {}) => {
+  const from = toPoint(order.pickup?.location?.coordinates);
+  const to = toPoint(order.delivery?.location?.coordinates);
+  if (!isCoordinate(from) || !isCoordinate(to)) {
+    return { error: 'Pickup and delivery coordinates are required' };
+  }
+
+  const { weight, volume } = getCargoTotals(order.cargo);
+  if (!(weight > 0) && !(volume > 0)) {
+    return { error: 'Cargo weight or volume is required' };
+  }
+
+  const provider = getDistanceProvider();
+  const { distances } = await getDistanceMatrix([from, to], provider);
+
+  let quote = calculateQuote({
+    distance: distances[0][1],
+    cargo: order.cargo,
+    type: order.type,
+    priority: order.priority,
+    region: order.pricing?.region || order.region
+  });
+  if (quote.error) return quote;
+
+  // The region's rates stay in force; only the amounts are converted
+  const currency = (order.pricing?.currency || order.currency || '').toUpperCase();
+  if (currency && currency !== quote.pricing.currency) {
+    const rate = await getExchangeRate(quote.pricing.currency, currency);
+    if (rate === null) {
+      return { error: `No exchange rate from ${quote.pricing.currency} to ${currency} to price region ${quote.pricing.region} in ${currency}` };
+    }
+    quote = convertQuote(quote, currency, rate);
+  }
+  quote.breakdown.distanceProvider = provider.name;
+
+  return quote;
+};
+
+module.exports = {
+  getPricingRates,
+  getCargoTotals,
+  calculateQuote,
+  convertQuote,
+  quoteOrder
+};
@@ -0,0 +1,116 @@
+// Proof of pickup and delivery
+//
+// What an order must carry before it can be marked delivered, from its
+// serviceRequirements:
+//   photo           (photoRequired) at least one delivery photo
+//   signature       (signatureRequired) the recipient's signature image
+//   identification  (identificationRequired or ageVerification) the
+//                   recipient's ID type and number; an ID photo is optional
+// Pickup proof is recorded the same way but never required.
+// Proof files are stored privately by file name and only served through
+// GET /api/orders/:id/pod/files/:file, after the same access check as the
+// summary.
+
+const ID_TYPES = ['national-id', 'passport', 'driving-licence', 'other'];
+
+// Evidence the order's service requirements call for at delivery
+const getProofRequirements = (order) => {
+  const requirements = order.serviceRequirements || {};
+  return {
+    photo: requirements.photoRequired !== false,
+    signature: requirements.signatureRequired !== false,
+    identification: Boolean(requirements.identificationRequired || requirements.ageVerification)
+  };
+};
+
+// Required delivery evidence not attached yet
+const getMissingProof = (order) => {
+  const required = getProofRequirements(order);
+  const delivery = order.delivery || {};
+  const id = delivery.recipient?.identification;
+
+  const attached = {
+    photo: (delivery.photos || []).length > 0,
+    signature: Boolean(delivery.signature),
+    identification: Boolean(id?.type && id?.number)
+  };
+
+  return Object.keys(required).filter(proof => required[proof] && !attached[proof]);
+};
+
+// Keep only the last four characters of an ID number
+const maskIdNumber = (number) => {
+  const value = String(number).replace(/\s/g, '');
+  return value.length > 4 ? `${'*'.repeat(value.length - 4)}${value.slice(-4)}` : value;
+};
+
+// Every proof file recorded on the order
+const getProofFiles = (order) => [
+  ...(order.pickup?.photos || []),
+  order.pickup?.signature,
+  ...(order.delivery?.photos || []),
+  order.delivery?.signature,
+  order.delivery?.recipient?.identification?.photo
+].filter(Boolean);
+
+// URL a stored proof file is served from
+const proofFileUrl = (order, file) => (file ? `/api/orders/${order._id}/pod/files/${file}` : null);
+
+// What was captured at pickup and delivery, for the customer
+const summarizeProof = (order) => {
+  const proofOf = (stop) => ({
+    photos: (stop.photos || []).map(file => proofFileUrl(order, file)),
+    signature: proofFileUrl(order, stop.signature),
+    capturedBy: stop.completedBy || null,
+    capturedAt: stop.proofCapturedAt || null,
+    notes: stop.notes || null
+  });
+
+  const missing = getMissingProof(order);
+  const recipient = order.delivery?.recipient;
+  const identification = recipient?.identification;
+
+  return {
+    orderNumber: order.orderNumber,
+    status: order.status,
+    requirements: getProofRequirements(order),
+    missing,
+    complete: missing.length === 0,
+    pickup: {
+      ...proofOf(order.pickup || {}),
+      pickedUpAt: order.pickup?.actualTime || null
+    },
+    delivery: {
+      ...proofOf(order.delivery || {}),
+      recipient: recipient?.name || identification?.type || identification?.photo
+        ? {
+          name: recipient.name || null,
+          identification: {
+            type: identification?.type || null,
+            number: identification?.number || null,
+            photo: proofFileUrl(order, identification?.photo)
+          }
+        }
+        : null,
+      deliveredAt: order.tracking?.actualDeliveryTime || order.delivery?.actualTime || null,
+      // How the recipient confirmed delivery: their one-time code, or an
+      // admin override
+      confirmation: order.delivery?.verification?.verifiedAt
+        ? {
+          method: order.delivery.verification.method,
+          verifiedAt: order.delivery.verification.verifiedAt,
+          verifiedBy: order.delivery.verification.verifiedBy
+        }
+        : null
+    }
+  };
+};
+
+module.exports = {
+  ID_TYPES,
+  getProofRequirements,
+  getMissingProof,
+  maskIdNumber,
+  getProofFiles,
+  summarizeProof
+};
@@ -0,0 +1,170 @@
+// Recurrence rules for route templates
+//
+// A rule is one of:
+//   { type: 'daily' }                          every day
+//   { type: 'weekdays' }                       Monday to Friday
+//   { type: 'weekly', daysOfWeek: [1, 3] }     given days (0 = Sunday)
+//   { type: 'cron', expression: '30 6 * * 1-5' }
+// Cron expressions use the usual five fields (minute hour day-of-month month
+// day-of-week) with *, lists, ranges and steps. The minute and hour fields
+// set the start time; the other three decide which days a route runs.
+// Dates are handled as calendar days ('YYYY-MM-DD') in the template's time zone.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Expand one cron field into the set of values it allows
+const parseCronField = (field, { name, min, max }) => {
+  const values = new Set();
+
+  field.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText);
+    let start = min;
+    let end = max;
+
+    if (range !== '*') {
+      [start, end] = range.split('-').map(value => parseInt(value));
+      if (end === undefined) end = stepText === undefined ? start : max;
+    }
+
+    if ([start, end, step].some(isNaN) || start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name} field: ${field}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  });
+
+  return values;
+};
+
+// Parse a five-field cron expression
+const parseCron = (expression) => {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Cron expression must have five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const parsed = {};
+  CRON_FIELDS.forEach((definition, index) => {
+    parsed[definition.name] = parseCronField(fields[index], definition);
+  });
+  parsed.restrictsDayOfMonth = fields[2] !== '*';
+  parsed.restrictsDayOfWeek = fields[4] !== '*';
+  return parsed;
+};
+
+// Start time ('HH:mm') given by a cron expression, when it names exactly one
+const getCronStartTime = (expression) => {
+  const { minute, hour } = parseCron(expression);
+  if (minute.size !== 1 || hour.size !== 1) return null;
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad([...hour][0])}:${pad([...minute][0])}`;
+};
+
+// Calendar parts of a 'YYYY-MM-DD' day
+const dayParts = (day) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  return {
+    dayOfMonth: date.getUTCDate(),
+    month: date.getUTCMonth() + 1,
+    dayOfWeek: date.getUTCDay()
+  };
+};
+
+// Whether a rule runs on the given day
+const occursOn = (rule, day) => {
+  const { dayOfMonth, month, dayOfWeek } = dayParts(day);
+
+  switch (rule.type) {
+    case 'daily':
+      return true;
+    case 'weekdays':
+      return dayOfWeek >= 1 && dayOfWeek <= 5;
+    case 'weekly':
+      return (rule.daysOfWeek || []).includes(dayOfWeek);
+    case 'cron': {
+      const cron = parseCron(rule.expression);
+      if (!cron.month.has(month)) return false;
+
+      // Like cron, a restricted day-of-month OR day-of-week matches
+      const domMatch = cron.dayOfMonth.has(dayOfMonth);
+      const dowMatch = cron.dayOfWeek.has(dayOfWeek);
+      if (cron.restrictsDayOfMonth && cron.restrictsDayOfWeek) return domMatch || dowMatch;
+      return domMatch && dowMatch;
+    }
+    default:
+      return false;
+  }
+};
+
+// Calendar day ('YYYY-MM-DD') of an instant in a time zone
+const toDay = (date, timeZone = 'UTC') => {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(new Date(date));
+};
+
+// Offset (ms) of a time zone from UTC at an instant
+const zoneOffset = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(new Date(instant)).reduce((acc, part) => ({ ...acc, [part.type]: parseInt(part.value) }), {});
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - instant;
+};
+
+// Instant of a wall-clock time ('HH:mm') on a day in a time zone
+const zonedTime = (day, time, timeZone = 'UTC') => {
+  const [year, month, date] = day.split('-').map(value => parseInt(value));
+  const [hours, minutes] = time.split(':').map(value => parseInt(value));
+  const asUtc = Date.UTC(year, month - 1, date, hours, minutes);
+
+  // The offset at the UTC guess is wrong when a DST change falls between
+  // the guess and the answer, so take the offset again at the first result.
+  // A time skipped by the change keeps the first result.
+  const first = asUtc - zoneOffset(asUtc, timeZone);
+  const offset = zoneOffset(first, timeZone);
+  const second = asUtc - offset;
+  return new Date(zoneOffset(second, timeZone) === offset ? second : first);
+};
+
+// Days from 'from' to 'to' (inclusive) on which the rule runs, leaving out
+// the skipped days
+const getOccurrences = (rule, from, to, skippedDays = []) => {
+  const skipped = new Set(skippedDays);
+  const days = [];
+  for (let time = new Date(`${from}T00:00:00Z`).getTime(); time <= new Date(`${to}T00:00:00Z`).getTime(); time += DAY_MS) {
+    const day = new Date(time).toISOString().slice(0, 10);
+    if (!skipped.has(day) && occursOn(rule, day)) {
+      days.push(day);
+    }
+  }
+  return days;
+};
+
+module.exports = {
+  parseCron,
+  getCronStartTime,
+  occursOn,
+  toDay,
+  zonedTime,
+  getOccurrences
+};
@@ -0,0 +1,110 @@
+// Fuel and charging stop planning
+//
+// Walks a stop sequence with the vehicle's remaining range. Whenever the next
+// leg would eat into the reserve, the vehicle detours to the catalogued
+// station (FuelStation) that adds the least distance while still reaching the
+// next stop on a full tank or charge. Legs longer than a full range chain
+// several stations, always moving closer to the next stop.
+
+const FuelStation = require('../models/FuelStation');
+const { calculateDistance } = require('./distanceProvider');
+
+const DEFAULT_REFUEL_TIME = 15; // minutes at a fuel station
+const DEFAULT_CHARGE_TIME = 45; // minutes at a charging point
+const DEFAULT_RESERVE_SHARE = 0.1; // share of the full range kept in hand
+
+const distanceBetween = (a, b) => calculateDistance(a.lat, a.lng, b.lat, b.lng);
+
+const stationPoint = (station) => ({
+  lat: station.location.coordinates.lat,
+  lng: station.location.coordinates.lng
+});
+
+// Fuel the vehicle's stations have to sell (hybrids run on petrol)
+const stationFuelType = (vehicle) => (vehicle.fuelType === 'hybrid' ? 'petrol' : vehicle.fuelType);
+
+// Refuelling options for a vehicle, or null when it has no recorded range
+const getRefuelOptions = (vehicle, stations = []) => {
+  const maxDistance = vehicle?.range?.maxDistance;
+  if (!maxDistance) return null;
+
+  const fuelType = stationFuelType(vehicle);
+  return {
+    maxDistance,
+    startDistance: maxDistance * (vehicle.range.currentLevel ?? 100) / 100,
+    reserve: vehicle.range.reserve ?? maxDistance * DEFAULT_RESERVE_SHARE,
+    stopDuration: fuelType === 'electric' ? DEFAULT_CHARGE_TIME : DEFAULT_REFUEL_TIME,
+    fuelType,
+    stations: stations.filter(station => station.isActive !== false && station.fuelTypes?.includes(fuelType))
+  };
+};
+
+// Load the stations around the given points and build the refuelling
+// options for a vehicle
+const findRefuelOptions = async (vehicle, points) => {
+  if (!vehicle?.range?.maxDistance) return null;
+
+  const stations = await FuelStation.findNearPoints(points, stationFuelType(vehicle), vehicle.range.maxDistance / 2);
+  return getRefuelOptions(vehicle, stations);
+};
+
+// Plan refuelling along points visited in order. legDistances[i] is the
+// distance from points[i] to points[i + 1]. Returns the stations to visit,
+// each with the index of the point it comes before, and the first stop the
+// vehicle cannot reach (if any).
+const planFuelStops = (points, legDistances, refuel) => {
+  const { maxDistance, reserve, stations } = refuel;
+  const usable = maxDistance - reserve;
+  const stops = [];
+  let remaining = refuel.startDistance - reserve;
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const target = points[i + 1];
+    let from = points[i];
+    let leg = legDistances[i];
+    const visited = new Set();
+
+    while (leg > remaining) {
+      const reachable = stations.filter(station => (
+        !visited.has(station) && distanceBetween(from, stationPoint(station)) <= remaining
+      ));
+
+      // Prefer the smallest detour that then reaches the stop; otherwise
+      // hop to the station that gets closest to it
+      let best = null;
+      reachable.forEach(station => {
+        const point = stationPoint(station);
+        const onward = distanceBetween(point, target);
+        const detour = distanceBetween(from, point) + onward;
+        if (onward <= usable && (!best || !best.finishes || detour < best.score)) {
+          best = { station, finishes: true, score: detour };
+        } else if (!best?.finishes && onward < distanceBetween(from, target) && (!best || onward < best.score)) {
+          best = { station, finishes: false, score: onward };
+        }
+      });
+
+      if (!best) {
+        return { stops, unreachable: { before: i + 1, shortfall: leg - remaining } };
+      }
+
+      stops.push({ before: i + 1, station: best.station });
+      visited.add(best.station);
+      from = stationPoint(best.station);
+      leg = distanceBetween(from, target);
+      remaining = usable;
+    }
+
+    remaining -= leg;
+  }
+
+  return { stops, unreachable: null };
+};
+
+module.exports = {
+  DEFAULT_REFUEL_TIME,
+  DEFAULT_CHARGE_TIME,
+  stationFuelType,
+  getRefuelOptions,
+  findRefuelOptions,
+  planFuelStops
+};
@@ -0,0 +1,292 @@
+// Route constraints: vehicle fit and road restrictions
+//
+// A route's constraints name the vehicle it needs (vehicleType, maxWeight,
+// maxVolume) and the roads to keep off (avoidTolls, avoidHighways).
+// Assigning a vehicle is checked against the first group. For routing, toll
+// roads, highways and restricted zones are stored as RoadRestriction
+// documents: a leg through an avoided road or through a zone closed to the
+// vehicle is charged a detour, and a stop inside such a zone cannot be
+// served. Routing engines that exclude tolls and motorways themselves
+// (provider.avoid) are trusted for those, so only zones are added on top.
+
+const Order = require('../models/Order');
+const Vehicle = require('../models/Vehicle');
+const RoadRestriction = require('../models/RoadRestriction');
+const { calculateDistance } = require('./distanceProvider');
+
+const SAMPLE_SPACING_KM = 0.5;
+const MAX_SAMPLES = 60;
+// Extra km charged per km of a leg inside a restriction: leaving a toll
+// road or highway means longer, slower roads, and a closed zone has to be
+// driven round
+const DETOUR_FACTORS = {
+  'toll-road': 0.3,
+  highway: 0.4,
+  'restricted-zone': 2
+};
+// Road classes a routing engine can be asked to exclude
+const NATIVE_AVOID = { 'toll-road': 'toll', highway: 'motorway' };
+
+const METERS_PER_DEGREE = 111320;
+
+// What is known about the vehicle doing a route: the assigned vehicle, or
+// the route's own requirements while none is assigned
+const getVehicleProfile = (constraints = {}, vehicle) => ({
+  type: vehicle?.type || constraints.vehicleType,
+  weight: vehicle?.capacity?.weight ?? constraints.maxWeight,
+  volume: vehicle?.capacity?.volume ?? constraints.maxVolume
+});
+
+// Total cargo of the given orders (ids or documents)
+const getRouteLoad = async (orders = []) => {
+  const ids = orders.map(order => order._id || order);
+  if (ids.length === 0) return { weight: 0, volume: 0 };
+
+  const docs = await Order.find({ _id: { $in: ids } }).select('cargo.totalWeight cargo.totalVolume');
+  return docs.reduce((load, order) => ({
+    weight: load.weight + (order.cargo?.totalWeight || 0),
+    volume: load.volume + (order.cargo?.totalVolume || 0)
+  }), { weight: 0, volume: 0 });
+};
+
+// Ways a vehicle breaks a route's constraints or cannot carry its load;
+// returns a message and the violations, or null when the vehicle fits
+const checkVehicleConstraints = (vehicle, constraints = {}, load = {}) => {
+  const violations = [];
+  const capacity = vehicle.capacity || {};
+  const name = vehicle.registrationNumber || 'The vehicle';
+
+  if (constraints.vehicleType && vehicle.type !== constraints.vehicleType) {
+    violations.push({
+      constraint: 'vehicleType',
+      required: constraints.vehicleType,
+      actual: vehicle.type,
+      message: `the route needs a ${constraints.vehicleType} and ${name} is a ${vehicle.type}`
+    });
+  }
+
+  const weight = Math.max(constraints.maxWeight || 0, load.weight || 0);
+  if (capacity.weight !== undefined && weight > capacity.weight) {
+    violations.push({
+      constraint: 'maxWeight',
+      required: weight,
+      actual: capacity.weight,
+      message: `the route carries up to ${weight} kg and ${name} takes ${capacity.weight} kg`
+    });
+  }
+
+  const volume = Math.max(constraints.maxVolume || 0, load.volume || 0);
+  if (capacity.volume !== undefined && volume > capacity.volume) {
+    violations.push({
+      constraint: 'maxVolume',
+      required: volume,
+      actual: capacity.volume,
+      message: `the route carries up to ${volume} m3 and ${name} takes ${capacity.volume} m3`
+    });
+  }
+
+  if (violations.length === 0) return null;
+  return {
+    message: `Vehicle does not meet the route constraints: ${violations.map(violation => violation.message).join('; ')}`,
+    violations
+  };
+};
+
+// Check a prospective vehicle assignment (vehicle id) against route
+// constraints and the cargo of its orders; null when it fits or no vehicle
+// is given
+const checkVehicleAssignment = async ({ vehicle, constraints, orders }) => {
+  if (!vehicle) return null;
+
+  const doc = await Vehicle.findById(vehicle).select('registrationNumber type capacity');
+  if (!doc) return null;
+
+  return checkVehicleConstraints(doc, constraints || {}, await getRouteLoad(orders));
+};
+
+// Flat x/y metres around a reference latitude; accurate enough at the
+// scale of a road segment or a city zone
+const project = (point, refLat) => ({
+  x: point.lng * METERS_PER_DEGREE * Math.cos(refLat * Math.PI / 180),
+  y: point.lat * METERS_PER_DEGREE
+});
+
+const distanceToSegment = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+// Shortest distance (m) from a point to a line through the given points
+const distanceToPath = (point, path) => {
+  const p = project(point, point.lat);
+  if (path.length === 1) {
+    const q = project(path[0], point.lat);
+    return Math.hypot(p.x - q.x, p.y - q.y);
+  }
+
+  let best = Infinity;
+  for (let i = 0; i < path.length - 1; i++) {
+    best = Math.min(best, distanceToSegment(p, project(path[i], point.lat), project(path[i + 1], point.lat)));
+  }
+  return best;
+};
+
+// Whether a point lies inside a zone or within a road segment's width
+const isInsideRestriction = (point, restriction) => {
+  const path = restriction.path;
+  if (restriction.type === 'restricted-zone') {
+    let inside = false;
+    for (let i = 0, j = path.length - 1; i < path.length; j = i++) {
+      const crosses = (path[i].lat > point.lat) !== (path[j].lat > point.lat) &&
+        point.lng < ((path[j].lng - path[i].lng) * (point.lat - path[i].lat)) / (path[j].lat - path[i].lat) + path[i].lng;
+      if (crosses) inside = !inside;
+    }
+    return inside;
+  }
+
+  return distanceToPath(point, path) <= restriction.width;
+};
+
+// Whether a straight leg can come near a restriction at all
+const overlapsBounds = (from, to, restriction) => {
+  const { bounds, width = 0 } = restriction;
+  if (!bounds || bounds.minLat === undefined) return true;
+
+  const margin = restriction.type === 'restricted-zone' ? 0 : width / METERS_PER_DEGREE;
+  const lngMargin = margin / Math.max(0.1, Math.cos(Math.max(Math.abs(from.lat), Math.abs(to.lat)) * Math.PI / 180));
+  return !(
+    Math.max(from.lat, to.lat) < bounds.minLat - margin ||
+    Math.min(from.lat, to.lat) > bounds.maxLat + margin ||
+    Math.max(from.lng, to.lng) < bounds.minLng - lngMargin ||
+    Math.min(from.lng, to.lng) > bounds.maxLng + lngMargin
+  );
+};
+
+// Kilometres of a straight leg that run inside a restriction, estimated by
+// sampling points along it
+const legExposure = (from, to, restriction) => {
+  if (!overlapsBounds(from, to, restriction)) return 0;
+
+  const length = calculateDistance(from.lat, from.lng, to.lat, to.lng);
+  const samples = Math.min(MAX_SAMPLES, Math.max(1, Math.ceil(length / SAMPLE_SPACING_KM)));
+  let inside = 0;
+  for (let i = 0; i < samples; i++) {
+    const t = (i + 0.5) / samples;
+    const point = { lat: from.lat + (to.lat - from.lat) * t, lng: from.lng + (to.lng - from.lng) * t };
+    if (isInsideRestriction(point, restriction)) inside++;
+  }
+  return (length * inside) / samples;
+};
+
+// Toll roads and highways around the points that the constraints avoid
+const loadAvoidedRoads = async (points, constraints = {}) => {
+  const types = [];
+  if (constraints.avoidTolls) types.push('toll-road');
+  if (constraints.avoidHighways) types.push('highway');
+
+  return types.length > 0 ? RoadRestriction.findNearPoints(points, types) : [];
+};
+
+// Zones around the points closed to each of the given vehicle profiles
+const loadClosedZones = async (points, profiles) => {
+  const zones = await RoadRestriction.findNearPoints(points, ['restricted-zone']);
+  return profiles.map(profile => zones.filter(zone => zone.isClosedTo(profile)));
+};
+
+// Restrictions that apply to a route: avoided toll roads and highways, and
+// zones closed to its vehicle. points bound the search area.
+const loadRestrictions = async (points, constraints = {}, vehicle) => {
+  const [roads, [zones]] = await Promise.all([
+    loadAvoidedRoads(points, constraints),
+    loadClosedZones(points, [getVehicleProfile(constraints, vehicle)])
+  ]);
+  return [...roads, ...zones];
+};
+
+// Charge the detours through restrictions onto a distance and duration
+// matrix. Legs are treated as straight lines between the points, which is
+// exact for the straight-line provider and an estimate for road engines.
+const applyRestrictions = (points, matrix, restrictions, provider = {}) => {
+  const active = restrictions.filter(restriction => !(provider.avoid || []).includes(NATIVE_AVOID[restriction.type]));
+  if (active.length === 0) return matrix;
+
+  const distances = matrix.distances.map(row => [...row]);
+  const durations = matrix.durations.map(row => [...row]);
+
+  points.forEach((from, i) => {
+    points.forEach((to, j) => {
+      if (i === j) return;
+
+      const detour = active.reduce((sum, restriction) => (
+        sum + legExposure(from, to, restriction) * DETOUR_FACTORS[restriction.type]
+      ), 0);
+      if (detour === 0) return;
+
+      const distance = matrix.distances[i][j];
+      distances[i][j] = distance + detour;
+      durations[i][j] = distance > 0 ? matrix.durations[i][j] * (distance + detour) / distance : matrix.durations[i][j];
+    });
+  });
+
+  return { distances, durations };
+};
+
+// Stops that lie inside a zone closed to the vehicle. Stops the planner
+// inserted itself are left out; they are re-planned on every run.
+const findBlockedStops = (waypoints, restrictions) => {
+  const zones = restrictions.filter(restriction => restriction.type === 'restricted-zone');
+  const blocked = [];
+
+  waypoints.filter(waypoint => !waypoint.generatedBy).forEach(waypoint => {
+    const zone = zones.find(restriction => isInsideRestriction(waypoint.location.coordinates, restriction));
+    if (zone) {
+      blocked.push({
+        waypointId: waypoint._id,
+        name: waypoint.location.name || waypoint.location.address,
+        restriction: zone._id,
+        restrictionName: zone.name
+      });
+    }
+  });
+
+  return blocked;
+};
+
+// Restrictions a planned path still runs through, with the distance (km)
+// inside each; a path a road engine built around excluded roads is only
+// checked against the zones
+const findPathCrossings = (path, restrictions, provider = {}) => {
+  const active = restrictions.filter(restriction => !(provider.avoid || []).includes(NATIVE_AVOID[restriction.type]));
+
+  return active.map(restriction => {
+    let distance = 0;
+    for (let i = 0; i < path.length - 1; i++) {
+      distance += legExposure(path[i], path[i + 1], restriction);
+    }
+    return {
+      restriction: restriction._id,
+      name: restriction.name,
+      type: restriction.type,
+      distance: Math.round(distance * 10) / 10
+    };
+  }).filter(crossing => crossing.distance > 0);
+};
+
+module.exports = {
+  DETOUR_FACTORS,
+  getVehicleProfile,
+  getRouteLoad,
+  checkVehicleConstraints,
+  checkVehicleAssignment,
+  distanceToPath,
+  isInsideRestriction,
+  loadAvoidedRoads,
+  loadClosedZones,
+  loadRestrictions,
+  applyRestrictions,
+  findBlockedStops,
+  findPathCrossings
+};
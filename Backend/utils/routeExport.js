@@ -0,0 +1,199 @@
+// Route export to GPX, KML and GeoJSON
+//
+// Every format carries the same three layers so planned and driven routes
+// can be compared in navigation apps and GIS tools: the waypoints (name,
+// type, order), the planned line (optimization.optimizedPath) and the GPS
+// trace actually driven (tracking.path, with timestamps and speeds).
+
+const EXPORT_FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' }
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const toIso = (date) => (date ? new Date(date).toISOString() : undefined);
+
+// The layers shared by all formats
+const getExportLayers = (route) => {
+  const waypoints = [...route.waypoints]
+    .sort((a, b) => a.order - b.order)
+    .map(waypoint => ({
+      id: waypoint._id?.toString(),
+      name: waypoint.location.name || waypoint.location.address || `Stop ${waypoint.order}`,
+      address: waypoint.location.address,
+      type: waypoint.type,
+      order: waypoint.order,
+      status: waypoint.status,
+      lat: waypoint.location.coordinates.lat,
+      lng: waypoint.location.coordinates.lng,
+      estimatedArrival: toIso(waypoint.estimatedArrival),
+      actualArrival: toIso(waypoint.actualArrival)
+    }));
+
+  // Without a stored path the planned line runs straight between the stops
+  const optimizedPath = route.optimization?.optimizedPath?.length > 0
+    ? route.optimization.optimizedPath.map(({ lat, lng }) => ({ lat, lng }))
+    : waypoints.map(({ lat, lng }) => ({ lat, lng }));
+
+  const trackingPath = (route.tracking?.path || []).map(point => ({
+    lat: point.coordinates.lat,
+    lng: point.coordinates.lng,
+    timestamp: toIso(point.timestamp),
+    speed: point.speed
+  }));
+
+  return { waypoints, optimizedPath, trackingPath };
+};
+
+const toGpx = (route) => {
+  const { waypoints, optimizedPath, trackingPath } = getExportLayers(route);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="IntelliRoute Africa" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(route.name)}</name></metadata>`
+  ];
+
+  waypoints.forEach(waypoint => {
+    lines.push(`  <wpt lat="${waypoint.lat}" lon="${waypoint.lng}">`);
+    if (waypoint.estimatedArrival) lines.push(`    <time>${waypoint.estimatedArrival}</time>`);
+    lines.push(`    <name>${escapeXml(`${waypoint.order}. ${waypoint.name}`)}</name>`);
+    if (waypoint.address) lines.push(`    <desc>${escapeXml(waypoint.address)}</desc>`);
+    lines.push(`    <type>${escapeXml(waypoint.type)}</type>`);
+    lines.push('  </wpt>');
+  });
+
+  // Planned route: GPX routes are what navigation apps follow
+  lines.push('  <rte>', '    <name>Planned route</name>');
+  optimizedPath.forEach(point => {
+    lines.push(`    <rtept lat="${point.lat}" lon="${point.lng}"/>`);
+  });
+  lines.push('  </rte>');
+
+  if (trackingPath.length > 0) {
+    lines.push('  <trk>', '    <name>Driven track</name>', '    <trkseg>');
+    trackingPath.forEach(point => {
+      lines.push(`      <trkpt lat="${point.lat}" lon="${point.lng}">${point.timestamp ? `<time>${point.timestamp}</time>` : ''}</trkpt>`);
+    });
+    lines.push('    </trkseg>', '  </trk>');
+  }
+
+  lines.push('</gpx>');
+  return lines.join('\n');
+};
+
+const toKml = (route) => {
+  const { waypoints, optimizedPath, trackingPath } = getExportLayers(route);
+  const coordinates = points => points.map(point => `${point.lng},${point.lat},0`).join(' ');
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(route.name)}</name>`,
+    '    <Style id="planned"><LineStyle><color>ffff7f00</color><width>4</width></LineStyle></Style>',
+    '    <Style id="driven"><LineStyle><color>ff0000ff</color><width>3</width></LineStyle></Style>',
+    '    <Folder>',
+    '      <name>Waypoints</name>'
+  ];
+
+  waypoints.forEach(waypoint => {
+    lines.push(
+      '      <Placemark>',
+      `        <name>${escapeXml(`${waypoint.order}. ${waypoint.name}`)}</name>`,
+      '        <ExtendedData>',
+      `          <Data name="type"><value>${escapeXml(waypoint.type)}</value></Data>`,
+      `          <Data name="order"><value>${waypoint.order}</value></Data>`,
+      `          <Data name="status"><value>${escapeXml(waypoint.status)}</value></Data>`,
+      '        </ExtendedData>',
+      `        <Point><coordinates>${waypoint.lng},${waypoint.lat},0</coordinates></Point>`,
+      '      </Placemark>'
+    );
+  });
+
+  lines.push(
+    '    </Folder>',
+    '    <Placemark>',
+    '      <name>Planned route</name>',
+    '      <styleUrl>#planned</styleUrl>',
+    `      <LineString><tessellate>1</tessellate><coordinates>${coordinates(optimizedPath)}</coordinates></LineString>`,
+    '    </Placemark>'
+  );
+
+  if (trackingPath.length > 0) {
+    lines.push(
+      '    <Placemark>',
+      '      <name>Driven track</name>',
+      '      <styleUrl>#driven</styleUrl>',
+      '      <gx:Track>',
+      ...trackingPath.filter(point => point.timestamp).map(point => `        <when>${point.timestamp}</when>`),
+      ...trackingPath.filter(point => point.timestamp).map(point => `        <gx:coord>${point.lng} ${point.lat} 0</gx:coord>`),
+      '      </gx:Track>',
+      '    </Placemark>'
+    );
+  }
+
+  lines.push('  </Document>', '</kml>');
+  return lines.join('\n');
+};
+
+const toGeoJson = (route) => {
+  const { waypoints, optimizedPath, trackingPath } = getExportLayers(route);
+  const features = waypoints.map(({ lat, lng, ...properties }) => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [lng, lat] },
+    properties: { layer: 'waypoints', ...properties }
+  }));
+
+  features.push({
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates: optimizedPath.map(point => [point.lng, point.lat]) },
+    properties: { layer: 'planned', name: 'Planned route' }
+  });
+
+  if (trackingPath.length > 0) {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: trackingPath.map(point => [point.lng, point.lat]) },
+      properties: {
+        layer: 'driven',
+        name: 'Driven track',
+        timestamps: trackingPath.map(point => point.timestamp),
+        speeds: trackingPath.map(point => point.speed ?? null)
+      }
+    });
+  }
+
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    name: route.name,
+    features
+  }, null, 2);
+};
+
+// Whether a value names one of the export formats (own keys only, so
+// inherited names such as constructor are not formats)
+const isExportFormat = (format) => typeof format === 'string' && Object.hasOwn(EXPORT_FORMATS, format);
+
+// Serialize a route; returns null for an unknown format
+const exportRoute = (route, format) => {
+  if (!isExportFormat(format)) return null;
+  const definition = EXPORT_FORMATS[format];
+
+  const serializers = { gpx: toGpx, kml: toKml, geojson: toGeoJson };
+  return {
+    ...definition,
+    body: serializers[format](route)
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  isExportFormat,
+  exportRoute
+};
@@ -0,0 +1,790 @@
+// Route optimization helpers
+//
+// The solver works on plain stop objects ({ lat, lng, ... }) so it can be
+// reused by any controller. It builds a sequence with a precedence-aware
+// nearest-neighbour construction and then improves it with 2-opt and or-opt
+// local search until no improving move is left. When time windows are given
+// the search also minimises lateness and every stop gets projected times.
+// Candidate moves are scored incrementally: only the part of the sequence
+// after the first changed position is simulated again, and a candidate is
+// dropped as soon as it cannot beat the current best.
+
+const { AVERAGE_SPEED_KMH, calculateDistance, getRouteGeometry } = require('./distanceProvider');
+const { estimateRouteCosts } = require('./costModel');
+const { createDriverClock } = require('./hoursOfService');
+const { planFuelStops } = require('./refuelPlanner');
+
+const MAX_LOCAL_SEARCH_PASSES = 50;
+const OR_OPT_MAX_SEGMENT = 3;
+const DEFAULT_SERVICE_TIME = 10; // minutes spent at a stop when none is given
+const LATENESS_PENALTY = 10; // km-equivalent cost per minute late
+const MAX_ALTERNATIVES = 10;
+const MAX_ALTERNATIVE_STOPS = 40; // larger routes are solved without alternatives
+const MAX_ALTERNATIVE_RESTARTS = 10;
+const MINUTE = 60 * 1000;
+
+// Build a full distance matrix for a list of stops
+const buildDistanceMatrix = (stops) => {
+  return stops.map(from => stops.map(to => calculateDistance(from.lat, from.lng, to.lat, to.lng)));
+};
+
+// Total distance of an open path visiting stops in the given sequence
+const sequenceDistance = (sequence, matrix) => {
+  let total = 0;
+  for (let i = 0; i < sequence.length - 1; i++) {
+    total += matrix[sequence[i]][sequence[i + 1]];
+  }
+  return total;
+};
+
+// Map each stop index to the indexes that must be visited before it
+const buildPredecessors = (size, precedence = []) => {
+  const predecessors = Array.from({ length: size }, () => []);
+  precedence.forEach(([before, after]) => {
+    predecessors[after].push(before);
+  });
+  return predecessors;
+};
+
+// Check that every precedence pair (e.g. pickup -> delivery) is respected
+const isFeasible = (sequence, precedence = []) => {
+  if (precedence.length === 0) return true;
+  const position = new Array(sequence.length);
+  sequence.forEach((stop, index) => {
+    position[stop] = index;
+  });
+  return precedence.every(([before, after]) => position[before] < position[after]);
+};
+
+// Greedy construction: always go to the nearest stop whose predecessors are done
+const nearestNeighbour = (matrix, predecessors, start) => {
+  const size = matrix.length;
+  const visited = new Array(size).fill(false);
+  const sequence = [start];
+  visited[start] = true;
+
+  while (sequence.length < size) {
+    const current = sequence[sequence.length - 1];
+    let best = -1;
+
+    for (let candidate = 0; candidate < size; candidate++) {
+      if (visited[candidate]) continue;
+      if (!predecessors[candidate].every(p => visited[p])) continue;
+      if (best === -1 || matrix[current][candidate] < matrix[current][best]) {
+        best = candidate;
+      }
+    }
+
+    visited[best] = true;
+    sequence.push(best);
+  }
+
+  return sequence;
+};
+
+// 2-opt: reverse a segment when it lowers the cost and keeps precedence
+const twoOpt = (sequence, scorer, precedence, firstMovable) => {
+  let improved = false;
+  let bestCost = scorer.rebase(sequence);
+
+  for (let i = firstMovable; i < sequence.length - 1; i++) {
+    for (let k = i + 1; k < sequence.length; k++) {
+      const candidate = [
+        ...sequence.slice(0, i),
+        ...sequence.slice(i, k + 1).reverse(),
+        ...sequence.slice(k + 1)
+      ];
+      const candidateCost = scorer.score(candidate, i, bestCost - 1e-9);
+      if (candidateCost < bestCost - 1e-9 && isFeasible(candidate, precedence)) {
+        sequence = candidate;
+        bestCost = scorer.rebase(sequence);
+        improved = true;
+      }
+    }
+  }
+
+  return { sequence, improved };
+};
+
+// Or-opt: relocate short runs of consecutive stops to a better position
+const orOpt = (sequence, scorer, precedence, firstMovable) => {
+  let improved = false;
+  let bestCost = scorer.rebase(sequence);
+
+  for (let length = 1; length <= OR_OPT_MAX_SEGMENT; length++) {
+    for (let i = firstMovable; i + length <= sequence.length; i++) {
+      const segment = sequence.slice(i, i + length);
+      const rest = [...sequence.slice(0, i), ...sequence.slice(i + length)];
+
+      for (let j = firstMovable; j <= rest.length; j++) {
+        if (j === i) continue;
+        const candidate = [...rest.slice(0, j), ...segment, ...rest.slice(j)];
+        const candidateCost = scorer.score(candidate, Math.min(i, j), bestCost - 1e-9);
+        if (candidateCost < bestCost - 1e-9 && isFeasible(candidate, precedence)) {
+          sequence = candidate;
+          bestCost = scorer.rebase(sequence);
+          improved = true;
+          break;
+        }
+      }
+    }
+  }
+
+  return { sequence, improved };
+};
+
+// Convert a distance matrix (km) to travel times (minutes) at the average speed
+const toDurationMatrix = (matrix) => {
+  return matrix.map(row => row.map(distance => (distance / AVERAGE_SPEED_KMH) * 60));
+};
+
+// Per-stop inputs of a schedule simulation, with window bounds parsed once
+const createScheduleContext = (stops, options) => ({
+  durationMatrix: options.durationMatrix || toDurationMatrix(options.matrix),
+  drivingRules: options.drivingRules,
+  windowStart: stops.map(stop => (stop.timeWindow?.start ? new Date(stop.timeWindow.start).getTime() : null)),
+  windowEnd: stops.map(stop => (stop.timeWindow?.end ? new Date(stop.timeWindow.end).getTime() : null)),
+  serviceTime: stops.map(stop => stop.serviceTime ?? DEFAULT_SERVICE_TIME)
+});
+
+// Schedule state before the first stop: the clock, running totals in
+// minutes and the driver's hours (see createDriverClock)
+const initialScheduleState = (startTime) => ({
+  clock: new Date(startTime).getTime(),
+  lateness: 0,
+  waiting: 0,
+  breaks: 0,
+  driver: {}
+});
+
+// Drive from the previous stop (null for the first stop), taking the breaks
+// the driving rules call for, then wait for the stop's window and serve it.
+// Returns the state after the stop and, when detailed, the stop's entry.
+const visitStop = (state, previousIndex, stopIndex, context, detailed = false) => {
+  const driver = context.drivingRules ? createDriverClock(context.drivingRules, state.driver) : null;
+  const breaks = [];
+  let clock = state.clock;
+  let breakMinutes = 0;
+
+  if (previousIndex !== null) {
+    const legMinutes = context.durationMatrix[previousIndex][stopIndex];
+    const legStart = clock;
+    let paused = 0;
+
+    (driver ? driver.drive(legMinutes) : []).forEach(pause => {
+      const start = legStart + (pause.at * MINUTE) + paused;
+      paused += pause.duration * MINUTE;
+      breakMinutes += pause.duration;
+      if (detailed) {
+        breaks.push({
+          type: pause.type,
+          start: new Date(start),
+          end: new Date(start + pause.duration * MINUTE),
+          duration: pause.duration,
+          fraction: legMinutes > 0 ? pause.at / legMinutes : 0
+        });
+      }
+    });
+
+    clock = legStart + legMinutes * MINUTE + paused;
+  }
+
+  const arrival = clock;
+  const windowStart = context.windowStart[stopIndex];
+  const windowEnd = context.windowEnd[stopIndex];
+  let waiting = 0;
+  let lateBy = 0;
+
+  if (windowStart !== null && clock < windowStart) {
+    waiting = (windowStart - clock) / MINUTE;
+    clock = windowStart;
+  }
+  if (windowEnd !== null && clock > windowEnd) {
+    lateBy = (clock - windowEnd) / MINUTE;
+  }
+
+  const serviceTime = context.serviceTime[stopIndex];
+  clock += serviceTime * MINUTE;
+  if (driver) driver.rest(waiting + serviceTime);
+
+  return {
+    state: {
+      clock,
+      lateness: state.lateness + lateBy,
+      waiting: state.waiting + waiting,
+      breaks: state.breaks + breakMinutes,
+      driver: driver ? driver.getState() : state.driver
+    },
+    entry: detailed ? {
+      stopIndex,
+      arrival: new Date(arrival),
+      departure: new Date(clock),
+      waiting,
+      lateBy,
+      breaks
+    } : null
+  };
+};
+
+// Project arrival and departure times for stops visited in sequence.
+// Vehicles arriving before a window opens wait; arriving after it closes is
+// recorded as lateness rather than dropping the stop. With drivingRules the
+// driver's breaks are slotted into the legs where the limits are reached.
+const buildSchedule = (sequence, stops, options) => {
+  const context = createScheduleContext(stops, options);
+  let state = initialScheduleState(options.startTime);
+
+  const entries = sequence.map((stopIndex, position) => {
+    const step = visitStop(state, position > 0 ? sequence[position - 1] : null, stopIndex, context, true);
+    state = step.state;
+    return step.entry;
+  });
+
+  return {
+    entries,
+    totalLateness: state.lateness,
+    totalWaiting: state.waiting,
+    totalBreaks: state.breaks,
+    endTime: new Date(state.clock)
+  };
+};
+
+// Cost of a sequence: its distance plus, when windows apply, a penalty per
+// minute late. score() compares a candidate against a base sequence (set
+// with rebase()) it matches up to firstChanged, reusing the base's running
+// totals for that prefix. Costs only grow along a sequence, so a candidate
+// is given up (Infinity) once it reaches limit.
+const createScorer = (stops, options) => {
+  const { matrix, startTime, hasWindows } = options;
+  const context = hasWindows ? createScheduleContext(stops, options) : null;
+  const origin = { distance: 0, cost: 0, schedule: context ? initialScheduleState(startTime) : null };
+  let prefix = [];
+
+  const step = (previous, previousIndex, stopIndex) => {
+    const distance = previousIndex === null ? 0 : previous.distance + matrix[previousIndex][stopIndex];
+    if (!context) return { distance, cost: distance };
+
+    const schedule = visitStop(previous.schedule, previousIndex, stopIndex, context).state;
+    return { distance, schedule, cost: distance + schedule.lateness * LATENESS_PENALTY };
+  };
+
+  const run = (sequence, from, limit, record) => {
+    let state = from > 0 ? prefix[from - 1] : origin;
+    for (let position = from; position < sequence.length; position++) {
+      state = step(state, position > 0 ? sequence[position - 1] : null, sequence[position]);
+      if (record) {
+        prefix[position] = state;
+      } else if (state.cost >= limit) {
+        return Infinity;
+      }
+    }
+    return state.cost;
+  };
+
+  return {
+    rebase(sequence) {
+      prefix = new Array(sequence.length);
+      return run(sequence, 0, Infinity, true);
+    },
+    score(candidate, firstChanged = 0, limit = Infinity) {
+      return run(candidate, firstChanged, limit, false);
+    }
+  };
+};
+
+// Run 2-opt and or-opt until neither finds an improving move
+const localSearch = (sequence, scorer, precedence, firstMovable) => {
+  for (let pass = 0; pass < MAX_LOCAL_SEARCH_PASSES; pass++) {
+    const afterTwoOpt = twoOpt(sequence, scorer, precedence, firstMovable);
+    const afterOrOpt = orOpt(afterTwoOpt.sequence, scorer, precedence, firstMovable);
+    sequence = afterOrOpt.sequence;
+    if (!afterTwoOpt.improved && !afterOrOpt.improved) break;
+  }
+  return sequence;
+};
+
+// Small deterministic pseudo-random generator so alternatives are repeatable
+const seededRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+};
+
+// Move a few random stops elsewhere to escape a local optimum
+const perturb = (sequence, precedence, firstMovable, random) => {
+  const candidate = [...sequence];
+  const movable = candidate.length - firstMovable;
+  for (let move = 0; move < 3; move++) {
+    const [stop] = candidate.splice(firstMovable + Math.floor(random() * movable), 1);
+    candidate.splice(firstMovable + Math.floor(random() * movable), 0, stop);
+  }
+  return isFeasible(candidate, precedence) ? candidate : null;
+};
+
+// Solve the stop sequence for a single vehicle.
+// precedence is a list of [beforeIndex, afterIndex] pairs and fixedStart keeps
+// the first stop in place (e.g. the depot the vehicle leaves from). Passing a
+// startTime makes the search time-window aware. Asking for alternatives (up
+// to MAX_ALTERNATIVES, on routes of up to MAX_ALTERNATIVE_STOPS stops) runs a
+// few perturbed restarts and returns the best distinct runner-up sequences.
+const solveSequence = (stops, options = {}) => {
+  const { precedence = [], fixedStart = true, startTime, drivingRules } = options;
+  const matrix = options.matrix || buildDistanceMatrix(stops);
+  const durationMatrix = options.durationMatrix || toDurationMatrix(matrix);
+  const scheduleOptions = { startTime, matrix, durationMatrix, drivingRules };
+  const hasWindows = Boolean(startTime) && stops.some(stop => stop.timeWindow);
+  const scorer = createScorer(stops, { ...scheduleOptions, hasWindows });
+  const alternatives = stops.length > MAX_ALTERNATIVE_STOPS
+    ? 0
+    : Math.min(MAX_ALTERNATIVES, options.alternatives || 0);
+
+  const finish = (sequence) => ({
+    sequence,
+    distance: sequenceDistance(sequence, matrix),
+    duration: sequence.reduce((total, stop, index) => (
+      index === 0 ? total : total + durationMatrix[sequence[index - 1]][stop]
+    ), 0),
+    schedule: startTime ? buildSchedule(sequence, stops, scheduleOptions) : null
+  });
+
+  if (stops.length <= 2) {
+    return { ...finish(stops.map((stop, index) => index)), alternatives: [] };
+  }
+
+  const predecessors = buildPredecessors(stops.length, precedence);
+
+  // Start from the first stop unless it has to wait for another stop
+  let start = 0;
+  if (!fixedStart || predecessors[0].length > 0) {
+    start = predecessors.findIndex(p => p.length === 0);
+  }
+  const firstMovable = fixedStart && start === 0 ? 1 : 0;
+
+  const best = localSearch(nearestNeighbour(matrix, predecessors, start), scorer, precedence, firstMovable);
+
+  if (alternatives === 0) {
+    return { ...finish(best), alternatives: [] };
+  }
+
+  // Collect distinct local optima from the current order and perturbed restarts
+  const found = new Map([[best.join(','), best]]);
+  const identity = stops.map((stop, index) => index);
+  if (isFeasible(identity, precedence)) {
+    const fromCurrent = localSearch(identity, scorer, precedence, firstMovable);
+    found.set(fromCurrent.join(','), fromCurrent);
+  }
+
+  const random = seededRandom(stops.length);
+  const restarts = Math.min(MAX_ALTERNATIVE_RESTARTS, alternatives * 3);
+  for (let restart = 0; restart < restarts; restart++) {
+    const perturbed = perturb(best, precedence, firstMovable, random);
+    if (!perturbed) continue;
+    const candidate = localSearch(perturbed, scorer, precedence, firstMovable);
+    found.set(candidate.join(','), candidate);
+  }
+
+  // Small instances tend to converge on one optimum; fill up with the
+  // cheapest single-stop relocations of the best sequence
+  if (found.size <= alternatives) {
+    for (let from = firstMovable; from < best.length; from++) {
+      for (let to = firstMovable; to < best.length; to++) {
+        if (from === to) continue;
+        const candidate = [...best];
+        const [stop] = candidate.splice(from, 1);
+        candidate.splice(to, 0, stop);
+        if (isFeasible(candidate, precedence)) {
+          found.set(candidate.join(','), candidate);
+        }
+      }
+    }
+  }
+
+  // The very best sequence may have come from a restart
+  const costs = new Map([...found.values()].map(sequence => [sequence, scorer.score(sequence)]));
+  const ranked = [...found.values()].sort((a, b) => costs.get(a) - costs.get(b));
+
+  return {
+    ...finish(ranked[0]),
+    alternatives: ranked.slice(1, alternatives + 1).map(finish)
+  };
+};
+
+// Find the order a pickup or delivery waypoint belongs to.
+// Waypoints are linked through relatedOrder, or by matching coordinates
+// against the route's populated orders when the link is missing.
+const findWaypointOrder = (waypoint, orders = []) => {
+  if (!['pickup', 'delivery'].includes(waypoint.type)) return null;
+
+  if (waypoint.relatedOrder) {
+    const id = waypoint.relatedOrder.toString();
+    return orders.find(order => order && order._id && order._id.toString() === id) || { _id: id };
+  }
+
+  const coords = waypoint.location?.coordinates;
+  return orders.find(order => {
+    if (!order || !order.pickup) return false;
+    const target = waypoint.type === 'pickup'
+      ? order.pickup.location?.coordinates
+      : order.delivery?.location?.coordinates;
+    return coords && target && calculateDistance(coords.lat, coords.lng, target.lat, target.lng) < 0.05;
+  }) || null;
+};
+
+// Pair pickup and delivery waypoints that belong to the same order
+const getPrecedencePairs = (waypoints, orders = []) => {
+  const pickups = {};
+  const deliveries = {};
+  waypoints.forEach((waypoint, index) => {
+    const order = findWaypointOrder(waypoint, orders);
+    if (!order) return;
+    const key = order._id.toString();
+    if (waypoint.type === 'pickup') {
+      pickups[key] = index;
+    } else {
+      deliveries[key] = index;
+    }
+  });
+
+  return Object.keys(pickups)
+    .filter(key => deliveries[key] !== undefined)
+    .map(key => [pickups[key], deliveries[key]]);
+};
+
+// Resolve the customer time window for a waypoint: an explicit window first,
+// then the linked order's pickup/delivery window, then a route-level window
+// whose location matches the waypoint name or address.
+const getWaypointTimeWindow = (waypoint, orders = [], routeWindows = []) => {
+  if (waypoint.timeWindow?.start || waypoint.timeWindow?.end) {
+    return { start: waypoint.timeWindow.start, end: waypoint.timeWindow.end };
+  }
+
+  const order = findWaypointOrder(waypoint, orders);
+  const orderWindow = order?.[waypoint.type]?.timeWindow;
+  if (orderWindow?.start || orderWindow?.end) {
+    return { start: orderWindow.start, end: orderWindow.end };
+  }
+
+  const names = [waypoint.location?.name, waypoint.location?.address].filter(Boolean);
+  const routeWindow = routeWindows.find(window => window.location && names.includes(window.location));
+  if (routeWindow) {
+    return { start: routeWindow.start, end: routeWindow.end };
+  }
+
+  return null;
+};
+
+// Waypoints the planner inserts itself (e.g. mandatory breaks). They are
+// dropped and planned again every time a route is sequenced.
+const isGeneratedStop = (waypoint) => Boolean(waypoint.generatedBy);
+
+// Points the optimizer works on, in matrix order: the origin (if any)
+// followed by the waypoints sorted by their current order
+const getStopPoints = (waypoints, origin) => {
+  const points = waypoints
+    .filter(waypoint => !isGeneratedStop(waypoint))
+    .sort((a, b) => a.order - b.order)
+    .map(waypoint => ({
+      lat: waypoint.location.coordinates.lat,
+      lng: waypoint.location.coordinates.lng
+    }));
+  return origin ? [{ lat: origin.lat, lng: origin.lng }, ...points] : points;
+};
+
+// Stops, matrices and precedence pairs for a set of waypoints, indexed like
+// getStopPoints(). An origin ({ lat, lng }) fixes where the vehicle sets off
+// from without adding it as a waypoint.
+const prepareStops = (waypoints, orders = [], options = {}) => {
+  const { timeWindows = [], origin, distanceMatrix, durationMatrix } = options;
+  const current = waypoints
+    .filter(waypoint => !isGeneratedStop(waypoint))
+    .sort((a, b) => a.order - b.order)
+    .map(waypoint => (waypoint.toObject ? waypoint.toObject() : { ...waypoint }));
+
+  const offset = origin ? 1 : 0;
+  const stops = current.map(waypoint => ({
+    lat: waypoint.location.coordinates.lat,
+    lng: waypoint.location.coordinates.lng,
+    serviceTime: waypoint.duration,
+    timeWindow: getWaypointTimeWindow(waypoint, orders, timeWindows)
+  }));
+  if (origin) {
+    stops.unshift({ lat: origin.lat, lng: origin.lng, serviceTime: 0, timeWindow: null });
+  }
+
+  const matrix = distanceMatrix || buildDistanceMatrix(stops);
+  const precedence = getPrecedencePairs(current, orders)
+    .map(([before, after]) => [before + offset, after + offset]);
+
+  return {
+    current,
+    stops,
+    offset,
+    matrix,
+    durationMatrix: durationMatrix || toDurationMatrix(matrix),
+    precedence
+  };
+};
+
+// Rest-stop waypoint for a break taken part-way along the leg between two stops
+const breakWaypoint = (pause, from, to) => {
+  const name = pause.type === 'rest' ? 'Daily rest' : 'Driving break';
+  return {
+    location: {
+      coordinates: {
+        lat: from.lat + (to.lat - from.lat) * pause.fraction,
+        lng: from.lng + (to.lng - from.lng) * pause.fraction
+      },
+      name
+    },
+    type: 'rest-stop',
+    generatedBy: 'hours-of-service',
+    duration: pause.duration,
+    estimatedArrival: pause.start,
+    estimatedDeparture: pause.end,
+    notes: `${name} required by driving-time rules`,
+    status: 'pending'
+  };
+};
+
+// Fuel-stop waypoint for a catalogued station
+const fuelStopWaypoint = (station, refuel) => ({
+  location: {
+    coordinates: {
+      lat: station.location.coordinates.lat,
+      lng: station.location.coordinates.lng
+    },
+    address: station.location.address,
+    name: station.name
+  },
+  type: 'fuel-stop',
+  generatedBy: 'fuel-range',
+  fuelStation: station._id,
+  duration: refuel.stopDuration,
+  notes: refuel.fuelType === 'electric' ? 'Charging stop' : 'Refuelling stop',
+  status: 'pending'
+});
+
+// Insert the fuel or charging stops a sequence needs. The stations are
+// appended to the prepared stops (with straight-line legs) and slotted into
+// the sequence; also reports the first stop the vehicle cannot reach.
+const addFuelStops = (prepared, sequence, refuel) => {
+  if (!refuel) return { prepared, sequence, rangeWarning: null };
+
+  const { stops, matrix, durationMatrix, current, offset } = prepared;
+  const legs = sequence.slice(1).map((stopIndex, position) => matrix[sequence[position]][stopIndex]);
+  const { stops: fuelStops, unreachable } = planFuelStops(sequence.map(index => stops[index]), legs, refuel);
+
+  let rangeWarning = null;
+  if (unreachable) {
+    const stopIndex = sequence[unreachable.before];
+    const waypoint = stopIndex >= offset ? current[stopIndex - offset] : null;
+    rangeWarning = {
+      waypointId: waypoint?._id,
+      name: waypoint?.location.name || waypoint?.location.address,
+      shortfall: Math.round(unreachable.shortfall)
+    };
+  }
+
+  if (fuelStops.length === 0) return { prepared, sequence, rangeWarning };
+
+  const size = stops.length;
+  const allStops = [
+    ...stops,
+    ...fuelStops.map(({ station }) => ({
+      lat: station.location.coordinates.lat,
+      lng: station.location.coordinates.lng,
+      serviceTime: refuel.stopDuration,
+      timeWindow: null
+    }))
+  ];
+  const straight = (from, to) => calculateDistance(from.lat, from.lng, to.lat, to.lng);
+  const extend = (base, fallback) => allStops.map((from, i) => allStops.map((to, j) => (
+    i < size && j < size ? base[i][j] : fallback(from, to)
+  )));
+
+  const extended = [];
+  sequence.forEach((stopIndex, position) => {
+    fuelStops.forEach((fuelStop, k) => {
+      if (fuelStop.before === position) extended.push(size + k);
+    });
+    extended.push(stopIndex);
+  });
+
+  return {
+    prepared: {
+      ...prepared,
+      stops: allStops,
+      current: [...current, ...fuelStops.map(({ station }) => fuelStopWaypoint(station, refuel))],
+      matrix: extend(matrix, straight),
+      durationMatrix: extend(durationMatrix, (from, to) => (straight(from, to) / AVERAGE_SPEED_KMH) * 60)
+    },
+    sequence: extended,
+    rangeWarning
+  };
+};
+
+// Put waypoints in sequence order with new order numbers and, when a
+// schedule was built, write projected times and time-window flags and
+// insert rest-stop waypoints for the driver's breaks
+const applySequence = (prepared, sequence, schedule, startTime) => {
+  const { current, stops, offset } = prepared;
+  const waypoints = [];
+  const breaks = [];
+  const late = [];
+
+  sequence.slice(offset).forEach((stopIndex, position) => {
+    const waypoint = { ...current[stopIndex - offset] };
+
+    if (schedule) {
+      const entry = schedule.entries[position + offset];
+      const window = stops[stopIndex].timeWindow;
+
+      if (position + offset > 0) {
+        const previous = stops[sequence[position + offset - 1]];
+        entry.breaks.forEach(pause => {
+          const restStop = breakWaypoint(pause, previous, stops[stopIndex]);
+          waypoints.push(restStop);
+          breaks.push({
+            startTime: pause.start,
+            endTime: pause.end,
+            location: `${restStop.location.coordinates.lat.toFixed(5)}, ${restStop.location.coordinates.lng.toFixed(5)}`,
+            reason: restStop.notes
+          });
+        });
+      }
+
+      waypoint.estimatedArrival = entry.arrival;
+      waypoint.estimatedDeparture = entry.departure;
+      waypoint.timeWindow = window || undefined;
+      waypoint.timeWindowStatus = window ? (entry.lateBy > 0 ? 'late' : 'met') : undefined;
+      waypoint.lateBy = entry.lateBy > 0 ? Math.round(entry.lateBy) : undefined;
+
+      if (entry.lateBy > 0) {
+        late.push(waypoint);
+      }
+    }
+
+    waypoints.push(waypoint);
+  });
+
+  waypoints.forEach((waypoint, index) => {
+    waypoint.order = index + 1;
+  });
+
+  const violations = late.map(waypoint => ({
+    waypointId: waypoint._id,
+    order: waypoint.order,
+    name: waypoint.location.name || waypoint.location.address,
+    windowEnd: waypoint.timeWindow.end,
+    estimatedArrival: waypoint.estimatedArrival,
+    lateBy: waypoint.lateBy
+  }));
+
+  return {
+    waypoints,
+    schedule: schedule ? {
+      startTime: new Date(startTime),
+      endTime: schedule.endTime,
+      totalWaiting: Math.round(schedule.totalWaiting),
+      totalLateness: Math.round(schedule.totalLateness),
+      totalBreaks: Math.round(schedule.totalBreaks),
+      breaks,
+      violations
+    } : null
+  };
+};
+
+// Add fuel stops to a solved sequence, project its schedule and lay it out
+// as waypoints
+const finalizeSequence = (prepared, sequence, options) => {
+  const { startTime, drivingRules, refuel } = options;
+  const fueled = addFuelStops(prepared, sequence, refuel);
+  const { stops, matrix, durationMatrix } = fueled.prepared;
+  const schedule = startTime
+    ? buildSchedule(fueled.sequence, stops, { startTime, matrix, durationMatrix, drivingRules })
+    : null;
+
+  return {
+    ...applySequence(fueled.prepared, fueled.sequence, schedule, startTime),
+    distance: sequenceDistance(fueled.sequence, matrix),
+    duration: sequenceDistance(fueled.sequence, durationMatrix),
+    rangeWarning: fueled.rangeWarning
+  };
+};
+
+// Reorder route waypoints so the total distance (and lateness, when a start
+// time is given) is minimised, and project ETAs onto every waypoint.
+// Road-network matrices can be passed in as distanceMatrix / durationMatrix,
+// indexed like getStopPoints(). options.alternatives asks for that many
+// runner-up sequences as well, options.drivingRules plans the driver's
+// mandatory breaks and options.refuel (see refuelPlanner) adds fuel stops.
+const optimizeWaypoints = (waypoints, orders = [], options = {}) => {
+  const { startTime, alternatives = 0, drivingRules } = options;
+  const prepared = prepareStops(waypoints, orders, options);
+  const { stops, matrix, durationMatrix, precedence } = prepared;
+
+  const originalSequence = stops.map((stop, index) => index);
+  const result = solveSequence(stops, { matrix, durationMatrix, precedence, startTime, alternatives, drivingRules });
+  const best = finalizeSequence(prepared, result.sequence, options);
+
+  return {
+    waypoints: best.waypoints,
+    distanceBefore: sequenceDistance(originalSequence, matrix),
+    distanceAfter: best.distance,
+    schedule: best.schedule,
+    rangeWarning: best.rangeWarning,
+    alternatives: result.alternatives.map(alternative => finalizeSequence(prepared, alternative.sequence, options))
+  };
+};
+
+// Project ETAs onto waypoints in their current order, without re-sequencing
+const scheduleWaypoints = (waypoints, orders = [], options = {}) => {
+  const prepared = prepareStops(waypoints, orders, options);
+  const sequence = prepared.stops.map((stop, index) => index);
+  return finalizeSequence(prepared, sequence, options);
+};
+
+// Helper function to calculate route metrics from the distance provider.
+// costOptions (vehicle, country, currency, avoidTolls, duration) feed the
+// cost model; duration overrides the driving time when ETAs include waiting.
+const calculateRouteMetrics = async (waypoints, provider, costOptions = {}) => {
+  // Breaks sit on the road between two stops, so they do not change the path
+  const points = waypoints
+    .filter(waypoint => waypoint.generatedBy !== 'hours-of-service')
+    .map(waypoint => ({
+      lat: waypoint.location.coordinates.lat,
+      lng: waypoint.location.coordinates.lng
+    }));
+
+  const { distance: totalDistance, duration: estimatedDuration, path } = await getRouteGeometry(points, provider);
+
+  const costs = estimateRouteCosts({
+    ...costOptions,
+    distance: totalDistance,
+    duration: costOptions.duration ?? estimatedDuration
+  });
+
+  return { totalDistance, estimatedDuration, estimatedFuelCost: costs.fuel, costs, path };
+};
+
+module.exports = {
+  MAX_ALTERNATIVES,
+  MAX_ALTERNATIVE_STOPS,
+  calculateDistance,
+  buildDistanceMatrix,
+  toDurationMatrix,
+  sequenceDistance,
+  isFeasible,
+  buildSchedule,
+  solveSequence,
+  findWaypointOrder,
+  getPrecedencePairs,
+  getWaypointTimeWindow,
+  isGeneratedStop,
+  getStopPoints,
+  optimizeWaypoints,
+  scheduleWaypoints,
+  calculateRouteMetrics
+};
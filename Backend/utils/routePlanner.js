@@ -0,0 +1,294 @@
+// Fleet-wide route planning
+//
+// Spreads a set of orders over the available vehicles (a capacitated
+// pickup-and-delivery problem). Orders are taken most urgent first and each
+// one is inserted where it adds the least distance on a vehicle that still
+// has weight and volume capacity left. Each vehicle's stops are then
+// re-sequenced by the single-route optimizer to get the final order and ETAs.
+// All vehicles share one distance matrix from the configured provider, with
+// detours charged for avoided toll roads and highways; a vehicle is only
+// given orders outside the zones closed to it, and its own sequence is
+// charged for driving through them.
+
+const { optimizeWaypoints, calculateRouteMetrics } = require('./routeOptimizer');
+const { getDistanceProvider, getDistanceMatrix } = require('./distanceProvider');
+const {
+  getVehicleProfile,
+  isInsideRestriction,
+  loadAvoidedRoads,
+  loadClosedZones,
+  applyRestrictions
+} = require('./routeConstraints');
+const { findRefuelOptions } = require('./refuelPlanner');
+
+const PRIORITY_RANK = { urgent: 0, high: 1, medium: 2, low: 3 };
+
+// Coordinates of a vehicle's last known position, if any
+const getVehicleOrigin = (vehicle) => {
+  const coords = vehicle.currentLocation?.coordinates;
+  if (coords && typeof coords.lat === 'number' && typeof coords.lng === 'number') {
+    return { lat: coords.lat, lng: coords.lng };
+  }
+  return null;
+};
+
+const hasCoordinates = (point) => {
+  const coords = point?.location?.coordinates;
+  return coords && typeof coords.lat === 'number' && typeof coords.lng === 'number';
+};
+
+// Build the pickup and delivery waypoints for an order
+const orderToWaypoints = (order) => {
+  return ['pickup', 'delivery'].map(type => ({
+    location: {
+      coordinates: {
+        lat: order[type].location.coordinates.lat,
+        lng: order[type].location.coordinates.lng
+      },
+      address: order[type].location.address,
+      name: order[type].location.name
+    },
+    type,
+    relatedOrder: order._id,
+    contact: order[type].contact ? {
+      name: order[type].contact.name,
+      phone: order[type].contact.phone,
+      email: order[type].contact.email
+    } : undefined,
+    notes: order[type].location.instructions,
+    status: 'pending'
+  }));
+};
+
+// Cheapest positions to insert a pickup/delivery pair into a vehicle's stops.
+// Stops are indexes into the shared distance matrix; returns
+// { cost, pickupAt, deliveryAt } where positions index the stop list.
+const findCheapestInsertion = (plan, pickup, delivery, distances) => {
+  const points = plan.origin !== null ? [plan.origin, ...plan.stops] : plan.stops;
+  const first = plan.origin !== null ? 1 : 0;
+  const leg = (a, b) => (a !== undefined && b !== undefined ? distances[a][b] : 0);
+  const detour = (prev, point, next) => leg(prev, point) + leg(point, next) - leg(prev, next);
+  let best = null;
+
+  for (let i = first; i <= points.length; i++) {
+    for (let j = i; j <= points.length; j++) {
+      let cost;
+      if (i === j) {
+        cost = detour(points[i - 1], pickup, delivery) + detour(pickup, delivery, points[i]);
+      } else {
+        cost = detour(points[i - 1], pickup, points[i]) + detour(points[j - 1], delivery, points[j]);
+      }
+
+      if (!best || cost < best.cost) {
+        best = { cost, pickupAt: i - first, deliveryAt: j - first };
+      }
+    }
+  }
+
+  return best;
+};
+
+const orderLoad = (order) => ({
+  weight: order.cargo?.totalWeight || 0,
+  volume: order.cargo?.totalVolume || 0
+});
+
+const fitsVehicle = (plan, load) => {
+  const capacity = plan.vehicle.capacity || {};
+  if (capacity.weight !== undefined && plan.load.weight + load.weight > capacity.weight) return false;
+  if (capacity.volume !== undefined && plan.load.volume + load.volume > capacity.volume) return false;
+  return true;
+};
+
+// Explain why an order could not be placed on any vehicle
+const capacityReason = (vehicles, load) => {
+  const maxWeight = Math.max(...vehicles.map(v => v.capacity?.weight ?? Infinity));
+  const maxVolume = Math.max(...vehicles.map(v => v.capacity?.volume ?? Infinity));
+
+  if (load.weight > maxWeight) {
+    return `Cargo weight ${load.weight} kg exceeds the capacity of every available vehicle (max ${maxWeight} kg)`;
+  }
+  if (load.volume > maxVolume) {
+    return `Cargo volume ${load.volume} m3 exceeds the capacity of every available vehicle (max ${maxVolume} m3)`;
+  }
+  return 'No available vehicle has enough remaining capacity';
+};
+
+// Plan routes for the given orders across the given vehicles.
+// options.startTime is used to project ETAs and check time windows;
+// options.country and options.currency select the cost rates;
+// options.avoidTolls and options.avoidHighways keep routes off those roads. With
+// options.drivingRules and options.endTime, orders are taken off a vehicle
+// (least urgent first) until its breaks still fit before endTime.
+const planRoutes = async (orders, vehicles, options = {}) => {
+  const { startTime, endTime, country, currency, drivingRules, avoidTolls, avoidHighways } = options;
+  const provider = options.provider || getDistanceProvider({ avoidTolls, avoidHighways });
+  const unplanned = [];
+
+  // Collect every location once so the whole fleet shares one matrix
+  const points = [];
+  const addPoint = (coords) => points.push({ lat: coords.lat, lng: coords.lng }) - 1;
+
+  const plans = vehicles.map(vehicle => {
+    const origin = getVehicleOrigin(vehicle);
+    return {
+      vehicle,
+      origin: origin ? addPoint(origin) : null,
+      orders: [],
+      stops: [],
+      load: { weight: 0, volume: 0 }
+    };
+  });
+
+  const plannable = [];
+  orders.forEach(order => {
+    if (!hasCoordinates(order.pickup) || !hasCoordinates(order.delivery)) {
+      unplanned.push({ order, reason: 'Missing pickup or delivery coordinates' });
+      return;
+    }
+    plannable.push({
+      order,
+      pickup: addPoint(order.pickup.location.coordinates),
+      delivery: addPoint(order.delivery.location.coordinates)
+    });
+  });
+
+  const roads = await loadAvoidedRoads(points, { avoidTolls, avoidHighways });
+  const { distances, durations } = applyRestrictions(points, await getDistanceMatrix(points, provider), roads, provider);
+
+  // Zones each vehicle may not enter
+  const closedZones = await loadClosedZones(points, plans.map(plan => getVehicleProfile({}, plan.vehicle)));
+  plans.forEach((plan, index) => {
+    plan.closedZones = closedZones[index];
+  });
+  const canEnter = (plan, ...indexes) => indexes.every(index => (
+    !plan.closedZones.some(zone => isInsideRestriction(points[index], zone))
+  ));
+
+  plannable.sort((a, b) => {
+    const byPriority = (PRIORITY_RANK[a.order.priority] ?? 2) - (PRIORITY_RANK[b.order.priority] ?? 2);
+    if (byPriority !== 0) return byPriority;
+    const byDeadline = new Date(a.order.delivery?.timeWindow?.end || 0) - new Date(b.order.delivery?.timeWindow?.end || 0);
+    if (byDeadline !== 0) return byDeadline;
+    return orderLoad(b.order).weight - orderLoad(a.order).weight;
+  });
+
+  plannable.forEach(({ order, pickup, delivery }) => {
+    if (plans.length === 0) {
+      unplanned.push({ order, reason: 'No available vehicles' });
+      return;
+    }
+
+    const load = orderLoad(order);
+
+    let best = null;
+    const allowed = plans.filter(plan => canEnter(plan, pickup, delivery));
+    allowed.filter(plan => fitsVehicle(plan, load)).forEach(plan => {
+      const insertion = findCheapestInsertion(plan, pickup, delivery, distances);
+      if (!best || insertion.cost < best.insertion.cost) {
+        best = { plan, insertion };
+      }
+    });
+
+    if (!best) {
+      unplanned.push({
+        order,
+        reason: allowed.length > 0
+          ? capacityReason(allowed.map(plan => plan.vehicle), load)
+          : 'Pickup or delivery is inside a zone closed to every available vehicle'
+      });
+      return;
+    }
+
+    const { plan, insertion } = best;
+    plan.stops.splice(insertion.deliveryAt, 0, delivery);
+    plan.stops.splice(insertion.pickupAt, 0, pickup);
+    plan.orders.push({ order, pickup, delivery });
+    plan.load.weight += load.weight;
+    plan.load.volume += load.volume;
+  });
+
+  // Sequence a vehicle's stops and project ETAs
+  const sequencePlan = (plan, refuel) => {
+    const planOrders = plan.orders.map(entry => entry.order);
+    const waypoints = planOrders
+      .flatMap(orderToWaypoints)
+      .map((waypoint, index) => ({ ...waypoint, order: index + 1 }));
+
+    // Sub-matrix in getStopPoints() order: origin, then pickup/delivery per order
+    const indexes = [
+      ...(plan.origin !== null ? [plan.origin] : []),
+      ...plan.orders.flatMap(entry => [entry.pickup, entry.delivery])
+    ];
+
+    const matrix = applyRestrictions(
+      indexes.map(i => points[i]),
+      {
+        distances: indexes.map(i => indexes.map(j => distances[i][j])),
+        durations: indexes.map(i => indexes.map(j => durations[i][j]))
+      },
+      plan.closedZones,
+      provider
+    );
+
+    return optimizeWaypoints(waypoints, planOrders, {
+      startTime,
+      origin: plan.origin !== null ? points[plan.origin] : null,
+      distanceMatrix: matrix.distances,
+      durationMatrix: matrix.durations,
+      drivingRules,
+      refuel
+    });
+  };
+
+  const breachesEnd = (schedule) => Boolean(
+    endTime && schedule && schedule.breaks.length > 0 && schedule.endTime > new Date(endTime)
+  );
+
+  const routes = [];
+  for (const plan of plans.filter(p => p.orders.length > 0)) {
+    const refuel = await findRefuelOptions(plan.vehicle, [
+      ...(plan.origin !== null ? [points[plan.origin]] : []),
+      ...plan.stops.map(index => points[index])
+    ]);
+
+    let sequenced = sequencePlan(plan, refuel);
+    while (sequenced && breachesEnd(sequenced.schedule)) {
+      const { order } = plan.orders.pop();
+      const load = orderLoad(order);
+      plan.load.weight -= load.weight;
+      plan.load.volume -= load.volume;
+      unplanned.push({ order, reason: 'Cannot be delivered before the planned end time with the required driver breaks' });
+      sequenced = plan.orders.length > 0 ? sequencePlan(plan, refuel) : null;
+    }
+    if (!sequenced) continue;
+
+    const planOrders = plan.orders.map(entry => entry.order);
+    const { waypoints: optimized, schedule, rangeWarning } = sequenced;
+
+    const metrics = await calculateRouteMetrics(optimized, provider, {
+      vehicle: plan.vehicle,
+      country,
+      currency,
+      avoidTolls,
+      duration: schedule ? (schedule.endTime - schedule.startTime) / (1000 * 60) : undefined
+    });
+
+    routes.push({
+      vehicle: plan.vehicle,
+      orders: planOrders,
+      waypoints: optimized,
+      load: plan.load,
+      metrics,
+      schedule,
+      rangeWarning
+    });
+  }
+
+  return { routes, unplanned };
+};
+
+module.exports = {
+  planRoutes,
+  orderToWaypoints
+};
@@ -0,0 +1,34 @@
+const axios = require('axios');
+const logger = require('./logger');
+
+// Send a text message through the Twilio REST API. Needs
+// TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER.
+const sendSms = async (options) => {
+  const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER } = process.env;
+
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_PHONE_NUMBER) {
+    throw new Error('SMS is not configured');
+  }
+
+  try {
+    const response = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`,
+      new URLSearchParams({
+        To: options.phone,
+        From: TWILIO_PHONE_NUMBER,
+        Body: options.message
+      }),
+      {
+        auth: { username: TWILIO_ACCOUNT_SID, password: TWILIO_AUTH_TOKEN },
+        timeout: 10000
+      }
+    );
+    logger.info(`SMS sent: ${response.data.sid}`);
+    return response.data;
+  } catch (error) {
+    logger.error(`SMS send failed: ${error.response?.data?.message || error.message}`);
+    throw error;
+  }
+};
+
+module.exports = sendSms;
@@ -0,0 +1,269 @@
+// Stop list import from CSV and GeoJSON
+//
+// Each CSV row or GeoJSON Point feature becomes one waypoint. Column and
+// property names are matched loosely ("Time Window Start", "window_start"
+// and "timeWindowStart" are the same field). Rows that fail validation are
+// left out and reported with their row number and the field at fault.
+
+const { zonedTime, toDay } = require('./recurrence');
+
+const MAX_STOPS = 500;
+const IMPORTABLE_TYPES = ['pickup', 'delivery', 'waypoint', 'rest-stop', 'fuel-stop'];
+const TIME_OF_DAY = /^([01]?\d|2[0-3]):[0-5]\d$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Accepted spellings of each field, after lower-casing and removing
+// everything but letters and digits
+const FIELD_ALIASES = {
+  name: ['name', 'stop', 'stopname', 'locationname'],
+  address: ['address', 'streetaddress', 'location'],
+  lat: ['lat', 'latitude', 'y'],
+  lng: ['lng', 'lon', 'long', 'longitude', 'x'],
+  type: ['type', 'stoptype', 'waypointtype'],
+  windowStart: ['timewindowstart', 'windowstart', 'start', 'from', 'earliest'],
+  windowEnd: ['timewindowend', 'windowend', 'end', 'to', 'latest'],
+  timeWindow: ['timewindow', 'window'],
+  duration: ['duration', 'servicetime', 'servicetimeminutes'],
+  notes: ['notes', 'note', 'instructions'],
+  contactName: ['contactname', 'contact', 'contactperson'],
+  contactPhone: ['contactphone', 'phone', 'telephone'],
+  contactEmail: ['contactemail', 'email']
+};
+
+const normalizeKey = key => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Numbers may use a decimal comma, as in semicolon-separated exports
+const toNumber = value => Number(String(value).trim().replace(',', '.'));
+
+const FIELD_BY_KEY = Object.entries(FIELD_ALIASES).reduce((acc, [field, aliases]) => {
+  aliases.forEach(alias => { acc[alias] = field; });
+  return acc;
+}, {});
+
+// Split CSV text into rows of cells (RFC 4180 quoting). Spreadsheets set to
+// a comma decimal separator export with semicolons, so a header line with
+// semicolons and no commas switches the delimiter.
+const parseCsv = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Map loosely named columns or properties onto the import fields
+const toRecord = (source) => Object.entries(source || {}).reduce((record, [key, value]) => {
+  const field = FIELD_BY_KEY[normalizeKey(key)];
+  if (field && value !== undefined && value !== null && String(value).trim() !== '') {
+    record[field] = typeof value === 'string' ? value.trim() : value;
+  }
+  return record;
+}, {});
+
+// A time window bound: a full date-time, or HH:mm on the route's day
+const parseWindowTime = (value, { day, timeZone }) => {
+  if (TIME_OF_DAY.test(value)) {
+    return zonedTime(day, value.padStart(5, '0'), timeZone);
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Validate one record and build its waypoint; problems are pushed onto errors
+const buildWaypoint = (record, row, options, errors) => {
+  const problems = [];
+  const fail = (field, message) => problems.push({ row, field, message });
+
+  const lat = toNumber(record.lat);
+  const lng = toNumber(record.lng);
+  if (record.lat === undefined || record.lng === undefined) {
+    fail('coordinates', 'Latitude and longitude are required');
+  } else if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    fail('coordinates', `Invalid coordinates: ${record.lat}, ${record.lng}`);
+  } else if (lat === 0 && lng === 0) {
+    fail('coordinates', 'Coordinates 0, 0 are not a real stop');
+  }
+
+  if (!record.name && !record.address) {
+    fail('address', 'A name or address is required');
+  }
+
+  const type = record.type ? String(record.type).toLowerCase() : undefined;
+  if (!type) {
+    fail('type', 'Type is required');
+  } else if (!IMPORTABLE_TYPES.includes(type)) {
+    fail('type', `Type must be one of: ${IMPORTABLE_TYPES.join(', ')}`);
+  }
+
+  // A single column holds "09:00-11:00" or "<start> / <end>"
+  let [start, end] = [record.windowStart, record.windowEnd];
+  if (record.timeWindow && !start && !end) {
+    const window = String(record.timeWindow);
+    const times = window.match(/^(\d{1,2}:\d{2})\s*[-–]\s*(\d{1,2}:\d{2})$/);
+    [start, end] = times ? times.slice(1) : window.split(/\s+[-–/]\s+/);
+  }
+  const timeWindow = {};
+  if (start) {
+    timeWindow.start = parseWindowTime(String(start), options);
+    if (!timeWindow.start) fail('timeWindow', `Invalid time window start: ${start}`);
+  }
+  if (end) {
+    timeWindow.end = parseWindowTime(String(end), options);
+    if (!timeWindow.end) fail('timeWindow', `Invalid time window end: ${end}`);
+  }
+  if (timeWindow.start && timeWindow.end && timeWindow.start > timeWindow.end) {
+    fail('timeWindow', 'Time window start is after its end');
+  }
+
+  let duration;
+  if (record.duration !== undefined) {
+    duration = toNumber(record.duration);
+    if (isNaN(duration) || duration < 0) {
+      fail('duration', `Invalid duration: ${record.duration}`);
+    }
+  }
+
+  if (record.contactEmail && !EMAIL.test(record.contactEmail)) {
+    fail('contactEmail', `Invalid email: ${record.contactEmail}`);
+  }
+
+  if (problems.length > 0) {
+    errors.push(...problems);
+    return null;
+  }
+
+  const contact = {
+    name: record.contactName,
+    phone: record.contactPhone !== undefined ? String(record.contactPhone) : undefined,
+    email: record.contactEmail
+  };
+
+  return {
+    location: {
+      coordinates: { lat, lng },
+      address: record.address,
+      name: record.name
+    },
+    type,
+    timeWindow: timeWindow.start || timeWindow.end ? timeWindow : undefined,
+    duration,
+    notes: record.notes,
+    contact: Object.values(contact).some(value => value !== undefined) ? contact : undefined,
+    status: 'pending'
+  };
+};
+
+const fileError = message => ({ waypoints: [], errors: [{ row: null, field: null, message }], total: 0 });
+
+// Turn { row, record } entries into waypoints; errors may already hold
+// problems found while reading the file
+const buildWaypoints = (entries, options, errors = []) => {
+  const total = entries.length + new Set(errors.map(error => error.row)).size;
+  if (total > MAX_STOPS) {
+    return { ...fileError(`A file can contain at most ${MAX_STOPS} stops`), total };
+  }
+
+  const waypoints = [];
+  entries.forEach(({ row, record }) => {
+    const waypoint = buildWaypoint(record, row, options, errors);
+    if (waypoint) {
+      waypoint.order = waypoints.length + 1;
+      waypoints.push(waypoint);
+    }
+  });
+
+  errors.sort((a, b) => a.row - b.row);
+  return { waypoints, errors, total };
+};
+
+// Row numbers match the spreadsheet: the header is row 1
+const importCsv = (text, options) => {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    return fileError('The file is empty');
+  }
+
+  const entries = rows.map((cells, index) => ({
+    row: index + 2,
+    record: toRecord(Object.fromEntries(header.map((key, column) => [key, cells[column]])))
+  }));
+  return buildWaypoints(entries, options);
+};
+
+// Row numbers are the 1-based feature positions
+const importGeoJson = (text, options) => {
+  let collection;
+  try {
+    collection = JSON.parse(text);
+  } catch (error) {
+    return fileError('The file is not valid JSON');
+  }
+
+  if (collection?.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    return fileError('Expected a GeoJSON FeatureCollection');
+  }
+
+  const errors = [];
+  const entries = [];
+  collection.features.forEach((feature, index) => {
+    if (feature?.geometry?.type !== 'Point' || !Array.isArray(feature.geometry.coordinates)) {
+      errors.push({ row: index + 1, field: 'geometry', message: 'Only Point features can be imported' });
+      return;
+    }
+
+    const record = toRecord(feature.properties);
+    [record.lng, record.lat] = feature.geometry.coordinates;
+    entries.push({ row: index + 1, record });
+  });
+
+  return buildWaypoints(entries, options, errors);
+};
+
+// Parse an uploaded stop list. options: plannedStartTime and timeZone, used
+// to place HH:mm time windows on the route's day.
+const importStops = (text, format, { plannedStartTime, timeZone = 'UTC' } = {}) => {
+  const options = { day: toDay(plannedStartTime || new Date(), timeZone), timeZone };
+  return format === 'geojson' ? importGeoJson(text, options) : importCsv(text, options);
+};
+
+module.exports = {
+  MAX_STOPS,
+  parseCsv,
+  importStops
+};
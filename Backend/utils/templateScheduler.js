@@ -0,0 +1,169 @@
+// Route template scheduler
+//
+// Turns recurring route templates (milk runs) into dated Route documents.
+// Each run creates routes for the days between today and the template's
+// generateDaysAhead horizon that the recurrence rule selects, skipping
+// exceptions and days that already have a route from the template.
+
+const Route = require('../models/Route');
+const RouteTemplate = require('../models/RouteTemplate');
+const logger = require('./logger');
+const { checkBookingConflicts } = require('./bookings');
+const { checkVehicleAssignment } = require('./routeConstraints');
+const { getCronStartTime, getOccurrences, toDay, zonedTime } = require('./recurrence');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (day, count) => new Date(new Date(`${day}T00:00:00Z`).getTime() + count * DAY_MS).toISOString().slice(0, 10);
+
+// Instant of a time of day on the given day, rolled over to the next day
+// when it would fall before the reference instant
+const atOrAfter = (day, time, timeZone, reference) => {
+  const instant = zonedTime(day, time, timeZone);
+  return instant < reference ? zonedTime(addDays(day, 1), time, timeZone) : instant;
+};
+
+// Route document data for one run of a template
+const buildRouteFromTemplate = (template, day) => {
+  const source = template.toObject ? template.toObject() : template;
+  const timeZone = template.schedule.timezone || 'UTC';
+  const startTime = template.schedule.startTime || getCronStartTime(template.recurrence.expression);
+  const plannedStartTime = zonedTime(day, startTime, timeZone);
+  const plannedEndTime = atOrAfter(day, template.schedule.endTime, timeZone, new Date(plannedStartTime.getTime() + 1));
+
+  const waypoints = [...source.waypoints]
+    .sort((a, b) => a.order - b.order)
+    .map((waypoint, index) => {
+      const window = waypoint.timeWindow || {};
+      const windowStart = window.start ? atOrAfter(day, window.start, timeZone, plannedStartTime) : undefined;
+      const windowEnd = window.end ? atOrAfter(day, window.end, timeZone, windowStart || plannedStartTime) : undefined;
+
+      return {
+        location: waypoint.location,
+        order: index + 1,
+        type: waypoint.type,
+        timeWindow: windowStart || windowEnd ? { start: windowStart, end: windowEnd } : undefined,
+        duration: waypoint.duration,
+        notes: waypoint.notes,
+        contact: waypoint.contact,
+        status: 'pending'
+      };
+    });
+
+  return {
+    name: `${template.name} - ${day}`,
+    description: template.description,
+    createdBy: template.createdBy,
+    assignedDriver: template.assignedDriver,
+    assignedVehicle: template.assignedVehicle,
+    status: 'planned',
+    priority: template.priority,
+    waypoints,
+    scheduling: {
+      plannedStartTime,
+      plannedEndTime
+    },
+    constraints: source.constraints,
+    costs: {
+      currency: source.costs?.currency,
+      country: source.costs?.country
+    },
+    tags: source.tags,
+    template: template._id,
+    templateDate: day
+  };
+};
+
+// Days in [from, to] the template runs on, within its validity period
+const getTemplateDays = (template, from, to) => {
+  const timeZone = template.schedule.timezone || 'UTC';
+  const { validFrom, validUntil } = template.recurrence;
+  const start = validFrom && toDay(validFrom, timeZone) > from ? toDay(validFrom, timeZone) : from;
+  const end = validUntil && toDay(validUntil, timeZone) < to ? toDay(validUntil, timeZone) : to;
+
+  if (start > end) return [];
+  return getOccurrences(template.recurrence, start, end, template.getSkippedDays());
+};
+
+// Create the routes for a template between two days ('YYYY-MM-DD', inclusive).
+// Days that already have a route from this template are left alone.
+const generateTemplateRoutes = async (template, from, to) => {
+  const days = getTemplateDays(template, from, to);
+  const existing = await Route.find({ template: template._id, templateDate: { $in: days } }).select('templateDate');
+  const existingDays = new Set(existing.map(route => route.templateDate));
+
+  const created = [];
+  for (const day of days.filter(day => !existingDays.has(day))) {
+    const data = buildRouteFromTemplate(template, day);
+
+    // A vehicle that no longer suits the template's constraints is left off too
+    const misfit = await checkVehicleAssignment({ vehicle: data.assignedVehicle, constraints: data.constraints });
+    if (misfit) {
+      data.assignedVehicle = undefined;
+      logger.warn(`Route template ${template.name} (${day}): ${misfit.message}; created without a vehicle`);
+    }
+
+    // A double-booked driver or vehicle is left off the run for a planner to resolve
+    const clash = await checkBookingConflicts({
+      driver: data.assignedDriver,
+      vehicle: data.assignedVehicle,
+      start: data.scheduling.plannedStartTime,
+      end: data.scheduling.plannedEndTime
+    });
+    if (clash) {
+      clash.conflicts.forEach(({ resource }) => {
+        data[resource === 'driver' ? 'assignedDriver' : 'assignedVehicle'] = undefined;
+      });
+      logger.warn(`Route template ${template.name} (${day}): ${clash.message}; created without that assignment`);
+    }
+
+    created.push(await Route.create(data));
+  }
+
+  if (!template.lastGeneratedDate || template.lastGeneratedDate < to) {
+    template.lastGeneratedDate = to;
+    await template.save();
+  }
+
+  return { created, existing: [...existingDays] };
+};
+
+// Generate upcoming routes for every active template
+const runTemplateScheduler = async () => {
+  const templates = await RouteTemplate.find({ isActive: true });
+  let total = 0;
+
+  for (const template of templates) {
+    try {
+      const today = toDay(new Date(), template.schedule.timezone || 'UTC');
+      const { created } = await generateTemplateRoutes(template, today, addDays(today, template.generateDaysAhead));
+      total += created.length;
+    } catch (error) {
+      logger.error(`Route template ${template.name} generation error:`, error);
+    }
+  }
+
+  if (total > 0) {
+    logger.info(`Route template scheduler created ${total} route(s)`);
+  }
+  return total;
+};
+
+// Run the scheduler now and then every ROUTE_TEMPLATE_SCHEDULER_INTERVAL
+// minutes (60 by default, 0 disables it)
+const startTemplateScheduler = () => {
+  const minutes = parseInt(process.env.ROUTE_TEMPLATE_SCHEDULER_INTERVAL ?? 60);
+  if (!minutes) return null;
+
+  const run = () => runTemplateScheduler().catch(error => logger.error('Route template scheduler error:', error));
+  run();
+  return setInterval(run, minutes * 60 * 1000);
+};
+
+module.exports = {
+  buildRouteFromTemplate,
+  getTemplateDays,
+  generateTemplateRoutes,
+  runTemplateScheduler,
+  startTemplateScheduler
+};